@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Manage the API keys callers use to reach the service.
+ *
+ * Usage:
+ *   npm run keys -- create --id research [--name "Research team"]
+ *     [--requests-per-minute 120] [--daily-quota 50000]
+ *     [--routes /api/market-data/quote,/v8/finance] [--providers finnhub,polygon]
+ *     [--admin true]
+ *   npm run keys -- list
+ *   npm run keys -- revoke --id research
+ *
+ * Keys are kept in API_KEYS_FILE (default .data/api-keys.json); the running
+ * server picks up changes within a few seconds. The secret is printed once on
+ * creation and only its hash is stored.
+ */
+const dotenv = require('dotenv');
+const { ApiKeyStore } = require('../src/auth');
+const { loadAuthConfig } = require('../src/config/authConfig');
+const { createDefaultRegistry } = require('../src/providers');
+const { KEY_ID_PATTERN } = require('../src/validation');
+
+dotenv.config();
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {Array<string>} argv - Arguments
+ * @returns {Object} Options by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+/**
+ * Parse a comma-separated list option
+ * @param {string} value - Option value
+ * @returns {Array<string>|null} Items, or null if not given
+ */
+function parseList(value) {
+  return value === undefined ? null : value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a limit option
+ * @param {string} value - Option value
+ * @returns {number|null} Limit, or null if not given
+ */
+function parseLimit(value) {
+  return value === undefined ? null : Number(value);
+}
+
+/**
+ * Describe a key's limit for the key list
+ * @param {number|null} value - Key's limit, null for the default
+ * @param {number} fallback - Configured default
+ * @returns {string} Description
+ */
+function describeLimit(value, fallback) {
+  if (value === null) {
+    return `default (${fallback || 'unlimited'})`;
+  }
+  return String(value || 'unlimited');
+}
+
+/**
+ * Check the options for a new key
+ * @param {Object} options - Command line options
+ * @returns {Array<string>} Problems found
+ */
+function validateCreate(options) {
+  const errors = [];
+  const providerIds = createDefaultRegistry().ids();
+
+  if (!options.id || !KEY_ID_PATTERN.test(options.id)) {
+    errors.push('--id is required: 1-64 letters, digits, - or _');
+  }
+  for (const name of ['requests-per-minute', 'daily-quota']) {
+    const limit = parseLimit(options[name]);
+    if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+      errors.push(`--${name} must be a whole number (0 for unlimited)`);
+    }
+  }
+  (parseList(options.routes) || [])
+    .filter(route => !route.startsWith('/'))
+    .forEach(route => errors.push(`route "${route}" must be a path starting with /`));
+  (parseList(options.providers) || [])
+    .filter(provider => !providerIds.includes(provider))
+    .forEach(provider => errors.push(`unknown provider "${provider}"; use one of: ${providerIds.join(', ')}`));
+  if (options.admin !== undefined && !['true', 'false'].includes(options.admin)) {
+    errors.push('--admin must be true or false');
+  }
+
+  return errors;
+}
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseArgs(args);
+  const config = loadAuthConfig();
+  const store = new ApiKeyStore(config.keysFile);
+  store.load(true);
+
+  if (command === 'create') {
+    const errors = validateCreate(options);
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(error));
+      process.exitCode = 1;
+      return;
+    }
+
+    const { key, secret } = store.create({
+      id: options.id,
+      name: options.name,
+      requestsPerMinute: parseLimit(options['requests-per-minute']),
+      dailyQuota: parseLimit(options['daily-quota']),
+      routes: parseList(options.routes),
+      providers: parseList(options.providers),
+      admin: options.admin === 'true'
+    });
+    console.log(`Created API key ${key.id} in ${config.keysFile}`);
+    console.log(`Secret (shown once): ${secret}`);
+  } else if (command === 'list') {
+    const keys = store.list();
+    if (keys.length === 0) {
+      console.log(`No API keys in ${config.keysFile}`);
+    }
+    keys.forEach(key => {
+      const limits = [
+        `${describeLimit(key.requestsPerMinute, config.requestsPerMinute)} req/min`,
+        `${describeLimit(key.dailyQuota, config.dailyQuota)} req/day`
+      ];
+      const flags = [key.admin ? 'admin' : null, key.disabled ? 'revoked' : null].filter(Boolean);
+      console.log(`${key.id}: ${key.name}${flags.length > 0 ? ` [${flags.join(', ')}]` : ''}`);
+      console.log(`  limits: ${limits.join(', ')}`);
+      console.log(`  routes: ${key.routes ? key.routes.join(', ') : 'all'}`);
+      console.log(`  providers: ${key.providers ? key.providers.join(', ') : 'all'}`);
+    });
+  } else if (command === 'revoke') {
+    const key = store.revoke(options.id);
+    console.log(`Revoked API key ${key.id}`);
+  } else {
+    console.error('Usage: npm run keys -- create --id <id> [options] | list | revoke --id <id>');
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
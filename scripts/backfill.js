@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Preload the historical bar store for a universe of symbols.
+ *
+ * Usage:
+ *   npm run backfill -- --symbols AAPL,MSFT --from 2020-01-01 [--to 2024-12-31]
+ *     [--interval 1d] [--provider polygon] [--file symbols.txt]
+ *
+ * Symbols come from --symbols, from --file (one per line or comma-separated;
+ * lines starting with # are ignored), or both. Ranges already in the store are
+ * skipped, so the command can be re-run to resume or extend a backfill.
+ */
+const fs = require('fs');
+const MarketDataService = require('../src/services/marketDataService');
+const { STORE_INTERVALS, closedThrough } = require('../src/bars');
+const { parseSymbols, isValidSymbol, parseDate } = require('../src/validation');
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {Array<string>} argv - Arguments
+ * @returns {Object} Options by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+/**
+ * Read a symbol list file
+ * @param {string} file - File path
+ * @returns {Array<string>} Symbols
+ */
+function readSymbolFile(file) {
+  const lines = fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => !line.trim().startsWith('#'));
+  return parseSymbols(lines.join(','));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const interval = options.interval || '1d';
+  const to = options.to || closedThrough();
+  const errors = [];
+
+  let symbols = parseSymbols(options.symbols);
+  if (options.file) {
+    try {
+      symbols = parseSymbols([...symbols, ...readSymbolFile(options.file)]);
+    } catch (error) {
+      errors.push(`Cannot read ${options.file}: ${error.message}`);
+    }
+  }
+
+  if (symbols.length === 0 && errors.length === 0) {
+    errors.push('Provide symbols with --symbols or --file');
+  }
+  symbols
+    .filter(symbol => !isValidSymbol(symbol))
+    .forEach(symbol => errors.push(`"${symbol}" is not a valid ticker symbol`));
+  if (!STORE_INTERVALS.includes(interval)) {
+    errors.push(`--interval must be one of: ${STORE_INTERVALS.join(', ')}`);
+  }
+  if (!parseDate(options.from)) {
+    errors.push('--from is required (YYYY-MM-DD)');
+  }
+  if (!parseDate(to)) {
+    errors.push('--to must be a date (YYYY-MM-DD)');
+  }
+  if (parseDate(options.from) && parseDate(to) && options.from > to) {
+    errors.push('--from must not be after --to');
+  }
+
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(error));
+    process.exitCode = 1;
+    return;
+  }
+
+  const service = MarketDataService.getInstance();
+  console.log(`Backfilling ${symbols.length} symbol(s), ${interval} bars from ${options.from} to ${to}`);
+
+  const results = await service.backfill(symbols, interval, options.from, to, options.provider);
+
+  for (const result of results) {
+    if (result.status === 'ok') {
+      const fetched = result.fetched.map(range => `${range.from}..${range.to}`).join(', ') || 'already stored';
+      console.log(`  ${result.symbol}: ${result.bars} bars (fetched: ${fetched})`);
+    } else {
+      console.log(`  ${result.symbol}: failed [${result.code}] ${result.error}`);
+    }
+  }
+
+  const failed = results.filter(result => result.status !== 'ok').length;
+  console.log(`Done: ${results.length - failed} succeeded, ${failed} failed`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Backfill failed:', error.message);
+  process.exitCode = 1;
+});
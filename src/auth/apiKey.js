@@ -0,0 +1,101 @@
+/**
+ * Check whether a request path falls under an allowed route prefix
+ * @param {string} path - Request path, e.g. '/api/market-data/quote'
+ * @param {string} prefix - Allowed prefix, e.g. '/api/market-data/quote' or '/v8/finance'
+ * @returns {boolean} True if the path is the prefix or below it
+ */
+function underRoute(path, prefix) {
+  const base = prefix.replace(/\/+$/, '');
+  return path === base || path.startsWith(`${base}/`);
+}
+
+/**
+ * API Key
+ * A caller's key as stored in the key file. Only a SHA-256 hash of the
+ * secret is kept. Limits left unset fall back to the configured defaults, and
+ * 0 means unlimited; `routes` and `providers` left unset allow everything.
+ */
+class ApiKey {
+  /**
+   * @param {Object} record - Key record
+   * @param {string} record.id - Key id, used in usage reports
+   * @param {string} record.name - Owner, e.g. a team name
+   * @param {string} record.keyHash - SHA-256 hash of the secret, hex
+   * @param {number} record.requestsPerMinute - Per-minute rate limit (optional)
+   * @param {number} record.dailyQuota - Requests allowed per UTC day (optional)
+   * @param {Array<string>} record.routes - Allowed route prefixes (optional)
+   * @param {Array<string>} record.providers - Allowed provider ids (optional)
+   * @param {boolean} record.admin - May read every key's usage (optional)
+   * @param {boolean} record.disabled - Revoked (optional)
+   * @param {string} record.created - Creation time, ISO 8601 (optional)
+   */
+  constructor({
+    id,
+    name,
+    keyHash,
+    requestsPerMinute = null,
+    dailyQuota = null,
+    routes = null,
+    providers = null,
+    admin = false,
+    disabled = false,
+    created = null
+  }) {
+    this.id = id;
+    this.name = name || id;
+    this.keyHash = keyHash;
+    this.requestsPerMinute = requestsPerMinute;
+    this.dailyQuota = dailyQuota;
+    this.routes = routes;
+    this.providers = providers;
+    this.admin = Boolean(admin);
+    this.disabled = Boolean(disabled);
+    this.created = created;
+  }
+
+  /**
+   * Check whether the key may call a route
+   * @param {string} path - Request path
+   * @returns {boolean} True if allowed
+   */
+  allowsRoute(path) {
+    return !this.routes || this.routes.some(prefix => underRoute(path, prefix));
+  }
+
+  /**
+   * Check whether the key may use a provider
+   * @param {string} provider - Provider id
+   * @returns {boolean} True if allowed
+   */
+  allowsProvider(provider) {
+    return !this.providers || this.providers.includes(provider);
+  }
+
+  /**
+   * Describe the key for usage reports and the key command, without its hash
+   * @returns {Object} Key metadata
+   */
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      requestsPerMinute: this.requestsPerMinute,
+      dailyQuota: this.dailyQuota,
+      routes: this.routes,
+      providers: this.providers,
+      admin: this.admin,
+      disabled: this.disabled,
+      created: this.created
+    };
+  }
+
+  /**
+   * Serialize the key for the key file
+   * @returns {Object} Key record
+   */
+  toJSON() {
+    return { ...this.describe(), keyHash: this.keyHash };
+  }
+}
+
+module.exports = ApiKey;
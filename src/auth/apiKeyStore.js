@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ApiKey = require('./apiKey');
+
+// How often, at most, the key file is checked for changes
+const RELOAD_CHECK_MS = 5000;
+
+// Prefix of generated secrets, so leaked keys are easy to recognize
+const SECRET_PREFIX = 'mdk_';
+
+/**
+ * Hash an API key secret for storage and lookup
+ * @param {string} secret - API key as sent by the caller
+ * @returns {string} SHA-256 hash, hex
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * API Key Store
+ * API keys kept in a JSON file ({ "keys": [...] }, see ApiKey). The file is
+ * re-read when it changes, so keys created or revoked with `npm run keys`
+ * take effect without a restart.
+ */
+class ApiKeyStore {
+  /**
+   * @param {string} file - Key file path
+   */
+  constructor(file) {
+    this.file = file;
+    this.keys = new Map();
+    this.modified = null;
+    this.checkedAt = 0;
+  }
+
+  /**
+   * Read the key file if it changed since it was last read. A missing file
+   * holds no keys.
+   * @param {boolean} force - Check even if checked recently (optional)
+   */
+  load(force = false) {
+    const now = Date.now();
+    if (!force && now - this.checkedAt < RELOAD_CHECK_MS) {
+      return;
+    }
+    this.checkedAt = now;
+
+    let modified;
+    try {
+      modified = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading API key file ${this.file}:`, error);
+      }
+      this.keys = new Map();
+      this.modified = null;
+      return;
+    }
+    if (modified === this.modified) {
+      return;
+    }
+
+    try {
+      const { keys = [] } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.keys = new Map(keys.map(record => [record.id, new ApiKey(record)]));
+      this.modified = modified;
+    } catch (error) {
+      // Keep the keys we have rather than locking everyone out
+      console.error(`Error reading API key file ${this.file}:`, error);
+    }
+  }
+
+  /**
+   * Write the keys to the key file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ keys: this.list() }, null, 2));
+    fs.renameSync(temp, this.file);
+    this.modified = fs.statSync(this.file).mtimeMs;
+  }
+
+  /**
+   * Find the key for a secret
+   * @param {string} secret - API key as sent by the caller
+   * @returns {ApiKey|null} Key, or null if unknown
+   */
+  find(secret) {
+    this.load();
+    const keyHash = hashSecret(secret);
+    return this.list().find(key => key.keyHash === keyHash) || null;
+  }
+
+  /**
+   * Get a key by id
+   * @param {string} id - Key id
+   * @returns {ApiKey|undefined} Key
+   */
+  get(id) {
+    this.load();
+    return this.keys.get(id);
+  }
+
+  /**
+   * List every key, including revoked ones
+   * @returns {Array<ApiKey>} Keys
+   */
+  list() {
+    return [...this.keys.values()];
+  }
+
+  /**
+   * Create a key and save it. The secret is returned once and never stored.
+   * @param {Object} options - Key settings (see ApiKey), without keyHash
+   * @returns {Object} { key, secret }
+   * @throws {Error} If the id is taken
+   */
+  create(options) {
+    this.load(true);
+    if (this.keys.has(options.id)) {
+      throw new Error(`An API key with id ${options.id} already exists`);
+    }
+
+    const secret = `${SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const key = new ApiKey({ ...options, keyHash: hashSecret(secret), created: new Date().toISOString() });
+    this.keys.set(key.id, key);
+    this.save();
+    return { key, secret };
+  }
+
+  /**
+   * Revoke a key and save the change. Revoked keys stay in the file so their
+   * usage can still be attributed.
+   * @param {string} id - Key id
+   * @returns {ApiKey} Revoked key
+   * @throws {Error} If the key doesn't exist
+   */
+  revoke(id) {
+    this.load(true);
+    const key = this.keys.get(id);
+    if (!key) {
+      throw new Error(`No API key with id ${id}`);
+    }
+    key.disabled = true;
+    this.save();
+    return key;
+  }
+}
+
+module.exports = {
+  ApiKeyStore,
+  hashSecret
+};
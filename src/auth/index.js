@@ -0,0 +1,280 @@
+const ApiKey = require('./apiKey');
+const { ApiKeyStore, hashSecret } = require('./apiKeyStore');
+const { UsageMeter, utcDay } = require('./usageMeter');
+const { runWithContext, runOutsideContext, currentContext } = require('./requestContext');
+const RateLimiter = require('../providers/rateLimiter');
+const { loadAuthConfig } = require('../config/authConfig');
+const {
+  UnauthorizedError,
+  ForbiddenError,
+  RateLimitedError,
+  QuotaExceededError
+} = require('../errors');
+
+// Routes every key may call, whatever its allowed routes
+const OPEN_ROUTES = ['/api/market-data/usage'];
+
+// Caller used when API keys are turned off: unlimited, and may see all usage
+const ANONYMOUS = new ApiKey({ id: 'anonymous', name: 'Anonymous', requestsPerMinute: 0, dailyQuota: 0, admin: true });
+
+/**
+ * Get the seconds until the next UTC midnight, when daily quotas reset
+ * @returns {number} Seconds
+ */
+function secondsUntilReset() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+}
+
+/**
+ * Get the API key a request was sent with: the X-API-Key header, a bearer
+ * token, or the apiKey parameter for clients that can't set headers (browser
+ * EventSource, Yahoo-style URLs)
+ * @param {Object} req - Node or Express request
+ * @returns {string|undefined} API key
+ */
+function requestSecret(req) {
+  const header = req.headers['x-api-key'];
+  if (header) {
+    return String(header);
+  }
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  const param = new URL(req.url, 'http://localhost').searchParams.get('apiKey');
+  return param || undefined;
+}
+
+/**
+ * Access Control
+ * Authenticates callers by API key and enforces each key's allowed routes
+ * and providers, per-minute rate limit and daily quota, metering every
+ * request it lets through.
+ */
+class AccessControl {
+  /**
+   * @param {Object} config - Auth configuration from loadAuthConfig (optional)
+   * @param {ApiKeyStore} store - Key store (optional, defaults to the configured key file)
+   * @param {UsageMeter} meter - Usage meter (optional, defaults to the configured usage file)
+   */
+  constructor(config = loadAuthConfig(), store, meter) {
+    this.config = config;
+    this.store = store || new ApiKeyStore(config.keysFile);
+    this.meter = meter || new UsageMeter({ file: config.usageFile, retentionDays: config.usageRetentionDays });
+    this.limiters = new Map();
+  }
+
+  /**
+   * Get the shared access control, loading saved usage and saving it
+   * periodically
+   * @returns {AccessControl} Shared access control
+   */
+  static getInstance() {
+    if (!AccessControl.instance) {
+      AccessControl.instance = new AccessControl();
+      AccessControl.instance.meter.load();
+      AccessControl.instance.meter.start();
+    }
+    return AccessControl.instance;
+  }
+
+  /**
+   * Warn at startup if every request would be refused
+   */
+  checkKeys() {
+    if (!this.config.enabled) {
+      return;
+    }
+    this.store.load(true);
+    if (!this.store.list().some(key => !key.disabled)) {
+      console.warn(`API keys are required but none are configured in ${this.config.keysFile}; ` +
+        'create one with `npm run keys -- create --id <id>`, or set API_AUTH=off');
+    }
+  }
+
+  /**
+   * Save usage and stop saving periodically
+   */
+  close() {
+    this.meter.close();
+  }
+
+  /**
+   * Get a key's effective limits, with unset limits taken from the
+   * configuration. 0 means unlimited.
+   * @param {ApiKey} key - API key
+   * @returns {Object} { requestsPerMinute, dailyQuota }
+   */
+  limitsFor(key) {
+    const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+    return {
+      requestsPerMinute: pick(key.requestsPerMinute, this.config.requestsPerMinute),
+      dailyQuota: pick(key.dailyQuota, this.config.dailyQuota)
+    };
+  }
+
+  /**
+   * Get the rate limiter for a key, replacing it if the key's limit changed
+   * @param {ApiKey} key - API key
+   * @param {number} requestsPerMinute - Effective per-minute limit
+   * @returns {RateLimiter} Rate limiter
+   */
+  limiterFor(key, requestsPerMinute) {
+    let limiter = this.limiters.get(key.id);
+    if (!limiter || limiter.requestsPerMinute !== requestsPerMinute) {
+      limiter = new RateLimiter({ requestsPerMinute, maxQueue: 0 });
+      this.limiters.set(key.id, limiter);
+    }
+    return limiter;
+  }
+
+  /**
+   * Authenticate a request and check it against the key's permissions and
+   * limits. Accepted requests count toward the key's daily quota; refused
+   * ones from a known key are metered as rejected.
+   * @param {Object} request - Request details
+   * @param {string} request.secret - API key sent by the caller (optional)
+   * @param {string} request.path - Request path
+   * @param {string} request.provider - Requested provider id (optional)
+   * @returns {Object} { key, rateLimit, quota }: rateLimit and quota are
+   *   { limit, remaining }, or null when unlimited
+   * @throws {UnauthorizedError|ForbiddenError|QuotaExceededError|RateLimitedError} If the request is refused
+   */
+  authorize({ secret, path, provider }) {
+    if (!this.config.enabled) {
+      this.meter.recordRequest(ANONYMOUS.id);
+      return { key: ANONYMOUS, rateLimit: null, quota: null };
+    }
+
+    if (!secret) {
+      throw new UnauthorizedError('An API key is required: send it in the X-API-Key header or the apiKey parameter');
+    }
+    const key = this.store.find(secret);
+    if (!key || key.disabled) {
+      throw new UnauthorizedError('Unknown or revoked API key');
+    }
+
+    const refuse = error => {
+      this.meter.recordRejected(key.id);
+      return error;
+    };
+
+    if (!OPEN_ROUTES.includes(path) && !key.allowsRoute(path)) {
+      throw refuse(new ForbiddenError(`API key ${key.id} may not call ${path}`));
+    }
+    if (provider && !key.allowsProvider(provider)) {
+      throw refuse(new ForbiddenError(`API key ${key.id} may not use provider ${provider}; use one of: ${key.providers.join(', ')}`));
+    }
+
+    const { requestsPerMinute, dailyQuota } = this.limitsFor(key);
+    const used = this.meter.requestsToday(key.id);
+    if (dailyQuota && used >= dailyQuota) {
+      throw refuse(new QuotaExceededError(`API key ${key.id} has used its daily quota of ${dailyQuota} requests`, {
+        retryAfter: secondsUntilReset()
+      }));
+    }
+
+    let rateLimit = null;
+    if (requestsPerMinute) {
+      const limiter = this.limiterFor(key, requestsPerMinute);
+      if (!limiter.tryAcquire()) {
+        throw refuse(new RateLimitedError(`API key ${key.id} is limited to ${requestsPerMinute} requests per minute`, {
+          retryAfter: Math.ceil(limiter.estimatedWait() / 1000)
+        }));
+      }
+      rateLimit = { limit: requestsPerMinute, remaining: Math.floor(limiter.tokens) };
+    }
+
+    this.meter.recordRequest(key.id);
+    return {
+      key,
+      rateLimit,
+      quota: dailyQuota ? { limit: dailyQuota, remaining: dailyQuota - used - 1 } : null
+    };
+  }
+
+  /**
+   * Check whether the request being served may use a provider. Outside a
+   * request, e.g. in a backfill, every provider may be used.
+   * @param {string} provider - Provider id
+   * @returns {boolean} True if allowed
+   */
+  static allowsProvider(provider) {
+    const context = currentContext();
+    return !context || context.key.allowsProvider(provider);
+  }
+
+  /**
+   * Describe the providers the request being served may use, for keeping
+   * cached data apart: a key restricted to some providers must not be served
+   * data another provider fetched for a less restricted key
+   * @returns {string} 'all', or the allowed provider ids, sorted and comma-separated
+   */
+  static providerScope() {
+    const context = currentContext();
+    return context && context.key.providers ? [...context.key.providers].sort().join(',') : 'all';
+  }
+
+  /**
+   * Report usage over a range of days, for one key or, for admin keys, every key
+   * @param {ApiKey} caller - Key asking for the report
+   * @param {Object} options - Report options
+   * @param {string} options.from - First day (YYYY-MM-DD, optional, default today)
+   * @param {string} options.to - Last day (YYYY-MM-DD, optional, default today)
+   * @param {string} options.key - Key id to report (optional; admin keys default to every key)
+   * @returns {Object} { from, to, keys }
+   * @throws {ForbiddenError} If a non-admin key asks for another key's usage
+   */
+  usage(caller, { from, to, key } = {}) {
+    const today = utcDay();
+    const first = from || today;
+    const last = to || today;
+
+    if (key && key !== caller.id && !caller.admin) {
+      throw new ForbiddenError(`API key ${caller.id} may only read its own usage`);
+    }
+
+    let keyIds;
+    if (key) {
+      keyIds = [key];
+    } else if (!caller.admin) {
+      keyIds = [caller.id];
+    } else if (this.config.enabled) {
+      keyIds = this.store.list().map(stored => stored.id);
+    }
+
+    const usage = this.meter.report(first, last, keyIds);
+    const keys = Object.entries(usage).map(([id, totals]) => {
+      const stored = id === ANONYMOUS.id ? ANONYMOUS : this.store.get(id);
+      const limits = stored ? this.limitsFor(stored) : { requestsPerMinute: null, dailyQuota: null };
+      const requestsToday = this.meter.requestsToday(id);
+      return {
+        id,
+        name: stored ? stored.name : null,
+        requestsPerMinute: limits.requestsPerMinute || null,
+        dailyQuota: limits.dailyQuota || null,
+        today: {
+          requests: requestsToday,
+          remaining: limits.dailyQuota ? Math.max(0, limits.dailyQuota - requestsToday) : null
+        },
+        ...totals
+      };
+    });
+
+    return { from: first, to: last, keys };
+  }
+}
+
+module.exports = {
+  AccessControl,
+  ApiKey,
+  ApiKeyStore,
+  UsageMeter,
+  hashSecret,
+  requestSecret,
+  utcDay,
+  runWithContext,
+  runOutsideContext,
+  currentContext
+};
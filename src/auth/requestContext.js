@@ -0,0 +1,44 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request Context
+ * Carries the calling API key through the asynchronous work a request
+ * starts, so the service can apply the key's provider restrictions and the
+ * provider adapters can meter upstream calls without every method taking the
+ * key as a parameter.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * @param {Object} context - { key, recordUpstream }
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Run a function outside any request context, for shared background work
+ * such as stream polling that no single caller should be billed for
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+function runOutsideContext(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Get the context of the request being served
+ * @returns {Object|undefined} Request context, or undefined outside a request
+ */
+function currentContext() {
+  return storage.getStore();
+}
+
+module.exports = {
+  runWithContext,
+  runOutsideContext,
+  currentContext
+};
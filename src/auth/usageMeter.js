@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the UTC day of a time
+ * @param {number} time - Time in milliseconds (optional, default now)
+ * @returns {string} Day (YYYY-MM-DD)
+ */
+function utcDay(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Add one to a counter in an object
+ * @param {Object} counters - Counters by name
+ * @param {string} name - Counter name
+ */
+function increment(counters, name) {
+  counters[name] = (counters[name] || 0) + 1;
+}
+
+/**
+ * Add one set of counters into another
+ * @param {Object} total - Counters to add to
+ * @param {Object} counters - Counters to add
+ */
+function addCounters(total, counters) {
+  for (const [name, count] of Object.entries(counters)) {
+    total[name] = (total[name] || 0) + count;
+  }
+}
+
+/**
+ * Usage Meter
+ * Counts requests per API key per UTC day: requests accepted and rejected
+ * (rate limit, quota or permissions), and per route the responses, error
+ * responses and upstream provider calls they made. Counters are kept in
+ * memory, saved to a JSON file every minute and on shutdown, and reloaded on
+ * start so daily quotas survive restarts.
+ */
+class UsageMeter {
+  /**
+   * @param {Object} options - Meter options
+   * @param {string} options.file - File to save counters to (optional, in memory only without one)
+   * @param {number} options.retentionDays - Days of counters kept (optional, default 90)
+   */
+  constructor({ file = null, retentionDays = 90 } = {}) {
+    this.file = file;
+    this.retentionDays = retentionDays;
+    this.days = {};
+    this.dirty = false;
+    this.timer = null;
+  }
+
+  /**
+   * Read saved counters. A missing or unreadable file starts the meter empty.
+   */
+  load() {
+    if (!this.file) {
+      return;
+    }
+    try {
+      this.days = JSON.parse(fs.readFileSync(this.file, 'utf8')).days || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading usage file ${this.file}:`, error);
+      }
+      this.days = {};
+    }
+    this.prune();
+  }
+
+  /**
+   * Save the counters if they changed since the last save
+   */
+  save() {
+    if (!this.file || !this.dirty) {
+      return;
+    }
+    this.prune();
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const temp = `${this.file}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify({ days: this.days }));
+      fs.renameSync(temp, this.file);
+      this.dirty = false;
+    } catch (error) {
+      console.error(`Error saving usage file ${this.file}:`, error);
+    }
+  }
+
+  /**
+   * Save the counters periodically
+   * @param {number} intervalMs - Save interval in milliseconds (optional, default one minute)
+   */
+  start(intervalMs = 60000) {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.save(), intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop saving periodically and save now
+   */
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.save();
+  }
+
+  /**
+   * Drop counters older than the retention period
+   */
+  prune() {
+    const oldest = utcDay(Date.now() - (this.retentionDays - 1) * DAY_MS);
+    for (const day of Object.keys(this.days)) {
+      if (day < oldest) {
+        delete this.days[day];
+      }
+    }
+  }
+
+  /**
+   * Get a key's counters for today, creating them if needed
+   * @param {string} keyId - API key id
+   * @returns {Object} { requests, rejected, routes }
+   */
+  today(keyId) {
+    const day = utcDay();
+    if (!this.days[day]) {
+      this.days[day] = {};
+    }
+    if (!this.days[day][keyId]) {
+      this.days[day][keyId] = { requests: 0, rejected: 0, routes: {} };
+    }
+    this.dirty = true;
+    return this.days[day][keyId];
+  }
+
+  /**
+   * Get a key's counters for a route today, creating them if needed
+   * @param {string} keyId - API key id
+   * @param {string} route - Route, e.g. '/api/market-data/quote'
+   * @returns {Object} { requests, errors, upstream }
+   */
+  routeToday(keyId, route) {
+    const { routes } = this.today(keyId);
+    if (!routes[route]) {
+      routes[route] = { requests: 0, errors: 0, upstream: {} };
+    }
+    return routes[route];
+  }
+
+  /**
+   * Count an accepted request against a key's daily quota
+   * @param {string} keyId - API key id
+   */
+  recordRequest(keyId) {
+    this.today(keyId).requests++;
+  }
+
+  /**
+   * Count a request refused for a rate limit, quota or permissions
+   * @param {string} keyId - API key id
+   */
+  recordRejected(keyId) {
+    this.today(keyId).rejected++;
+  }
+
+  /**
+   * Count a response sent on a route
+   * @param {string} keyId - API key id
+   * @param {string} route - Route
+   * @param {number} status - HTTP status
+   */
+  recordResponse(keyId, route, status) {
+    const counters = this.routeToday(keyId, route);
+    counters.requests++;
+    if (status >= 400) {
+      counters.errors++;
+    }
+  }
+
+  /**
+   * Count a call made to an upstream provider while serving a route
+   * @param {string} keyId - API key id
+   * @param {string} route - Route
+   * @param {string} provider - Provider id
+   */
+  recordUpstream(keyId, route, provider) {
+    increment(this.routeToday(keyId, route).upstream, provider);
+  }
+
+  /**
+   * Get the requests a key made today
+   * @param {string} keyId - API key id
+   * @returns {number} Accepted requests
+   */
+  requestsToday(keyId) {
+    const day = this.days[utcDay()];
+    return day && day[keyId] ? day[keyId].requests : 0;
+  }
+
+  /**
+   * Total each key's counters over a range of days
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @param {Array<string>} keyIds - Keys to report (optional, default every key with usage)
+   * @returns {Object} Usage keyed by key id: { requests, rejected, errors, upstream, routes }
+   */
+  report(from, to, keyIds) {
+    const usage = {};
+    const totalsFor = keyId => {
+      if (!usage[keyId]) {
+        usage[keyId] = { requests: 0, rejected: 0, errors: 0, upstream: {}, routes: {} };
+      }
+      return usage[keyId];
+    };
+    (keyIds || []).forEach(totalsFor);
+
+    for (const [day, keys] of Object.entries(this.days)) {
+      if (day < from || day > to) {
+        continue;
+      }
+      for (const [keyId, counters] of Object.entries(keys)) {
+        if (keyIds && !keyIds.includes(keyId)) {
+          continue;
+        }
+        const totals = totalsFor(keyId);
+        totals.requests += counters.requests;
+        totals.rejected += counters.rejected;
+        for (const [route, routeCounters] of Object.entries(counters.routes)) {
+          if (!totals.routes[route]) {
+            totals.routes[route] = { requests: 0, errors: 0, upstream: {} };
+          }
+          totals.routes[route].requests += routeCounters.requests;
+          totals.routes[route].errors += routeCounters.errors;
+          totals.errors += routeCounters.errors;
+          addCounters(totals.routes[route].upstream, routeCounters.upstream);
+          addCounters(totals.upstream, routeCounters.upstream);
+        }
+      }
+    }
+    return usage;
+  }
+}
+
+module.exports = {
+  UsageMeter,
+  utcDay
+};
@@ -0,0 +1,153 @@
+const { REGULAR_SESSION, parseInterval } = require('./intervals');
+const { dayOf } = require('./ranges');
+const { localDate } = require('../calendar');
+
+// Decimal places kept in adjusted prices
+const PRICE_DECIMALS = 6;
+
+/**
+ * Get the trading day a bar belongs to. Daily and longer bars are labeled by
+ * date; intraday bars belong to the exchange's local date, so after-hours
+ * bars that fall on the next day in UTC stay on their session's date.
+ * @param {string} timestamp - Bar timestamp
+ * @param {boolean} intraday - Whether the bar is intraday
+ * @param {Object} session - Trading session
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function tradingDay(timestamp, intraday, session) {
+  return intraday ? localDate(Date.parse(timestamp), session.timeZone) : dayOf(timestamp);
+}
+
+/**
+ * Get the New York trading day a bar of a native interval belongs to. Bars
+ * are compared with closedThrough and stored by this day, so an evening bar
+ * counts towards its session's date rather than the next day in UTC.
+ * @param {string} timestamp - Bar timestamp
+ * @param {string} interval - Native interval
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function barDay(timestamp, interval) {
+  return tradingDay(timestamp, parseInterval(interval).minutes !== null, REGULAR_SESSION);
+}
+
+/**
+ * Get how many new shares a split issues per old share
+ * @param {Object} split - Split
+ * @returns {number} Split ratio, e.g. 4 for a 4-for-1 split
+ */
+function splitRatio(split) {
+  return split.toFactor / split.fromFactor;
+}
+
+/**
+ * Round a price to the kept precision
+ * @param {number} value - Price
+ * @returns {number} Rounded price
+ */
+function roundPrice(value) {
+  const precision = 10 ** PRICE_DECIMALS;
+  return Math.round(value * precision) / precision;
+}
+
+/**
+ * Scale a value, leaving missing values alone
+ * @param {number|null} value - Value
+ * @param {number} factor - Factor
+ * @param {Function} round - Rounding function
+ * @returns {number|null} Scaled value
+ */
+function scale(value, factor, round) {
+  return typeof value === 'number' ? round(value * factor) : value;
+}
+
+/**
+ * Scale bars by the events that happen after them. Each bar's prices are
+ * multiplied by the product of the price factors of events dated after the
+ * bar's trading day, and its volume by the product of the volume factors.
+ * @param {Array<Object>} bars - Bars
+ * @param {string} interval - Bar interval
+ * @param {Array<Object>} priceEvents - { date, factor } events
+ * @param {Array<Object>} volumeEvents - { date, factor } events
+ * @param {Object} session - Trading session
+ * @returns {Array<Object>} Scaled bars
+ */
+function scaleBars(bars, interval, priceEvents, volumeEvents, session) {
+  const intraday = parseInterval(interval).minutes !== null;
+  const factors = new Map();
+
+  const factorsFor = day => {
+    if (!factors.has(day)) {
+      const after = events => events
+        .filter(event => event.date > day)
+        .reduce((product, event) => product * event.factor, 1);
+      factors.set(day, { price: after(priceEvents), volume: after(volumeEvents) });
+    }
+    return factors.get(day);
+  };
+
+  return bars.map(bar => {
+    const { price, volume } = factorsFor(tradingDay(bar.timestamp, intraday, session));
+    if (price === 1 && volume === 1) {
+      return bar;
+    }
+
+    return {
+      ...bar,
+      open: scale(bar.open, price, roundPrice),
+      high: scale(bar.high, price, roundPrice),
+      low: scale(bar.low, price, roundPrice),
+      close: scale(bar.close, price, roundPrice),
+      volume: scale(bar.volume, volume, Math.round)
+    };
+  });
+}
+
+/**
+ * Adjust raw bars for splits and dividends, the way total-return price
+ * series are built: prices before a split are divided by its ratio (and
+ * volume multiplied), and prices before a dividend's ex-date are multiplied
+ * by 1 - amount / close, where close is the raw close of the last trading
+ * day before the ex-date. Dividends without a known prior close are skipped.
+ * @param {Array<Object>} bars - Raw bars
+ * @param {string} interval - Bar interval
+ * @param {Object} actions - Corporate actions
+ * @param {Array<Object>} actions.splits - Splits
+ * @param {Array<Object>} actions.dividends - Dividends
+ * @param {Map<string, number>} priorCloses - Raw close before each dividend's ex-date, keyed by ex-date
+ * @param {Object} session - Trading session (optional)
+ * @returns {Array<Object>} Adjusted bars
+ */
+function adjustBars(bars, interval, { splits, dividends }, priorCloses, session = REGULAR_SESSION) {
+  const priceEvents = splits.map(split => ({ date: split.date, factor: 1 / splitRatio(split) }));
+  for (const dividend of dividends) {
+    const close = priorCloses.get(dividend.exDate);
+    if (close > dividend.amount) {
+      priceEvents.push({ date: dividend.exDate, factor: 1 - dividend.amount / close });
+    }
+  }
+  const volumeEvents = splits.map(split => ({ date: split.date, factor: splitRatio(split) }));
+
+  return scaleBars(bars, interval, priceEvents, volumeEvents, session);
+}
+
+/**
+ * Reverse split adjustment, turning split-adjusted bars back into raw bars
+ * @param {Array<Object>} bars - Split-adjusted bars
+ * @param {string} interval - Bar interval
+ * @param {Array<Object>} splits - Splits
+ * @param {Object} session - Trading session (optional)
+ * @returns {Array<Object>} Raw bars
+ */
+function unadjustSplits(bars, interval, splits, session = REGULAR_SESSION) {
+  const priceEvents = splits.map(split => ({ date: split.date, factor: splitRatio(split) }));
+  const volumeEvents = splits.map(split => ({ date: split.date, factor: 1 / splitRatio(split) }));
+
+  return scaleBars(bars, interval, priceEvents, volumeEvents, session);
+}
+
+module.exports = {
+  tradingDay,
+  barDay,
+  adjustBars,
+  unadjustSplits
+};
@@ -0,0 +1,201 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { addDays, mergeRanges, clipRanges } = require('./ranges');
+const { barDay } = require('./adjust');
+
+/**
+ * Bar Store
+ * Persists normalized candles on disk as JSON, one directory per interval and
+ * symbol, split into yearly files (monthly for minute bars) so a request only
+ * reads the periods it spans. Each file records the date ranges that have
+ * been fetched in full alongside the bars, so days without bars (weekends,
+ * holidays) count as covered too. Bars are filed under their New York
+ * trading day (see barDay), the same day coverage is recorded in.
+ *
+ * Only closed bars belong in the store; they never change once written.
+ */
+class BarStore {
+  /**
+   * @param {string} dir - Directory to store bars in
+   */
+  constructor(dir) {
+    this.dir = dir;
+
+    // Pending writes per symbol and interval, so updates don't interleave
+    this.locks = new Map();
+  }
+
+  /**
+   * Get the partition (file) a day's bars belong in
+   * @param {string} interval - Candle interval
+   * @param {string} day - Date (YYYY-MM-DD)
+   * @returns {string} Partition key: YYYY, or YYYY-MM for minute bars
+   */
+  partitionOf(interval, day) {
+    return interval.endsWith('m') ? day.slice(0, 7) : day.slice(0, 4);
+  }
+
+  /**
+   * Get the date range a partition spans
+   * @param {string} partition - Partition key
+   * @returns {Array<string>} [from, to]
+   */
+  partitionRange(partition) {
+    if (partition.length === 4) {
+      return [`${partition}-01-01`, `${partition}-12-31`];
+    }
+    const [year, month] = partition.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return [`${partition}-01`, `${partition}-${String(lastDay).padStart(2, '0')}`];
+  }
+
+  /**
+   * List the partitions a date range spans
+   * @param {string} interval - Candle interval
+   * @param {string} from - Start date (YYYY-MM-DD)
+   * @param {string} to - End date (YYYY-MM-DD)
+   * @returns {Array<string>} Partition keys
+   */
+  partitionsBetween(interval, from, to) {
+    const partitions = [];
+    let partition = this.partitionOf(interval, from);
+    const last = this.partitionOf(interval, to);
+
+    while (partition <= last) {
+      partitions.push(partition);
+      const [, end] = this.partitionRange(partition);
+      partition = this.partitionOf(interval, addDays(end, 1));
+    }
+    return partitions;
+  }
+
+  /**
+   * Get the file path for a partition
+   * @param {string} symbol - Stock symbol
+   * @param {string} interval - Candle interval
+   * @param {string} partition - Partition key
+   * @returns {string} File path
+   */
+  filePath(symbol, interval, partition) {
+    return path.join(this.dir, interval, encodeURIComponent(symbol), `${partition}.json`);
+  }
+
+  /**
+   * Read a partition
+   * @param {string} symbol - Stock symbol
+   * @param {string} interval - Candle interval
+   * @param {string} partition - Partition key
+   * @returns {Promise<Object>} { coverage, bars }
+   */
+  async readPartition(symbol, interval, partition) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(symbol, interval, partition), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading stored bars for ${symbol} ${interval} ${partition}:`, error);
+      }
+      return { coverage: [], bars: [] };
+    }
+  }
+
+  /**
+   * Write a partition. The file is written in full and then renamed into
+   * place, so readers never see a partial file.
+   * @param {string} symbol - Stock symbol
+   * @param {string} interval - Candle interval
+   * @param {string} partition - Partition key
+   * @param {Object} data - { coverage, bars }
+   */
+  async writePartition(symbol, interval, partition, data) {
+    const file = this.filePath(symbol, interval, partition);
+    const temp = `${file}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(temp, JSON.stringify(data));
+    await fs.rename(temp, file);
+  }
+
+  /**
+   * Read stored bars and coverage for a date range
+   * @param {string} symbol - Stock symbol
+   * @param {string} interval - Candle interval
+   * @param {string} from - Start date (YYYY-MM-DD)
+   * @param {string} to - End date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { coverage, bars } within the range; bars carry their `source`
+   */
+  async read(symbol, interval, from, to) {
+    const partitions = await Promise.all(this.partitionsBetween(interval, from, to)
+      .map(partition => this.readPartition(symbol, interval, partition)));
+
+    return {
+      coverage: clipRanges(mergeRanges(partitions.flatMap(partition => partition.coverage)), [from, to]),
+      bars: partitions
+        .flatMap(partition => partition.bars)
+        .filter(bar => barDay(bar.timestamp, interval) >= from && barDay(bar.timestamp, interval) <= to)
+    };
+  }
+
+  /**
+   * Add closed bars and mark the ranges they were fetched for as covered.
+   * Bars replace stored bars with the same timestamp.
+   * @param {string} symbol - Stock symbol
+   * @param {string} interval - Candle interval
+   * @param {Array<Object>} bars - Bars, each with a `source`
+   * @param {Array<Array<string>>} ranges - Date ranges fetched in full
+   * @returns {Promise<void>} Resolves once written
+   */
+  write(symbol, interval, bars, ranges) {
+    const key = `${interval}:${symbol}`;
+    const pending = (this.locks.get(key) || Promise.resolve())
+      .then(() => this.update(symbol, interval, bars, ranges));
+
+    // The next write waits for this one whether or not it succeeds
+    const settled = pending.catch(() => {});
+    this.locks.set(key, settled);
+    settled.then(() => {
+      if (this.locks.get(key) === settled) {
+        this.locks.delete(key);
+      }
+    });
+
+    return pending;
+  }
+
+  /**
+   * Merge bars and coverage into the affected partitions
+   * @param {string} symbol - Stock symbol
+   * @param {string} interval - Candle interval
+   * @param {Array<Object>} bars - Bars
+   * @param {Array<Array<string>>} ranges - Date ranges fetched in full
+   */
+  async update(symbol, interval, bars, ranges) {
+    const partitions = new Set([
+      ...bars.map(bar => this.partitionOf(interval, barDay(bar.timestamp, interval))),
+      ...ranges.flatMap(([from, to]) => this.partitionsBetween(interval, from, to))
+    ]);
+
+    for (const partition of partitions) {
+      const window = this.partitionRange(partition);
+      const stored = await this.readPartition(symbol, interval, partition);
+
+      const byTimestamp = new Map(stored.bars.map(bar => [bar.timestamp, bar]));
+      bars
+        .filter(bar => this.partitionOf(interval, barDay(bar.timestamp, interval)) === partition)
+        .forEach(bar => byTimestamp.set(bar.timestamp, bar));
+
+      await this.writePartition(symbol, interval, partition, {
+        coverage: mergeRanges([...stored.coverage, ...clipRanges(ranges, window)]),
+        bars: [...byTimestamp.values()].sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1))
+      });
+    }
+  }
+
+  /**
+   * Remove every stored bar
+   */
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = BarStore;
@@ -0,0 +1,50 @@
+const BarStore = require('./barStore');
+const ranges = require('./ranges');
+const intervals = require('./intervals');
+const { resampleBars } = require('./resample');
+const { tradingDay, barDay, adjustBars, unadjustSplits } = require('./adjust');
+const { localDate, tradingDaysBetween } = require('../calendar');
+
+// Intervals kept in the bar store. Weekly and monthly bars are cheap to fetch
+// and their periods don't line up with the store's daily coverage.
+const STORE_INTERVALS = ['1m', '5m', '15m', '30m', '1h', '1d'];
+
+/**
+ * Get the last day whose bars are all closed: every day before today in New
+ * York. Going by the exchange's date rather than UTC's keeps a day open until
+ * its after-hours session, which runs past midnight UTC, has ended. Compare
+ * it with barDay, not the UTC date of a bar's timestamp.
+ * @param {Date} now - Current time (optional)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function closedThrough(now = new Date()) {
+  return ranges.addDays(localDate(now), -1);
+}
+
+/**
+ * Find the trading days in a range that have no bars. Weekends and exchange
+ * holidays are expected to be empty, so only days the market was open count.
+ * @param {Array<Object>} bars - Bars
+ * @param {string} interval - Native interval of a day or less
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD), inclusive
+ * @returns {Array<string>} Trading days without bars
+ */
+function findGaps(bars, interval, from, to) {
+  const intraday = intervals.parseInterval(interval).minutes !== null;
+  const days = new Set(bars.map(bar => tradingDay(bar.timestamp, intraday, intervals.REGULAR_SESSION)));
+  return tradingDaysBetween(from, to).filter(day => !days.has(day));
+}
+
+module.exports = {
+  BarStore,
+  STORE_INTERVALS,
+  closedThrough,
+  findGaps,
+  barDay,
+  resampleBars,
+  adjustBars,
+  unadjustSplits,
+  ...intervals,
+  ...ranges
+};
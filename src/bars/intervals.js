@@ -0,0 +1,114 @@
+const { TIME_ZONE, SESSIONS } = require('../calendar');
+
+/**
+ * Candle intervals. Providers serve a fixed set of native intervals; any other
+ * interval of the form <count><unit> is built by resampling the nearest finer
+ * native interval (see resample.js).
+ */
+
+// Intervals the providers serve directly
+const INTERVALS = ['1m', '5m', '15m', '30m', '1h', '1d', '1w', '1M'];
+
+// Custom intervals: m(inute), h(our), d(ay), w(eek), M(onth), q(uarter), y(ear)
+const INTERVAL_PATTERN = /^([1-9]\d{0,3})([mhdwMqy])$/;
+
+// Native intraday intervals that custom intraday intervals can be built from,
+// coarsest first
+const INTRADAY_BASES = { '1h': 60, '30m': 30, '15m': 15, '5m': 5, '1m': 1 };
+
+// Regular trading session that intraday buckets are aligned to. It follows
+// the exchange calendar: early closes cut it short, and multi-day buckets
+// count trading days.
+const REGULAR_SESSION = {
+  timeZone: TIME_ZONE,
+  open: SESSIONS.regular.start,
+  close: SESSIONS.regular.end,
+  exchangeCalendar: true
+};
+
+// Session for markets that trade around the clock (crypto, forex): buckets
+// are aligned to midnight UTC and multi-day buckets count calendar days
+const CONTINUOUS_SESSION = {
+  timeZone: 'UTC',
+  open: 0,
+  close: 24 * 60,
+  exchangeCalendar: false
+};
+
+/**
+ * Get the session intraday buckets are aligned to for an asset class
+ * @param {string} assetClass - Asset class ('stock', 'index', 'crypto' or 'forex')
+ * @returns {Object} Trading session
+ */
+function sessionFor(assetClass) {
+  return assetClass === 'crypto' || assetClass === 'forex' ? CONTINUOUS_SESSION : REGULAR_SESSION;
+}
+
+/**
+ * Parse an interval
+ * @param {string} interval - Interval, e.g. '1d', '4h', '1q'
+ * @returns {Object|null} { count, unit, minutes } where minutes is set for
+ *   intraday intervals, or null if the interval is not valid
+ */
+function parseInterval(interval) {
+  const match = INTERVAL_PATTERN.exec(interval);
+  if (!match) {
+    return null;
+  }
+
+  const count = Number(match[1]);
+  const unit = match[2];
+  if (unit !== 'm' && unit !== 'h') {
+    return { count, unit, minutes: null };
+  }
+
+  // Intraday intervals must fit within a day; longer ones are expressed in days
+  const minutes = unit === 'h' ? count * 60 : count;
+  return minutes < 24 * 60 ? { count, unit, minutes } : null;
+}
+
+/**
+ * Check whether an interval is served by providers directly
+ * @param {string} interval - Interval
+ * @returns {boolean} True if native
+ */
+function isNativeInterval(interval) {
+  return INTERVALS.includes(interval);
+}
+
+/**
+ * Get the native interval to fetch for an interval. Custom intraday
+ * intervals use the coarsest native interval that divides both the interval
+ * and the time of the session open, so every fetched bar falls wholly inside
+ * one bucket; intervals of a day or more use daily bars, whose dates are the
+ * same whichever provider serves them.
+ * @param {string} interval - Interval
+ * @param {Object} session - Trading session (optional)
+ * @returns {string|null} Native interval, or null if the interval is not valid
+ */
+function baseInterval(interval, session = REGULAR_SESSION) {
+  if (isNativeInterval(interval)) {
+    return interval;
+  }
+
+  const spec = parseInterval(interval);
+  if (!spec) {
+    return null;
+  }
+  if (spec.minutes === null) {
+    return '1d';
+  }
+
+  return Object.keys(INTRADAY_BASES).find(base =>
+    spec.minutes % INTRADAY_BASES[base] === 0 && session.open % INTRADAY_BASES[base] === 0);
+}
+
+module.exports = {
+  INTERVALS,
+  REGULAR_SESSION,
+  CONTINUOUS_SESSION,
+  sessionFor,
+  parseInterval,
+  isNativeInterval,
+  baseInterval
+};
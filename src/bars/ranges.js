@@ -0,0 +1,117 @@
+/**
+ * Helpers for inclusive calendar date ranges, written as [from, to] pairs of
+ * YYYY-MM-DD strings. Dates in this format sort lexically, so they are
+ * compared as strings.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shift a date by a number of days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the calendar date (UTC) of a timestamp
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function dayOf(timestamp) {
+  return timestamp.slice(0, 10);
+}
+
+/**
+ * Sort ranges and merge those that overlap or touch
+ * @param {Array<Array<string>>} ranges - Date ranges
+ * @returns {Array<Array<string>>} Merged ranges
+ */
+function mergeRanges(ranges) {
+  const sorted = ranges
+    .filter(([from, to]) => from <= to)
+    .map(([from, to]) => [from, to])
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= addDays(last[1], 1)) {
+      if (range[1] > last[1]) {
+        last[1] = range[1];
+      }
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Get the parts of a range not covered by a set of ranges
+ * @param {Array<string>} range - Requested range
+ * @param {Array<Array<string>>} covered - Covered ranges
+ * @returns {Array<Array<string>>} Missing ranges, in order
+ */
+function missingRanges([from, to], covered) {
+  const missing = [];
+  let cursor = from;
+
+  for (const [start, end] of mergeRanges(covered)) {
+    if (end < cursor) {
+      continue;
+    }
+    if (start > to) {
+      break;
+    }
+    if (start > cursor) {
+      missing.push([cursor, addDays(start, -1)]);
+    }
+    cursor = addDays(end, 1);
+    if (cursor > to) {
+      return missing;
+    }
+  }
+
+  missing.push([cursor, to]);
+  return missing;
+}
+
+/**
+ * Clip ranges to a window
+ * @param {Array<Array<string>>} ranges - Date ranges
+ * @param {Array<string>} window - Window range
+ * @returns {Array<Array<string>>} Ranges within the window
+ */
+function clipRanges(ranges, [from, to]) {
+  return ranges
+    .map(([start, end]) => [start > from ? start : from, end < to ? end : to])
+    .filter(([start, end]) => start <= end);
+}
+
+/**
+ * Split a range into consecutive windows of at most a number of days
+ * @param {Array<string>} range - Date range
+ * @param {number} days - Maximum days per window
+ * @returns {Array<Array<string>>} Windows
+ */
+function splitRange([from, to], days) {
+  const windows = [];
+  for (let start = from; start <= to; start = addDays(start, days)) {
+    const end = addDays(start, days - 1);
+    windows.push([start, end < to ? end : to]);
+  }
+  return windows;
+}
+
+module.exports = {
+  addDays,
+  dayOf,
+  mergeRanges,
+  missingRanges,
+  clipRanges,
+  splitRange
+};
@@ -0,0 +1,125 @@
+const { REGULAR_SESSION, parseInterval } = require('./intervals');
+const { localDate, localMinutes, regularHours, tradingDayNumber, tradingDayFromNumber } = require('../calendar');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Months per bucket for each calendar unit
+const UNIT_MONTHS = { M: 1, q: 3, y: 12 };
+
+// 1970-01-05 was a Monday; weeks are counted from it
+const FIRST_MONDAY = 4;
+
+/**
+ * Get the start of the intraday bucket a time falls in. Buckets are counted
+ * from the session open and cut at the session close, so no bucket spans
+ * the open or the close: pre-market buckets end at the open, regular buckets
+ * start at it (the last one is cut short at the close) and after-hours
+ * buckets start at the close. On an exchange's early-close days the session
+ * closes early.
+ * @param {number} time - Time (ms since epoch)
+ * @param {number} size - Bucket size in minutes
+ * @param {Object} session - Trading session
+ * @returns {number} Bucket start (ms since epoch)
+ */
+function intradayBucket(time, size, session) {
+  const minutes = localMinutes(time, session.timeZone);
+  const hours = session.exchangeCalendar ? regularHours(localDate(time, session.timeZone)) : null;
+  const close = hours ? hours.close : session.close;
+
+  let start;
+  if (minutes < session.open) {
+    start = Math.max(0, session.open - Math.ceil((session.open - minutes) / size) * size);
+  } else if (minutes < close) {
+    start = session.open + Math.floor((minutes - session.open) / size) * size;
+  } else {
+    start = close + Math.floor((minutes - close) / size) * size;
+  }
+
+  return time - (minutes - start) * MINUTE_MS;
+}
+
+/**
+ * Get the start of the calendar bucket a daily bar falls in. Days are
+ * consecutive trading days on an exchange calendar (numbered from 1970, so
+ * groups don't depend on the range requested) and calendar days from
+ * 1970-01-01 otherwise; weeks start on Monday and months, quarters and years
+ * on the first of the month.
+ * @param {number} time - Time (ms since epoch)
+ * @param {Object} spec - Parsed interval
+ * @param {Object} session - Trading session
+ * @returns {number} Bucket start (ms since epoch, midnight UTC)
+ */
+function calendarBucket(time, spec, session) {
+  const day = Math.floor(time / DAY_MS);
+
+  if (spec.unit === 'd' && session.exchangeCalendar) {
+    const number = tradingDayNumber(new Date(day * DAY_MS).toISOString().slice(0, 10));
+    return Date.parse(`${tradingDayFromNumber(Math.floor(number / spec.count) * spec.count)}T00:00:00Z`);
+  }
+  if (spec.unit === 'd') {
+    return Math.floor(day / spec.count) * spec.count * DAY_MS;
+  }
+  if (spec.unit === 'w') {
+    const days = spec.count * 7;
+    return (FIRST_MONDAY + Math.floor((day - FIRST_MONDAY) / days) * days) * DAY_MS;
+  }
+
+  const date = new Date(time);
+  const months = spec.count * UNIT_MONTHS[spec.unit];
+  const month = Math.floor((date.getUTCFullYear() * 12 + date.getUTCMonth()) / months) * months;
+  return Date.UTC(Math.floor(month / 12), month % 12, 1);
+}
+
+/**
+ * Resample bars to a coarser interval. Each bucket opens at its first bar's
+ * open, closes at its last bar's close, spans the highest high and lowest
+ * low, and sums the volume. Buckets are labeled with their start time and
+ * buckets without bars are omitted.
+ * @param {Array<Object>} bars - Bars at a finer interval, as normalized candles
+ * @param {string} interval - Target interval
+ * @param {Object} session - Trading session for intraday buckets (optional)
+ * @returns {Array<Object>} Resampled bars, in time order
+ */
+function resampleBars(bars, interval, session = REGULAR_SESSION) {
+  const spec = parseInterval(interval);
+  if (!spec) {
+    throw new Error(`Invalid interval: ${interval}`);
+  }
+
+  const buckets = new Map();
+  const sorted = [...bars].sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+
+  for (const bar of sorted) {
+    const time = Date.parse(bar.timestamp);
+    const start = spec.minutes === null
+      ? calendarBucket(time, spec, session)
+      : intradayBucket(time, spec.minutes, session);
+    const bucket = buckets.get(start);
+
+    if (!bucket) {
+      buckets.set(start, {
+        timestamp: new Date(start).toISOString(),
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume === undefined ? null : bar.volume
+      });
+      continue;
+    }
+
+    bucket.high = Math.max(bucket.high, bar.high);
+    bucket.low = Math.min(bucket.low, bar.low);
+    bucket.close = bar.close;
+    if (bar.volume !== null && bar.volume !== undefined) {
+      bucket.volume = (bucket.volume || 0) + bar.volume;
+    }
+  }
+
+  return [...buckets.values()];
+}
+
+module.exports = {
+  resampleBars
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * File Store
+ * Cache store that persists each entry as a JSON file, so cached data
+ * survives restarts
+ */
+class FileStore {
+  /**
+   * @param {string} dir - Directory to store entries in
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Get the file path for a key
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Get an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Cache entry
+   */
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading cache entry ${key}:`, error);
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   */
+  async set(key, entry) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.filePath(key), JSON.stringify(entry));
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = FileStore;
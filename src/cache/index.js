@@ -0,0 +1,40 @@
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const RedisStore = require('./redisStore');
+const ResponseCache = require('./responseCache');
+
+/**
+ * Create the cache store named in the cache configuration
+ * @param {Object} config - Cache configuration from loadCacheConfig
+ * @returns {Object} Cache store
+ */
+function createCacheStore(config) {
+  switch (config.store) {
+    case 'memory':
+      return new MemoryStore(config.maxEntries);
+    case 'file':
+      return new FileStore(config.dir);
+    case 'redis': {
+      let redis;
+      try {
+        redis = require('redis');
+      } catch (error) {
+        throw new Error('CACHE_STORE=redis requires the redis package (npm install redis)');
+      }
+      const client = redis.createClient({ url: config.redisUrl });
+      client.on('error', error => console.error('Redis cache error:', error));
+      client.connect().catch(error => console.error('Error connecting to Redis cache:', error));
+      return new RedisStore(client);
+    }
+    default:
+      throw new Error('Invalid cache store. Choose from: memory, file, redis');
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  RedisStore,
+  ResponseCache,
+  createCacheStore
+};
@@ -0,0 +1,60 @@
+/**
+ * Memory Store
+ * In-process cache store. Evicts the least recently used entry once the
+ * entry limit is reached.
+ */
+class MemoryStore {
+  /**
+   * @param {number} maxEntries - Maximum number of entries to keep
+   */
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Cache entry
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry !== undefined) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = MemoryStore;
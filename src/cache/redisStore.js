@@ -0,0 +1,56 @@
+/**
+ * Redis Store
+ * Cache store backed by any client exposing the node-redis style
+ * get/set/del/scanIterator methods. A local stand-in with the same methods
+ * can be passed in for development and testing.
+ */
+class RedisStore {
+  /**
+   * @param {Object} client - Connected Redis-compatible client
+   * @param {string} prefix - Key prefix (optional)
+   */
+  constructor(client, prefix = 'market-data:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Get an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Cache entry
+   */
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value ? JSON.parse(value) : undefined;
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   * @param {number} ttl - Seconds until the entry can be dropped (optional)
+   */
+  async set(key, entry, ttl) {
+    const options = ttl ? { EX: Math.ceil(ttl) } : undefined;
+    await this.client.set(this.prefix + key, JSON.stringify(entry), options);
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  /**
+   * Remove every entry under the prefix
+   */
+  async clear() {
+    for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*` })) {
+      await this.client.del(key);
+    }
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,147 @@
+/**
+ * Response Cache
+ * Caches provider responses with a freshness TTL and a stale-while-revalidate
+ * window. Stale entries are served immediately while a single background
+ * refresh replaces them.
+ */
+class ResponseCache {
+  /**
+   * @param {Object} store - Cache store (MemoryStore, FileStore or RedisStore)
+   */
+  constructor(store) {
+    this.store = store;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Get a value from the cache, fetching it when missing or expired
+   * @param {string} key - Cache key
+   * @param {Object} policy - Cache policy
+   * @param {number|null|Function} policy.ttl - Freshness in seconds, null for immutable, or a function of the fetched value returning either
+   * @param {number} policy.staleTtl - Seconds past expiry a stale value may be served
+   * @param {Function} fetch - Produces a fresh value
+   * @returns {Promise<Object>} { value, status ('hit', 'stale' or 'miss'), age, maxAge }
+   */
+  async wrap(key, policy, fetch) {
+    const entry = await this.readEntry(key);
+    const now = Date.now();
+
+    if (entry) {
+      const age = Math.floor((now - entry.storedAt) / 1000);
+
+      if (entry.expiresAt === null || now < entry.expiresAt) {
+        return { value: entry.value, status: 'hit', age, maxAge: this.maxAge(entry, now) };
+      }
+
+      if (now < entry.staleUntil) {
+        this.refresh(key, policy, fetch).catch(error => {
+          console.error(`Error refreshing cache entry ${key}:`, error);
+        });
+        return { value: entry.value, status: 'stale', age, maxAge: 0 };
+      }
+    }
+
+    const fresh = await this.refresh(key, policy, fetch);
+    return { value: fresh.value, status: 'miss', age: 0, maxAge: this.maxAge(fresh, Date.now()) };
+  }
+
+  /**
+   * Fetch a fresh value and store it. Concurrent refreshes of the same key
+   * share one fetch.
+   * @param {string} key - Cache key
+   * @param {Object} policy - Cache policy
+   * @param {Function} fetch - Produces a fresh value
+   * @returns {Promise<Object>} Stored cache entry
+   */
+  refresh(key, policy, fetch) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const pending = (async () => this.put(key, policy, await fetch()))();
+
+    this.inFlight.set(key, pending);
+    pending.then(
+      () => this.inFlight.delete(key),
+      () => this.inFlight.delete(key)
+    );
+
+    return pending;
+  }
+
+  /**
+   * Store a value under a cache policy
+   * @param {string} key - Cache key
+   * @param {Object} policy - Cache policy
+   * @param {Object} value - Value to store
+   * @returns {Promise<Object>} Stored cache entry
+   */
+  async put(key, policy, value) {
+    const storedAt = Date.now();
+    const ttl = typeof policy.ttl === 'function' ? policy.ttl(value) : policy.ttl;
+    const immutable = ttl === null;
+    const entry = {
+      value,
+      storedAt,
+      expiresAt: immutable ? null : storedAt + ttl * 1000,
+      staleUntil: immutable ? null : storedAt + (ttl + policy.staleTtl) * 1000
+    };
+
+    await this.store.set(key, entry, immutable ? undefined : ttl + policy.staleTtl);
+    return entry;
+  }
+
+  /**
+   * Get a value only if a fresh copy is cached
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} { value, status: 'hit', age, maxAge }
+   */
+  async peek(key) {
+    const entry = await this.readEntry(key);
+    const now = Date.now();
+
+    if (entry && (entry.expiresAt === null || now < entry.expiresAt)) {
+      return {
+        value: entry.value,
+        status: 'hit',
+        age: Math.floor((now - entry.storedAt) / 1000),
+        maxAge: this.maxAge(entry, now)
+      };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Read an entry, treating store failures as a miss
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Cache entry
+   */
+  async readEntry(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.error(`Error reading cache entry ${key}:`, error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Seconds until an entry expires, null for immutable entries
+   * @param {Object} entry - Cache entry
+   * @param {number} now - Current time in ms
+   * @returns {number|null} Seconds remaining
+   */
+  maxAge(entry, now) {
+    return entry.expiresAt === null ? null : Math.max(0, Math.floor((entry.expiresAt - now) / 1000));
+  }
+
+  /**
+   * Remove every cached value
+   */
+  async clear() {
+    await this.store.clear();
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,162 @@
+/**
+ * NYSE and NASDAQ holiday and early close rules. Both exchanges follow the
+ * same schedule: full closures on the holidays below, moved to Friday when
+ * they fall on a Saturday and to Monday when they fall on a Sunday (except
+ * New Year's Day, which is not made up when it falls on a Saturday), and a
+ * 1:00 pm close on the eve of Independence Day and Christmas and the day
+ * after Thanksgiving.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unscheduled closures (national days of mourning, weather, emergencies)
+const SPECIAL_CLOSURES = {
+  '2001-09-11': 'September 11 attacks',
+  '2001-09-12': 'September 11 attacks',
+  '2001-09-13': 'September 11 attacks',
+  '2001-09-14': 'September 11 attacks',
+  '2004-06-11': 'National Day of Mourning for Ronald Reagan',
+  '2007-01-02': 'National Day of Mourning for Gerald Ford',
+  '2012-10-29': 'Hurricane Sandy',
+  '2012-10-30': 'Hurricane Sandy',
+  '2018-12-05': 'National Day of Mourning for George H. W. Bush',
+  '2025-01-09': 'National Day of Mourning for Jimmy Carter'
+};
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function format(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the nth given weekday of a month
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Weekday (0 = Sunday)
+ * @param {number} n - Occurrence (1-based), or -1 for the last
+ * @returns {Date} Date
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    return new Date(last.getTime() - ((last.getUTCDay() - weekday + 7) % 7) * DAY_MS);
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  return new Date(first.getTime() + (((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7) * DAY_MS);
+}
+
+/**
+ * Get Easter Sunday (Gregorian computus)
+ * @param {number} year - Year
+ * @returns {Date} Date
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Move a fixed-date holiday that falls on a weekend to the nearest weekday
+ * @param {Date} date - Holiday date
+ * @returns {Date} Observed date
+ */
+function observed(date) {
+  const weekday = date.getUTCDay();
+  if (weekday === 6) {
+    return new Date(date.getTime() - DAY_MS);
+  }
+  if (weekday === 0) {
+    return new Date(date.getTime() + DAY_MS);
+  }
+  return date;
+}
+
+/**
+ * Get the full-day closures in a year
+ * @param {number} year - Year
+ * @returns {Map<string, string>} Holiday names keyed by date (YYYY-MM-DD)
+ */
+function holidaysInYear(year) {
+  const holidays = new Map();
+  const add = (date, name) => holidays.set(format(date), name);
+
+  const newYear = new Date(Date.UTC(year, 0, 1));
+  if (newYear.getUTCDay() !== 6) {
+    add(observed(newYear), "New Year's Day");
+  }
+  if (year >= 1998) {
+    add(nthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day');
+  }
+  add(nthWeekday(year, 1, 1, 3), "Washington's Birthday");
+  add(new Date(easterSunday(year).getTime() - 2 * DAY_MS), 'Good Friday');
+  add(nthWeekday(year, 4, 1, -1), 'Memorial Day');
+  if (year >= 2022) {
+    add(observed(new Date(Date.UTC(year, 5, 19))), 'Juneteenth National Independence Day');
+  }
+  add(observed(new Date(Date.UTC(year, 6, 4))), 'Independence Day');
+  add(nthWeekday(year, 8, 1, 1), 'Labor Day');
+  add(nthWeekday(year, 10, 4, 4), 'Thanksgiving Day');
+  add(observed(new Date(Date.UTC(year, 11, 25))), 'Christmas Day');
+
+  for (const [date, name] of Object.entries(SPECIAL_CLOSURES)) {
+    if (date.startsWith(String(year))) {
+      holidays.set(date, name);
+    }
+  }
+  return holidays;
+}
+
+/**
+ * Get the early-close (1:00 pm) days in a year
+ * @param {number} year - Year
+ * @returns {Map<string, string>} Reasons keyed by date (YYYY-MM-DD)
+ */
+function earlyClosesInYear(year) {
+  const earlyCloses = new Map();
+
+  // Only when July 3rd and 4th are both weekdays; otherwise the 3rd is a
+  // weekend day or the observed holiday
+  const julyThird = new Date(Date.UTC(year, 6, 3));
+  if (julyThird.getUTCDay() >= 1 && julyThird.getUTCDay() <= 4) {
+    earlyCloses.set(format(julyThird), 'Independence Day eve');
+  }
+
+  const thanksgiving = nthWeekday(year, 10, 4, 4);
+  earlyCloses.set(format(new Date(thanksgiving.getTime() + DAY_MS)), 'Day after Thanksgiving');
+
+  const christmasEve = new Date(Date.UTC(year, 11, 24));
+  if (christmasEve.getUTCDay() >= 1 && christmasEve.getUTCDay() <= 4) {
+    earlyCloses.set(format(christmasEve), 'Christmas Eve');
+  }
+
+  // A special closure takes precedence
+  for (const date of earlyCloses.keys()) {
+    if (SPECIAL_CLOSURES[date]) {
+      earlyCloses.delete(date);
+    }
+  }
+  return earlyCloses;
+}
+
+module.exports = {
+  SPECIAL_CLOSURES,
+  holidaysInYear,
+  earlyClosesInYear
+};
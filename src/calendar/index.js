@@ -0,0 +1,403 @@
+const { holidaysInYear, earlyClosesInYear } = require('./holidays');
+
+/**
+ * Trading Calendar
+ * Trading days and sessions for US equity exchanges. NYSE and NASDAQ share
+ * holidays, early closes and session times, so one calendar serves both.
+ * Session times are minutes after midnight, New York time.
+ */
+
+// Exchanges the calendar covers
+const EXCHANGES = ['NYSE', 'NASDAQ'];
+
+// Exchange time zone
+const TIME_ZONE = 'America/New_York';
+
+// Session times on a full trading day
+const SESSIONS = {
+  preMarket: { start: 4 * 60, end: 9 * 60 + 30 },
+  regular: { start: 9 * 60 + 30, end: 16 * 60 },
+  postMarket: { start: 16 * 60, end: 20 * 60 }
+};
+
+// Regular and post-market close on an early-close day
+const EARLY_CLOSE = 13 * 60;
+const EARLY_POST_MARKET_CLOSE = 17 * 60;
+
+// Market status for each session, and when none is running
+const SESSION_STATUS = {
+  preMarket: 'pre-market',
+  regular: 'open',
+  postMarket: 'post-market'
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// The forex week runs from Sunday to Friday at 5:00 pm New York time
+const FOREX_WEEK_CHANGE = 17 * 60;
+
+// Longest search for the next or previous trading day, in days
+const MAX_SEARCH_DAYS = 14;
+
+// Trading days are numbered from the first one of this year
+const FIRST_NUMBERED_YEAR = 1970;
+
+// Formatters per time zone, holidays and early closes per year, and trading
+// days per year with the number of the year's first one
+const formatters = new Map();
+const years = new Map();
+const tradingYears = new Map();
+
+/**
+ * Get the wall-clock parts of a time in a time zone
+ * @param {number} time - Time (ms since epoch)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function wallClock(time, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timeZone).formatToParts(new Date(time)).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  });
+  return parts;
+}
+
+/**
+ * Get the local date of a time
+ * @param {number|Date} time - Time
+ * @param {string} timeZone - IANA time zone (optional, default New York)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function localDate(time, timeZone = TIME_ZONE) {
+  const { year, month, day } = wallClock(Number(time), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get the local time of day of a time
+ * @param {number|Date} time - Time
+ * @param {string} timeZone - IANA time zone (optional, default New York)
+ * @returns {number} Minutes since local midnight, including fractions
+ */
+function localMinutes(time, timeZone = TIME_ZONE) {
+  const { hour, minute, second } = wallClock(Number(time), timeZone);
+  return hour * 60 + minute + second / 60 + (Number(time) % 1000) / MINUTE_MS;
+}
+
+/**
+ * Get the instant of a local date and time of day
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - IANA time zone (optional, default New York)
+ * @returns {number} Time (ms since epoch)
+ */
+function zonedTime(date, minutes, timeZone = TIME_ZONE) {
+  const wall = Date.parse(`${date}T00:00:00Z`) + minutes * MINUTE_MS;
+  const offsetAt = time => {
+    const { year, month, day, hour, minute, second } = wallClock(time, timeZone);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - time;
+  };
+
+  // The offset at the first guess may be across a DST change; check again
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+/**
+ * Shift a date by a number of days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Get holidays and early closes for a year, computed once
+ * @param {number} year - Year
+ * @returns {Object} { holidays, earlyCloses }
+ */
+function scheduleFor(year) {
+  if (!years.has(year)) {
+    years.set(year, { holidays: holidaysInYear(year), earlyCloses: earlyClosesInYear(year) });
+  }
+  return years.get(year);
+}
+
+/**
+ * Describe a calendar day
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} { date, status, holiday, earlyClose, sessions }: status is
+ *   'open', 'early-close', 'holiday' or 'weekend'; sessions holds the
+ *   { start, end } ISO times of the preMarket, regular and postMarket
+ *   sessions, or is null when the market is closed all day
+ */
+function getTradingDay(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const { holidays, earlyCloses } = scheduleFor(Number(date.slice(0, 4)));
+  const holiday = holidays.get(date) || null;
+  const earlyClose = earlyCloses.get(date) || null;
+
+  if (weekday === 0 || weekday === 6 || holiday) {
+    return {
+      date,
+      status: holiday ? 'holiday' : 'weekend',
+      holiday,
+      earlyClose: null,
+      sessions: null
+    };
+  }
+
+  const times = {
+    preMarket: SESSIONS.preMarket,
+    regular: earlyClose ? { start: SESSIONS.regular.start, end: EARLY_CLOSE } : SESSIONS.regular,
+    postMarket: earlyClose ? { start: EARLY_CLOSE, end: EARLY_POST_MARKET_CLOSE } : SESSIONS.postMarket
+  };
+
+  const sessions = {};
+  for (const [name, { start, end }] of Object.entries(times)) {
+    sessions[name] = {
+      start: new Date(zonedTime(date, start)).toISOString(),
+      end: new Date(zonedTime(date, end)).toISOString()
+    };
+  }
+
+  return {
+    date,
+    status: earlyClose ? 'early-close' : 'open',
+    holiday: null,
+    earlyClose,
+    sessions
+  };
+}
+
+/**
+ * Check whether the market trades on a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean} True for trading days, including early closes
+ */
+function isTradingDay(date) {
+  return getTradingDay(date).sessions !== null;
+}
+
+/**
+ * List the trading days in a date range
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD), inclusive
+ * @returns {Array<string>} Trading days
+ */
+function tradingDaysBetween(from, to) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (isTradingDay(date)) {
+      days.push(date);
+    }
+  }
+  return days;
+}
+
+/**
+ * Get the regular session hours of a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} { open, close } in minutes after midnight New York
+ *   time, or null when the market is closed all day
+ */
+function regularHours(date) {
+  const { sessions, earlyClose } = getTradingDay(date);
+  if (!sessions) {
+    return null;
+  }
+  return { open: SESSIONS.regular.start, close: earlyClose ? EARLY_CLOSE : SESSIONS.regular.end };
+}
+
+/**
+ * Get a year's trading days and the number of its first one, computed once
+ * @param {number} year - Year
+ * @returns {Object} { days, first }: days in order; first counts the trading
+ *   days from FIRST_NUMBERED_YEAR up to the year (negative before it)
+ */
+function tradingYear(year) {
+  if (!tradingYears.has(year)) {
+    const days = tradingDaysBetween(`${year}-01-01`, `${year}-12-31`);
+    let first = 0;
+    if (year > FIRST_NUMBERED_YEAR) {
+      const previous = tradingYear(year - 1);
+      first = previous.first + previous.days.length;
+    } else if (year < FIRST_NUMBERED_YEAR) {
+      first = tradingYear(year + 1).first - days.length;
+    }
+    tradingYears.set(year, { days, first });
+  }
+  return tradingYears.get(year);
+}
+
+/**
+ * Number a trading day, counting trading days from 1970, so that groups of
+ * consecutive trading days can be formed the same way for any date range
+ * @param {string} date - Date (YYYY-MM-DD); a day the market is closed gets
+ *   the number of the next trading day
+ * @returns {number} Trading day number
+ */
+function tradingDayNumber(date) {
+  const { days, first } = tradingYear(Number(date.slice(0, 4)));
+  const index = days.findIndex(day => day >= date);
+  return first + (index === -1 ? days.length : index);
+}
+
+/**
+ * Get the trading day with a number from tradingDayNumber
+ * @param {number} number - Trading day number
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function tradingDayFromNumber(number) {
+  let year = FIRST_NUMBERED_YEAR;
+  while (tradingYear(year).first > number) {
+    year--;
+  }
+  while (tradingYear(year).first + tradingYear(year).days.length <= number) {
+    year++;
+  }
+  const { days, first } = tradingYear(year);
+  return days[number - first];
+}
+
+/**
+ * Describe every weekday in a date range: trading days with their sessions,
+ * early closes and holidays. Weekends are left out.
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD), inclusive
+ * @returns {Array<Object>} Days, as returned by getTradingDay
+ */
+function getCalendar(from, to) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const day = getTradingDay(date);
+    if (day.status !== 'weekend') {
+      days.push(day);
+    }
+  }
+  return days;
+}
+
+/**
+ * Find the nearest trading day after (or before) a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} step - 1 to search forward, -1 to search back
+ * @returns {Object} Trading day, as returned by getTradingDay
+ */
+function adjacentTradingDay(date, step) {
+  for (let i = 1; i <= MAX_SEARCH_DAYS; i++) {
+    const day = getTradingDay(addDays(date, i * step));
+    if (day.sessions) {
+      return day;
+    }
+  }
+  throw new Error(`No trading day within ${MAX_SEARCH_DAYS} days of ${date}`);
+}
+
+/**
+ * Get the market status at a time
+ * @param {Date} now - Time (optional, defaults to now)
+ * @returns {Object} { status, date, holiday, earlyClose, session, nextOpen,
+ *   nextClose, lastClose, lastSessionEnd, timestamp }: status is
+ *   'pre-market', 'open', 'post-market' or 'closed'; session is the current
+ *   { name, start, end } or null; lastSessionEnd is when trading last
+ *   stopped, including after-hours
+ */
+function getMarketStatus(now = new Date()) {
+  const time = now.toISOString();
+  const today = getTradingDay(localDate(now));
+  const previous = adjacentTradingDay(today.date, -1);
+  const next = adjacentTradingDay(today.date, 1);
+
+  let session = null;
+  if (today.sessions) {
+    const name = Object.keys(SESSION_STATUS)
+      .find(key => today.sessions[key].start <= time && time < today.sessions[key].end);
+    if (name) {
+      session = { name, ...today.sessions[name] };
+    }
+  }
+
+  // Trading days around now, in order, to find the sessions either side of it
+  const days = [previous, today, next].filter(day => day.sessions);
+  const regular = days.map(day => day.sessions.regular);
+
+  const nextOpen = regular.find(({ start }) => start > time);
+  const nextClose = regular.find(({ end }) => end > time);
+  const lastClose = regular.filter(({ end }) => end <= time).pop();
+  const lastSessionEnd = days
+    .map(day => day.sessions.postMarket.end)
+    .filter(end => end <= time)
+    .pop();
+
+  return {
+    status: session ? SESSION_STATUS[session.name] : 'closed',
+    date: today.date,
+    holiday: today.holiday,
+    earlyClose: today.earlyClose,
+    session,
+    nextOpen: nextOpen ? nextOpen.start : null,
+    nextClose: nextClose ? nextClose.end : null,
+    lastClose: lastClose ? lastClose.end : null,
+    lastSessionEnd: lastSessionEnd || null,
+    timestamp: time
+  };
+}
+
+/**
+ * Check whether the forex market is open, which it is around the clock from
+ * Sunday 5:00 pm to Friday 5:00 pm New York time
+ * @param {Date} now - Time (optional, defaults to now)
+ * @returns {boolean} True if open
+ */
+function isForexOpen(now = new Date()) {
+  const weekday = new Date(`${localDate(now)}T00:00:00Z`).getUTCDay();
+  const minutes = localMinutes(now);
+
+  if (weekday === 6) {
+    return false;
+  }
+  if (weekday === 5) {
+    return minutes < FOREX_WEEK_CHANGE;
+  }
+  if (weekday === 0) {
+    return minutes >= FOREX_WEEK_CHANGE;
+  }
+  return true;
+}
+
+module.exports = {
+  EXCHANGES,
+  TIME_ZONE,
+  SESSIONS,
+  localDate,
+  localMinutes,
+  zonedTime,
+  getTradingDay,
+  isTradingDay,
+  tradingDaysBetween,
+  regularHours,
+  tradingDayNumber,
+  tradingDayFromNumber,
+  getCalendar,
+  getMarketStatus,
+  isForexOpen
+};
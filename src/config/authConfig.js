@@ -0,0 +1,27 @@
+const { parseCount } = require('./parseEnv');
+
+/**
+ * Load API key authentication and usage metering configuration from the environment
+ *   API_AUTH                       'off' disables API keys; every caller is anonymous (default on)
+ *   API_KEYS_FILE                  JSON file holding the API keys (default .data/api-keys.json)
+ *   API_KEY_REQUESTS_PER_MINUTE    rate limit for keys that don't set their own, 0 for none (default 60)
+ *   API_KEY_DAILY_QUOTA            daily quota for keys that don't set their own, 0 for none (default 10000)
+ *   USAGE_FILE                     JSON file usage counters are saved to (default .data/usage.json)
+ *   USAGE_RETENTION_DAYS           days of usage kept (default 90)
+ * @param {Object} env - Environment variables (optional)
+ * @returns {Object} Auth configuration
+ */
+function loadAuthConfig(env = process.env) {
+  return {
+    enabled: env.API_AUTH !== 'off',
+    keysFile: env.API_KEYS_FILE || '.data/api-keys.json',
+    requestsPerMinute: parseCount(env.API_KEY_REQUESTS_PER_MINUTE, 60),
+    dailyQuota: parseCount(env.API_KEY_DAILY_QUOTA, 10000),
+    usageFile: env.USAGE_FILE || '.data/usage.json',
+    usageRetentionDays: parseCount(env.USAGE_RETENTION_DAYS, 90) || 90
+  };
+}
+
+module.exports = {
+  loadAuthConfig
+};
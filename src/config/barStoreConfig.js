@@ -0,0 +1,17 @@
+/**
+ * Load bar store configuration from the environment
+ *   BAR_STORE       'off' disables the store (default on)
+ *   BAR_STORE_DIR   directory for stored bars (default .data/bars)
+ * @param {Object} env - Environment variables (optional)
+ * @returns {Object} Bar store configuration
+ */
+function loadBarStoreConfig(env = process.env) {
+  return {
+    enabled: env.BAR_STORE !== 'off',
+    dir: env.BAR_STORE_DIR || '.data/bars'
+  };
+}
+
+module.exports = {
+  loadBarStoreConfig
+};
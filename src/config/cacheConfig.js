@@ -0,0 +1,67 @@
+const { parseCount } = require('./parseEnv');
+
+/**
+ * Default freshness (seconds) per data type. Historical bars whose range has
+ * fully closed never expire; these values apply to ranges that include today.
+ */
+const DEFAULT_TTLS = {
+  quote: 15,
+  profile: 86400,
+  candles: 300,
+  options: 300,
+  actions: 86400,
+  search: 86400,
+  fundamentals: 3600,
+  financials: 86400
+};
+
+/**
+ * How long (seconds) past expiry an entry may still be served while it is
+ * refreshed in the background
+ */
+const DEFAULT_STALE_TTLS = {
+  quote: 60,
+  profile: 604800,
+  candles: 3600,
+  options: 900,
+  actions: 604800,
+  search: 604800,
+  fundamentals: 86400,
+  financials: 604800
+};
+
+/**
+ * Load cache configuration from the environment
+ *   CACHE_STORE          memory (default), file or redis
+ *   CACHE_DIR            directory for the file store (default .cache)
+ *   CACHE_MAX_ENTRIES    entry limit for the memory store (default 1000)
+ *   REDIS_URL            connection string for the redis store
+ *   CACHE_TTL_<TYPE>     freshness per data type, e.g. CACHE_TTL_QUOTE=30
+ *   CACHE_STALE_<TYPE>   stale-while-revalidate window per data type
+ * @param {Object} env - Environment variables (optional)
+ * @returns {Object} Cache configuration
+ */
+function loadCacheConfig(env = process.env) {
+  const ttls = {};
+  const staleTtls = {};
+
+  for (const type of Object.keys(DEFAULT_TTLS)) {
+    ttls[type] = parseCount(env[`CACHE_TTL_${type.toUpperCase()}`], DEFAULT_TTLS[type]);
+    staleTtls[type] = parseCount(env[`CACHE_STALE_${type.toUpperCase()}`], DEFAULT_STALE_TTLS[type]);
+  }
+
+  return {
+    store: env.CACHE_STORE || 'memory',
+    dir: env.CACHE_DIR || '.cache',
+    maxEntries: parseCount(env.CACHE_MAX_ENTRIES, 1000),
+    redisUrl: env.REDIS_URL,
+    ttls,
+    staleTtls
+  };
+}
+
+module.exports = {
+  DEFAULT_TTLS,
+  DEFAULT_STALE_TTLS,
+  loadCacheConfig
+};
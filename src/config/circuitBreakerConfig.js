@@ -0,0 +1,26 @@
+const { parseCount } = require('./parseEnv');
+
+/**
+ * Load the circuit breaker settings for a provider from the environment.
+ * Provider settings override the shared ones.
+ *   CIRCUIT_FAILURE_THRESHOLD            consecutive failures that open a circuit, 0 to disable (default 5)
+ *   CIRCUIT_RESET_MS                     time an open circuit waits before letting a trial request through (default 30000)
+ *   <PREFIX>_CIRCUIT_FAILURE_THRESHOLD   threshold for one provider
+ *   <PREFIX>_CIRCUIT_RESET_MS            reset time for one provider
+ * @param {string} prefix - Environment prefix, e.g. 'FINNHUB'
+ * @param {Object} env - Environment variables (optional)
+ * @returns {Object} Circuit breaker configuration
+ */
+function loadCircuitBreakerConfig(prefix, env = process.env) {
+  const failureThreshold = parseCount(env.CIRCUIT_FAILURE_THRESHOLD, 5);
+  const resetTimeoutMs = parseCount(env.CIRCUIT_RESET_MS, 30000) || 30000;
+
+  return {
+    failureThreshold: parseCount(env[`${prefix}_CIRCUIT_FAILURE_THRESHOLD`], failureThreshold),
+    resetTimeoutMs: parseCount(env[`${prefix}_CIRCUIT_RESET_MS`], resetTimeoutMs) || resetTimeoutMs
+  };
+}
+
+module.exports = {
+  loadCircuitBreakerConfig
+};
@@ -0,0 +1,19 @@
+const { parseNumber } = require('./parseEnv');
+
+/**
+ * Load consensus quote configuration from the environment
+ *   CONSENSUS_TOLERANCE_PCT        largest deviation from the median price, in percent, that still agrees (default 0.5)
+ *   CONSENSUS_MAX_SKEW_SECONDS     how far a quote may lag the newest one before it counts as stale (default 900)
+ * @param {Object} env - Environment variables (optional)
+ * @returns {Object} { tolerancePct, maxSkewSeconds }
+ */
+function loadConsensusConfig(env = process.env) {
+  return {
+    tolerancePct: parseNumber(env.CONSENSUS_TOLERANCE_PCT, 0.5),
+    maxSkewSeconds: parseNumber(env.CONSENSUS_MAX_SKEW_SECONDS, 900)
+  };
+}
+
+module.exports = {
+  loadConsensusConfig
+};
@@ -0,0 +1,51 @@
+/**
+ * Environment variables holding the ordered, comma-separated provider chain
+ * for each capability, e.g. QUOTE_PROVIDER_CHAIN=polygon,finnhub,alphavantage
+ */
+const CHAIN_ENV_KEYS = {
+  quote: 'QUOTE_PROVIDER_CHAIN',
+  profile: 'PROFILE_PROVIDER_CHAIN',
+  candles: 'CANDLES_PROVIDER_CHAIN',
+  options: 'OPTIONS_PROVIDER_CHAIN',
+  actions: 'ACTIONS_PROVIDER_CHAIN',
+  search: 'SEARCH_PROVIDER_CHAIN',
+  stream: 'STREAM_PROVIDER_CHAIN',
+  fundamentals: 'FUNDAMENTALS_PROVIDER_CHAIN',
+  financials: 'FINANCIALS_PROVIDER_CHAIN'
+};
+
+/**
+ * Parse a comma-separated provider list
+ * @param {string} value - Provider list
+ * @returns {Array<string>} Provider ids
+ */
+function parseChain(value) {
+  return value
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Load the fallback chains configured in the environment. Capabilities without
+ * a configured chain are left out so the service can apply its default order.
+ * @param {Object} env - Environment variables (optional)
+ * @returns {Object} Provider chains keyed by capability
+ */
+function loadFallbackChains(env = process.env) {
+  const chains = {};
+
+  for (const [capability, key] of Object.entries(CHAIN_ENV_KEYS)) {
+    if (env[key]) {
+      chains[capability] = parseChain(env[key]);
+    }
+  }
+
+  return chains;
+}
+
+module.exports = {
+  CHAIN_ENV_KEYS,
+  parseChain,
+  loadFallbackChains
+};
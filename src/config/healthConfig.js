@@ -0,0 +1,23 @@
+const { parseCount } = require('./parseEnv');
+
+/**
+ * Load provider health check configuration from the environment
+ *   HEALTH_PROBE_SYMBOL        symbol quoted to probe a provider (default AAPL)
+ *   HEALTH_CHECK_TTL           seconds a health check result is reused (default 60)
+ *   HEALTH_PROBE_TIMEOUT_MS    time a probe may take before the provider counts as down (default 5000)
+ *   HEALTH_DEGRADED_MS         probe time above which a provider counts as degraded (default 2000)
+ * @param {Object} env - Environment variables (optional)
+ * @returns {Object} Health check configuration
+ */
+function loadHealthConfig(env = process.env) {
+  return {
+    probeSymbol: (env.HEALTH_PROBE_SYMBOL || 'AAPL').toUpperCase(),
+    ttlSeconds: parseCount(env.HEALTH_CHECK_TTL, 60),
+    probeTimeoutMs: parseCount(env.HEALTH_PROBE_TIMEOUT_MS, 5000) || 5000,
+    degradedMs: parseCount(env.HEALTH_DEGRADED_MS, 2000)
+  };
+}
+
+module.exports = {
+  loadHealthConfig
+};
@@ -0,0 +1,39 @@
+/**
+ * Read a non-negative integer from the environment, e.g. a count, a number
+ * of seconds or a time in milliseconds
+ * @param {string} value - Raw value
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+function parseCount(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number < 0 ? fallback : number;
+}
+
+/**
+ * Read a positive integer from the environment, for settings where zero
+ * would mean nothing can happen
+ * @param {string} value - Raw value
+ * @param {number} fallback - Value used when unset, zero or invalid
+ * @returns {number} Parsed value
+ */
+function parsePositive(value, fallback) {
+  return parseCount(value, fallback) || fallback;
+}
+
+/**
+ * Read a non-negative decimal number from the environment, e.g. a percentage
+ * @param {string} value - Raw value
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) || number < 0 ? fallback : number;
+}
+
+module.exports = {
+  parseCount,
+  parsePositive,
+  parseNumber
+};
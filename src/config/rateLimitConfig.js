@@ -0,0 +1,27 @@
+const { parsePositive } = require('./parseEnv');
+
+/**
+ * Load the rate limit budget for a provider from the environment
+ *   <PREFIX>_REQUESTS_PER_MINUTE   sustained request rate
+ *   <PREFIX>_BURST                 requests allowed back to back (default: the per-minute rate)
+ *   RATE_LIMIT_MAX_QUEUE           calls allowed to wait for a token (default 50)
+ *   RATE_LIMIT_MAX_WAIT_MS         longest a call may wait before the provider is skipped (default 10000)
+ * @param {string} prefix - Environment prefix, e.g. 'FINNHUB'
+ * @param {number} defaultPerMinute - Provider's default request budget
+ * @param {Object} env - Environment variables (optional)
+ * @returns {Object} Rate limit configuration
+ */
+function loadRateLimitConfig(prefix, defaultPerMinute, env = process.env) {
+  const requestsPerMinute = parsePositive(env[`${prefix}_REQUESTS_PER_MINUTE`], defaultPerMinute);
+
+  return {
+    requestsPerMinute,
+    burst: parsePositive(env[`${prefix}_BURST`], requestsPerMinute),
+    maxQueue: parsePositive(env.RATE_LIMIT_MAX_QUEUE, 50),
+    maxWaitMs: parsePositive(env.RATE_LIMIT_MAX_WAIT_MS, 10000)
+  };
+}
+
+module.exports = {
+  loadRateLimitConfig
+};
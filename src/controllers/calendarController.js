@@ -0,0 +1,66 @@
+const calendar = require('../calendar');
+const { addDays } = require('../bars');
+const { sendError } = require('../middleware/errorHandler');
+
+// Days listed by /calendar when only one end of the range is given
+const DEFAULT_CALENDAR_DAYS = 30;
+
+/**
+ * Calendar Controller
+ * Serves market hours from the trading calendar. No provider is involved, so
+ * these endpoints answer even when every provider is down.
+ */
+class CalendarController {
+  /**
+   * Get whether the market is open now and when it next opens and closes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getMarketStatus(req, res) {
+    try {
+      const exchange = (req.query.exchange || 'NYSE').toUpperCase();
+
+      res.status(200).json({
+        exchange,
+        timeZone: calendar.TIME_ZONE,
+        ...calendar.getMarketStatus()
+      });
+    } catch (error) {
+      console.error('Error in getMarketStatus controller:', error);
+      sendError(res, error, 'Failed to get market status');
+    }
+  }
+
+  /**
+   * List trading days, holidays and early closes in a date range. Without
+   * dates the next 30 days are listed; with one date, 30 days from or up to it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getCalendar(req, res) {
+    try {
+      const exchange = (req.query.exchange || 'NYSE').toUpperCase();
+      let { from, to } = req.query;
+
+      if (!from) {
+        from = to ? addDays(to, -DEFAULT_CALENDAR_DAYS) : calendar.localDate(new Date());
+      }
+      if (!to) {
+        to = addDays(from, DEFAULT_CALENDAR_DAYS);
+      }
+
+      res.status(200).json({
+        exchange,
+        timeZone: calendar.TIME_ZONE,
+        from,
+        to,
+        days: calendar.getCalendar(from, to)
+      });
+    } catch (error) {
+      console.error('Error in getCalendar controller:', error);
+      sendError(res, error, 'Failed to get trading calendar');
+    }
+  }
+}
+
+module.exports = CalendarController;
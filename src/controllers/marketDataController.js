@@ -1,12 +1,58 @@
 const MarketDataService = require('../services/marketDataService');
+const { parseIndicatorSpecs, listIndicators } = require('../indicators');
+const { canPrice } = require('../pricing');
+const { UpstreamError } = require('../errors');
+const { parseSymbols, parseOptionsFilters } = require('../validation');
+const { sendError } = require('../middleware/errorHandler');
+
+// Search results returned when no limit is given
+const DEFAULT_SEARCH_RESULTS = 10;
+
+// Statement periods returned when no limit is given
+const DEFAULT_FINANCIAL_PERIODS = 4;
+
+/**
+ * Set cache headers from the cache metadata attached by the service. Responses
+ * are marked private: they depend on the caller's API key, so a shared cache
+ * must not serve them to anyone else
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ */
+function setCacheHeaders(res, result) {
+  const info = result.cacheInfo;
+  if (!info) {
+    return;
+  }
+
+  res.set('X-Cache', info.status.toUpperCase());
+  res.set('Age', String(info.age));
+  res.set('Cache-Control', info.maxAge === null
+    ? 'private, max-age=31536000, immutable'
+    : `private, max-age=${info.maxAge}`);
+}
+
+/**
+ * Check whether a date falls within optional bounds
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} from - Earliest date (optional)
+ * @param {string} to - Latest date (optional)
+ * @returns {boolean} True if within the bounds
+ */
+function withinDates(date, from, to) {
+  return (!from || date >= from) && (!to || date <= to);
+}
 
 /**
  * Market Data Controller
- * Handles API requests and responses for market data
+ * Handles API requests and responses for market data. Request parameters are
+ * checked by the routes' validation middleware before a handler runs.
  */
 class MarketDataController {
-  constructor() {
-    this.marketDataService = new MarketDataService();
+  /**
+   * @param {MarketDataService} marketDataService - Service to use (optional, defaults to the shared instance)
+   */
+  constructor(marketDataService = MarketDataService.getInstance()) {
+    this.marketDataService = marketDataService;
   }
 
   /**
@@ -15,24 +61,74 @@ class MarketDataController {
    * @param {Object} res - Express response object
    */
   async getQuote(req, res) {
+    if (req.query.symbols) {
+      return this.getQuotes(req, res);
+    }
+
+    if (req.query.mode === 'consensus') {
+      return this.getConsensusQuote(req, res);
+    }
+
     try {
       const { symbol, provider } = req.query;
       
-      if (!symbol) {
-        return res.status(400).json({
-          message: 'Symbol parameter is required'
-        });
-      }
-      
       const quote = await this.marketDataService.getQuote(symbol, provider);
       
+      setCacheHeaders(res, quote);
       res.status(200).json(quote);
     } catch (error) {
       console.error('Error in getQuote controller:', error);
-      res.status(500).json({
-        message: 'Failed to fetch quote data',
-        error: error.message
+      sendError(res, error, 'Failed to fetch quote data');
+    }
+  }
+
+  /**
+   * Get a quote cross-checked across every provider, for reconciliation
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getConsensusQuote(req, res) {
+    try {
+      const { symbol, tolerance } = req.query;
+      
+      const quote = await this.marketDataService.getConsensusQuote(
+        symbol,
+        tolerance === undefined ? undefined : Number(tolerance)
+      );
+      
+      res.status(200).json(quote);
+    } catch (error) {
+      console.error('Error in getConsensusQuote controller:', error);
+      sendError(res, error, 'Failed to fetch consensus quote');
+    }
+  }
+
+  /**
+   * Get quotes for several symbols. Symbols come from the `symbols` query
+   * parameter or, for long lists, from the JSON body of a POST request.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getQuotes(req, res) {
+    try {
+      const params = req.method === 'POST' ? { ...req.query, ...req.body } : req.query;
+      const { provider } = params;
+      const symbols = parseSymbols(params.symbols);
+      
+      const results = await this.marketDataService.getQuotes(symbols, provider);
+      const succeeded = results.filter(result => result.status === 'ok').length;
+      
+      res.status(200).json({
+        results,
+        summary: {
+          requested: symbols.length,
+          succeeded,
+          failed: symbols.length - succeeded
+        }
       });
+    } catch (error) {
+      console.error('Error in getQuotes controller:', error);
+      sendError(res, error, 'Failed to fetch quote data');
     }
   }
 
@@ -45,21 +141,13 @@ class MarketDataController {
     try {
       const { symbol, provider } = req.query;
       
-      if (!symbol) {
-        return res.status(400).json({
-          message: 'Symbol parameter is required'
-        });
-      }
-      
       const profile = await this.marketDataService.getCompanyProfile(symbol, provider);
       
+      setCacheHeaders(res, profile);
       res.status(200).json(profile);
     } catch (error) {
       console.error('Error in getCompanyProfile controller:', error);
-      res.status(500).json({
-        message: 'Failed to fetch company profile',
-        error: error.message
-      });
+      sendError(res, error, 'Failed to fetch company profile');
     }
   }
 
@@ -70,35 +158,135 @@ class MarketDataController {
    */
   async getHistoricalData(req, res) {
     try {
-      const { symbol, interval, from, to, provider } = req.query;
-      
-      if (!symbol) {
-        return res.status(400).json({
-          message: 'Symbol parameter is required'
-        });
-      }
-      
-      if (!from || !to) {
-        return res.status(400).json({
-          message: 'From and to date parameters are required'
-        });
-      }
+      const { symbol, interval, from, to, provider, adjusted } = req.query;
       
       const historicalData = await this.marketDataService.getHistoricalData(
         symbol,
         interval || '1d',
         from,
         to,
-        provider
+        provider,
+        adjusted !== 'false'
       );
       
+      setCacheHeaders(res, historicalData);
       res.status(200).json(historicalData);
     } catch (error) {
       console.error('Error in getHistoricalData controller:', error);
-      res.status(500).json({
-        message: 'Failed to fetch historical data',
-        error: error.message
+      sendError(res, error, 'Failed to fetch historical data');
+    }
+  }
+
+  /**
+   * Search symbols by ticker or company name
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async searchSymbols(req, res) {
+    try {
+      const { q, limit, provider } = req.query;
+      
+      const search = await this.marketDataService.searchSymbols(q.trim(), provider);
+      
+      setCacheHeaders(res, search);
+      res.status(200).json({
+        query: search.query,
+        results: search.results.slice(0, limit ? Number(limit) : DEFAULT_SEARCH_RESULTS),
+        count: search.results.length,
+        source: search.source,
+        attempts: search.attempts,
+        cached: search.cached
       });
+    } catch (error) {
+      console.error('Error in searchSymbols controller:', error);
+      sendError(res, error, 'Failed to search symbols');
+    }
+  }
+
+  /**
+   * Get stock splits
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSplits(req, res) {
+    try {
+      const { symbol, from, to, provider } = req.query;
+      
+      const actions = await this.marketDataService.getCorporateActions(symbol, provider);
+      
+      setCacheHeaders(res, actions);
+      res.status(200).json({
+        symbol,
+        splits: actions.splits.filter(split => withinDates(split.date, from, to)),
+        source: actions.source,
+        cached: actions.cached
+      });
+    } catch (error) {
+      console.error('Error in getSplits controller:', error);
+      sendError(res, error, 'Failed to fetch splits');
+    }
+  }
+
+  /**
+   * Get cash dividends
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getDividends(req, res) {
+    try {
+      const { symbol, from, to, provider } = req.query;
+      
+      const actions = await this.marketDataService.getCorporateActions(symbol, provider);
+      
+      setCacheHeaders(res, actions);
+      res.status(200).json({
+        symbol,
+        dividends: actions.dividends.filter(dividend => withinDates(dividend.exDate, from, to)),
+        source: actions.source,
+        cached: actions.cached
+      });
+    } catch (error) {
+      console.error('Error in getDividends controller:', error);
+      sendError(res, error, 'Failed to fetch dividends');
+    }
+  }
+
+  /**
+   * Get key ratios and fundamentals
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFundamentals(req, res) {
+    try {
+      const { symbol, provider } = req.query;
+      
+      const fundamentals = await this.marketDataService.getFundamentals(symbol, provider);
+      
+      setCacheHeaders(res, fundamentals);
+      res.status(200).json(fundamentals);
+    } catch (error) {
+      console.error('Error in getFundamentals controller:', error);
+      sendError(res, error, 'Failed to fetch fundamentals');
+    }
+  }
+
+  /**
+   * Get financial statements
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFinancials(req, res) {
+    try {
+      const { symbol, period = 'annual', limit, provider } = req.query;
+      
+      const financials = await this.marketDataService.getFinancials(symbol, period,
+        limit ? Number(limit) : DEFAULT_FINANCIAL_PERIODS, provider);
+      
+      setCacheHeaders(res, financials);
+      res.status(200).json(financials);
+    } catch (error) {
+      console.error('Error in getFinancials controller:', error);
+      sendError(res, error, 'Failed to fetch financial statements');
     }
   }
 
@@ -109,23 +297,44 @@ class MarketDataController {
    */
   async getOptionsChain(req, res) {
     try {
-      const { symbol, provider } = req.query;
+      const { symbol, provider, greeks, model, riskFreeRate, dividendYield } = req.query;
+      
+      const { filters } = parseOptionsFilters(req.query);
+      
+      const optionsChain = await this.marketDataService.getOptionsChain(symbol, provider, filters);
+      
+      // The underlying price is needed for moneyness, and for Greeks when some contract has a price or volatility
+      const needsQuote = filters.moneyness || filters.strikesAroundATM !== undefined
+        || (greeks !== 'false' && optionsChain.options.some(canPrice));
+      const quote = needsQuote
+        ? await this.marketDataService.getQuote(symbol).catch(error => {
+          console.error(`Error fetching underlying quote for ${symbol}:`, error.message);
+          return null;
+        })
+        : null;
+      const underlyingPrice = quote ? quote.price : null;
+
+      if (underlyingPrice === null && (filters.moneyness || filters.strikesAroundATM !== undefined)) {
+        return sendError(res, new UpstreamError('Underlying price is unavailable, so moneyness filters cannot be applied'));
+      }
+
+      const filteredChain = this.marketDataService.filterOptionsChain(optionsChain, filters, underlyingPrice);
+      setCacheHeaders(res, optionsChain);
       
-      if (!symbol) {
-        return res.status(400).json({
-          message: 'Symbol parameter is required'
-        });
+      if (greeks === 'false') {
+        return res.status(200).json(filteredChain);
       }
       
-      const optionsChain = await this.marketDataService.getOptionsChain(symbol, provider);
+      const pricedChain = this.marketDataService.calculateGreeks(filteredChain, underlyingPrice, {
+        model,
+        riskFreeRate: riskFreeRate === undefined ? undefined : Number(riskFreeRate),
+        dividendYield: dividendYield === undefined ? undefined : Number(dividendYield)
+      });
       
-      res.status(200).json(optionsChain);
+      res.status(200).json(pricedChain);
     } catch (error) {
       console.error('Error in getOptionsChain controller:', error);
-      res.status(500).json({
-        message: 'Failed to fetch options chain',
-        error: error.message
-      });
+      sendError(res, error, 'Failed to fetch options chain');
     }
   }
 
@@ -136,19 +345,9 @@ class MarketDataController {
    */
   async calculateIndicators(req, res) {
     try {
-      const { symbol, interval, from, to, provider } = req.query;
+      const { symbol, interval, from, to, provider, adjusted, series, indicators: indicatorsParam } = req.query;
       
-      if (!symbol) {
-        return res.status(400).json({
-          message: 'Symbol parameter is required'
-        });
-      }
-      
-      if (!from || !to) {
-        return res.status(400).json({
-          message: 'From and to date parameters are required'
-        });
-      }
+      const specs = indicatorsParam === undefined ? undefined : parseIndicatorSpecs(indicatorsParam);
       
       // Get historical data first
       const historicalData = await this.marketDataService.getHistoricalData(
@@ -156,25 +355,59 @@ class MarketDataController {
         interval || '1d',
         from,
         to,
-        provider
+        provider,
+        adjusted !== 'false'
       );
       
       // Calculate indicators based on historical data
-      const indicators = this.marketDataService.calculateIndicators(historicalData.data);
+      const indicators = this.marketDataService.calculateIndicators(historicalData.data, series === 'true', specs);
       
+      setCacheHeaders(res, historicalData);
       res.status(200).json({
         symbol,
         indicators,
-        source: historicalData.source
+        source: historicalData.source,
+        cached: historicalData.cached
       });
     } catch (error) {
       console.error('Error in calculateIndicators controller:', error);
-      res.status(500).json({
-        message: 'Failed to calculate indicators',
-        error: error.message
-      });
+      sendError(res, error, 'Failed to calculate indicators');
     }
   }
+
+  /**
+   * Get the indicators that can be requested and their parameters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getAvailableIndicators(req, res) {
+    res.status(200).json({
+      indicators: listIndicators()
+    });
+  }
+
+  /**
+   * Get available data providers
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getProviders(req, res) {
+    res.status(200).json({
+      providers: this.marketDataService.getProviders(),
+      fallbackChains: this.marketDataService.getFallbackChains()
+    });
+  }
+
+  /**
+   * Get rate limit quota usage per provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getQuota(req, res) {
+    res.status(200).json({
+      providers: this.marketDataService.getQuotaUsage()
+    });
+  }
 }
 
 module.exports = MarketDataController;
\ No newline at end of file
@@ -0,0 +1,51 @@
+const { HealthMonitor } = require('../health');
+const { registry, CONTENT_TYPE } = require('../metrics');
+const { sendError } = require('../middleware/errorHandler');
+
+/**
+ * Monitoring Controller
+ * Serves metrics for Prometheus and provider health for load balancers and
+ * uptime checks. Neither needs an API key.
+ */
+class MonitoringController {
+  /**
+   * @param {HealthMonitor} monitor - Health monitor (optional, defaults to the shared instance)
+   */
+  constructor(monitor) {
+    this.monitor = monitor;
+  }
+
+  /**
+   * Get every metric in the Prometheus text exposition format
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getMetrics(req, res) {
+    try {
+      res.status(200).type(CONTENT_TYPE).send(registry.render());
+    } catch (error) {
+      console.error('Error in getMetrics controller:', error);
+      sendError(res, error, 'Failed to render metrics');
+    }
+  }
+
+  /**
+   * Get the health of the service and each provider. Responds 503 when no
+   * configured provider is answering.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getHealth(req, res) {
+    try {
+      const monitor = this.monitor || HealthMonitor.getInstance();
+      const report = await monitor.check();
+
+      res.status(report.status === 'unavailable' ? 503 : 200).json(report);
+    } catch (error) {
+      console.error('Error in getHealth controller:', error);
+      sendError(res, error, 'Failed to check health');
+    }
+  }
+}
+
+module.exports = MonitoringController;
@@ -0,0 +1,66 @@
+const QuoteHub = require('../streaming/quoteHub');
+const { parseSymbols } = require('../validation');
+
+/**
+ * Stream Controller
+ * Streams quote updates over Server-Sent Events, for clients that can't use
+ * the WebSocket endpoint
+ */
+class StreamController {
+  /**
+   * @param {QuoteHub} quoteHub - Quote hub (optional, defaults to the shared hub)
+   */
+  constructor(quoteHub) {
+    this.quoteHub = quoteHub;
+  }
+
+  /**
+   * Get the quote hub, creating the shared hub on first use
+   * @returns {QuoteHub} Quote hub
+   */
+  getHub() {
+    if (!this.quoteHub) {
+      this.quoteHub = QuoteHub.getInstance();
+    }
+    return this.quoteHub;
+  }
+
+  /**
+   * Stream quotes for symbols as Server-Sent Events
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  streamQuotes(req, res) {
+    const symbols = parseSymbols(req.query.symbols);
+    
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const hub = this.getHub();
+    const listener = quote => res.write(`event: quote\ndata: ${JSON.stringify(quote)}\n\n`);
+    const unsubscribe = hub.subscribe(symbols, listener);
+    
+    // Keep intermediaries from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  /**
+   * Get streaming statistics
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getStats(req, res) {
+    res.status(200).json(this.getHub().stats());
+  }
+}
+
+module.exports = StreamController;
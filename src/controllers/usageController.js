@@ -0,0 +1,35 @@
+const { AccessControl } = require('../auth');
+const { sendError } = require('../middleware/errorHandler');
+
+/**
+ * Usage Controller
+ * Reports metered requests per API key, so upstream costs can be attributed
+ * to the teams sharing the service
+ */
+class UsageController {
+  /**
+   * @param {AccessControl} access - Access control (optional, defaults to the shared instance)
+   */
+  constructor(access) {
+    this.access = access;
+  }
+
+  /**
+   * Get usage for the calling key or, for admin keys, for every key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getUsage(req, res) {
+    try {
+      const { from, to, key } = req.query;
+      const access = this.access || AccessControl.getInstance();
+
+      res.status(200).json(access.usage(req.apiKey, { from, to, key }));
+    } catch (error) {
+      console.error('Error in getUsage controller:', error);
+      sendError(res, error, 'Failed to get usage');
+    }
+  }
+}
+
+module.exports = UsageController;
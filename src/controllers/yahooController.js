@@ -0,0 +1,163 @@
+const { STATUS_CODES } = require('http');
+const MarketDataService = require('../services/marketDataService');
+const { MarketDataError } = require('../errors');
+const { MAX_BATCH_SYMBOLS, parseSymbols, rules } = require('../validation');
+const {
+  CHART_INTERVALS,
+  resolveChartWindow,
+  formatError,
+  formatChart,
+  formatQuoteResponse,
+  formatOptionChain
+} = require('../formatters/yahooFormatter');
+
+/**
+ * Send an error in the Yahoo format, with the status mapped from the error
+ * @param {Object} res - Express response object
+ * @param {string} root - Response root key
+ * @param {Error} error - Error to report
+ */
+function sendYahooError(res, root, error) {
+  const status = error instanceof MarketDataError ? error.status : 500;
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(status).json(formatError(root, STATUS_CODES[status], error.message));
+}
+
+/**
+ * Send a 400 in the Yahoo format listing the problems validation rules found
+ * @param {Object} res - Express response object
+ * @param {string} root - Response root key
+ * @param {Array<string>} errors - Problems found
+ */
+function sendInvalidInput(res, root, errors) {
+  res.status(400).json(formatError(root, 'Bad Request', `Invalid input - ${errors.join('; ')}`));
+}
+
+/**
+ * Yahoo Compatibility Controller
+ * Serves market data in the Yahoo Finance response format so legacy clients
+ * only need to change their base URL
+ */
+class YahooController {
+  /**
+   * @param {MarketDataService} marketDataService - Service to use (optional, defaults to the shared instance)
+   */
+  constructor(marketDataService = MarketDataService.getInstance()) {
+    this.marketDataService = marketDataService;
+  }
+
+  /**
+   * Create an error sender for a route's response root, for middleware that
+   * refuses requests before they reach the controller
+   * @param {string} root - Response root key, e.g. 'chart'
+   * @returns {Function} Called with (res, error)
+   */
+  static errorSender(root) {
+    return (res, error) => sendYahooError(res, root, error);
+  }
+
+  /**
+   * Get chart data (v8/finance/chart/:symbol)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getChart(req, res) {
+    try {
+      const { symbol } = req.params;
+      const { interval = '1d', range, provider } = req.query;
+      
+      if (!CHART_INTERVALS[interval]) {
+        return res.status(400).json(formatError('chart', 'Bad Request', `Invalid input - interval=${interval} is not supported`));
+      }
+      
+      const window = resolveChartWindow(req.query);
+      if (!window) {
+        return res.status(400).json(formatError('chart', 'Bad Request', 'Invalid input - range or period1/period2 is not valid'));
+      }
+
+      // The same symbol and range limits as /api/market-data/historical
+      const errors = [
+        ...rules.symbol()({ symbol }),
+        ...rules.dateRange()({ from: window.from, to: window.to, interval: CHART_INTERVALS[interval], symbol })
+      ];
+      if (errors.length > 0) {
+        return sendInvalidInput(res, 'chart', errors);
+      }
+      
+      const historicalData = await this.marketDataService.getHistoricalData(
+        symbol,
+        CHART_INTERVALS[interval],
+        window.from,
+        window.to,
+        provider
+      );
+      
+      res.status(200).json(formatChart(historicalData, interval, req.query.period1 ? null : range || '1mo'));
+    } catch (error) {
+      console.error('Error in getChart controller:', error);
+      sendYahooError(res, 'chart', error);
+    }
+  }
+
+  /**
+   * Get quotes (v7/finance/quote?symbols=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getQuote(req, res) {
+    try {
+      const { symbols, provider } = req.query;
+      const list = symbols ? parseSymbols(symbols) : [];
+      
+      if (list.length === 0) {
+        return res.status(400).json(formatError('quoteResponse', 'Bad Request', 'Missing value for the "symbols" argument'));
+      }
+
+      const errors = rules.symbols(MAX_BATCH_SYMBOLS)({ symbols: list });
+      if (errors.length > 0) {
+        return sendInvalidInput(res, 'quoteResponse', errors);
+      }
+      
+      const results = await this.marketDataService.getQuotes(list, provider);
+      
+      res.status(200).json(formatQuoteResponse(results));
+    } catch (error) {
+      console.error('Error in Yahoo getQuote controller:', error);
+      sendYahooError(res, 'quoteResponse', error);
+    }
+  }
+
+  /**
+   * Get an options chain (v7/finance/options/:symbol)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOptions(req, res) {
+    try {
+      const { symbol } = req.params;
+      const { date, provider } = req.query;
+      
+      const [optionsChain, quote] = await Promise.allSettled([
+        this.marketDataService.getOptionsChain(symbol, provider),
+        this.marketDataService.getQuote(symbol)
+      ]);
+      
+      if (optionsChain.status === 'rejected') {
+        throw optionsChain.reason;
+      }
+      
+      res.status(200).json(formatOptionChain(
+        optionsChain.value,
+        quote.status === 'fulfilled' ? quote.value : null,
+        date
+      ));
+    } catch (error) {
+      console.error('Error in Yahoo getOptions controller:', error);
+      sendYahooError(res, 'optionChain', error);
+    }
+  }
+}
+
+module.exports = YahooController;
@@ -0,0 +1,236 @@
+/**
+ * Market Data Error
+ * Base class for errors with a stable code and HTTP status. Controllers turn
+ * these into responses with sendError; any other error is a 500.
+ */
+class MarketDataError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - Stable error code
+   * @param {number} details.status - HTTP status
+   * @param {string} details.provider - Provider id the error came from (optional)
+   * @param {number} details.retryAfter - Seconds until a retry may succeed (optional)
+   * @param {Array<string>} details.errors - Individual problems, for invalid parameters (optional)
+   */
+  constructor(message, { code, status, provider = null, retryAfter = null, errors }) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.provider = provider;
+    this.retryAfter = retryAfter;
+    if (errors) {
+      this.errors = errors;
+    }
+  }
+}
+
+/**
+ * The symbol is unknown to the provider
+ */
+class SymbolNotFoundError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'SYMBOL_NOT_FOUND', status: 404 });
+  }
+}
+
+/**
+ * The provider rejected our credentials, or none are configured
+ */
+class ProviderUnauthorizedError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'PROVIDER_UNAUTHORIZED', status: 401 });
+  }
+}
+
+/**
+ * The provider's quota is exhausted, upstream or in our own rate limiter.
+ * `local` is true when our rate limiter refused the call, so the provider
+ * was never asked.
+ */
+class ProviderRateLimitedError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'PROVIDER_RATE_LIMITED', status: 429 });
+    this.local = details.local === true;
+  }
+}
+
+/**
+ * The provider did not answer in time
+ */
+class UpstreamTimeoutError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'UPSTREAM_TIMEOUT', status: 504 });
+  }
+}
+
+/**
+ * The provider failed in some other way
+ */
+class UpstreamError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { code: 'UPSTREAM_ERROR', status: 502, ...details });
+  }
+}
+
+/**
+ * The provider answered, but its result does not match the canonical schema.
+ * `issues` lists the problems found.
+ */
+class ProviderDataError extends UpstreamError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details: { provider, issues }
+   */
+  constructor(message, { provider = null, issues = [] } = {}) {
+    super(message, { code: 'INVALID_PROVIDER_DATA', provider });
+    this.issues = issues;
+  }
+}
+
+/**
+ * Every provider that could serve the request is failing and its circuit
+ * breaker is open
+ */
+class ProviderUnavailableError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'PROVIDER_UNAVAILABLE', status: 503 });
+  }
+}
+
+/**
+ * A request parameter is missing or invalid. `errors` lists every problem.
+ */
+class InvalidParameterError extends MarketDataError {
+  /**
+   * @param {string} message - Error message
+   * @param {Array<string>} errors - Individual problems (optional)
+   */
+  constructor(message, errors) {
+    super(message, { code: 'INVALID_PARAMETER', status: 400, errors });
+  }
+}
+
+/**
+ * No registered provider supports the requested capability
+ */
+class UnsupportedCapabilityError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'UNSUPPORTED_CAPABILITY', status: 501 });
+  }
+}
+
+/**
+ * The caller sent no API key, or one we don't know
+ */
+class UnauthorizedError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'UNAUTHORIZED', status: 401 });
+  }
+}
+
+/**
+ * The caller's API key may not use the requested route or provider
+ */
+class ForbiddenError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'FORBIDDEN', status: 403 });
+  }
+}
+
+/**
+ * The caller's API key is over its per-minute rate limit
+ */
+class RateLimitedError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'RATE_LIMITED', status: 429 });
+  }
+}
+
+/**
+ * The caller's API key has used its daily request quota
+ */
+class QuotaExceededError extends MarketDataError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'QUOTA_EXCEEDED', status: 429 });
+  }
+}
+
+// Network error codes that mean the provider did not answer in time
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Parse a Retry-After header value into seconds
+ * @param {string} value - Header value: seconds or an HTTP date
+ * @returns {number|null} Seconds, or null if absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.ceil(seconds));
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Translate an error thrown while calling a provider into a MarketDataError:
+ * HTTP 401/403 -> ProviderUnauthorized, 404 -> SymbolNotFound,
+ * 429 -> ProviderRateLimited, timeouts -> UpstreamTimeout, anything else
+ * -> UpstreamError.
+ * @param {Error} error - Error from an adapter or its HTTP client
+ * @param {string} provider - Provider id
+ * @returns {MarketDataError} Typed error
+ */
+function fromProviderError(error, provider) {
+  if (error instanceof MarketDataError) {
+    if (!error.provider) {
+      error.provider = provider;
+    }
+    return error;
+  }
+
+  const status = error.response ? error.response.status : null;
+  const details = { provider };
+
+  if (status === 401 || status === 403) {
+    return new ProviderUnauthorizedError(`${provider} rejected the API key (HTTP ${status})`, details);
+  }
+  if (status === 404) {
+    return new SymbolNotFoundError(`${provider} has no data for the requested symbol`, details);
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+    return new ProviderRateLimitedError(`${provider} rate limit exceeded (HTTP 429)`, { ...details, retryAfter });
+  }
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return new UpstreamTimeoutError(`${provider} did not respond in time`, details);
+  }
+  if (status) {
+    return new UpstreamError(`${provider} returned HTTP ${status}`, details);
+  }
+  return new UpstreamError(`${provider} request failed: ${error.message}`, details);
+}
+
+module.exports = {
+  MarketDataError,
+  SymbolNotFoundError,
+  ProviderUnauthorizedError,
+  ProviderRateLimitedError,
+  UpstreamTimeoutError,
+  UpstreamError,
+  ProviderDataError,
+  ProviderUnavailableError,
+  InvalidParameterError,
+  UnsupportedCapabilityError,
+  UnauthorizedError,
+  ForbiddenError,
+  RateLimitedError,
+  QuotaExceededError,
+  parseRetryAfter,
+  fromProviderError
+};
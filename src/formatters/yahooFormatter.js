@@ -0,0 +1,307 @@
+/**
+ * Yahoo Finance Formatter
+ * Converts normalized market data into the JSON structures returned by the
+ * Yahoo Finance v7/v8 endpoints
+ */
+
+const { parseSymbol } = require('../symbols');
+
+/**
+ * Yahoo chart intervals mapped to service intervals
+ */
+const CHART_INTERVALS = {
+  '1m': '1m',
+  '2m': '2m',
+  '5m': '5m',
+  '15m': '15m',
+  '30m': '30m',
+  '60m': '1h',
+  '90m': '90m',
+  '1h': '1h',
+  '1d': '1d',
+  '5d': '5d',
+  '1wk': '1w',
+  '1mo': '1M',
+  '3mo': '1q'
+};
+
+/**
+ * Market statuses mapped to Yahoo market states
+ */
+const MARKET_STATES = {
+  'pre-market': 'PRE',
+  open: 'REGULAR',
+  'post-market': 'POST',
+  closed: 'CLOSED'
+};
+
+/**
+ * Asset classes mapped to Yahoo quote types
+ */
+const QUOTE_TYPES = {
+  stock: 'EQUITY',
+  index: 'INDEX',
+  crypto: 'CRYPTOCURRENCY',
+  forex: 'CURRENCY'
+};
+
+/**
+ * Get the Yahoo quote type and currency of a symbol. Pairs are priced in
+ * their quote currency; everything else in US dollars.
+ * @param {string} symbol - Symbol
+ * @returns {Object} { quoteType, currency }
+ */
+function instrument(symbol) {
+  const { assetClass, quote } = parseSymbol(symbol);
+  return { quoteType: QUOTE_TYPES[assetClass], currency: quote || 'USD' };
+}
+
+/**
+ * Yahoo chart ranges mapped to a date offset from today
+ */
+const CHART_RANGES = {
+  '1d': { days: 1 },
+  '5d': { days: 5 },
+  '1mo': { months: 1 },
+  '3mo': { months: 3 },
+  '6mo': { months: 6 },
+  '1y': { years: 1 },
+  '2y': { years: 2 },
+  '5y': { years: 5 },
+  '10y': { years: 10 },
+  'max': { years: 50 }
+};
+
+/**
+ * Convert an ISO timestamp to Unix seconds
+ * @param {string} timestamp - ISO timestamp
+ * @returns {number|null} Unix seconds
+ */
+function toUnixSeconds(timestamp) {
+  return timestamp ? Math.floor(new Date(timestamp).getTime() / 1000) : null;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Resolve the date window for a chart request from either period1/period2
+ * (Unix seconds) or a Yahoo range
+ * @param {Object} query - Request query ({ range, period1, period2 })
+ * @returns {Object|null} { from, to } as YYYY-MM-DD, or null if invalid
+ */
+function resolveChartWindow({ range = '1mo', period1, period2 }) {
+  if (period1) {
+    const from = new Date(Number(period1) * 1000);
+    const to = period2 ? new Date(Number(period2) * 1000) : new Date();
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return null;
+    }
+    return { from: toDateString(from), to: toDateString(to) };
+  }
+
+  const to = new Date();
+  const from = new Date(to);
+
+  if (range === 'ytd') {
+    from.setUTCMonth(0, 1);
+  } else if (CHART_RANGES[range]) {
+    const { days = 0, months = 0, years = 0 } = CHART_RANGES[range];
+    from.setUTCDate(from.getUTCDate() - days);
+    from.setUTCMonth(from.getUTCMonth() - months);
+    from.setUTCFullYear(from.getUTCFullYear() - years);
+  } else {
+    return null;
+  }
+
+  return { from: toDateString(from), to: toDateString(to) };
+}
+
+/**
+ * Build a Yahoo error body
+ * @param {string} root - Root key ('chart', 'quoteResponse', 'optionChain')
+ * @param {string} code - Yahoo error code, e.g. 'Not Found'
+ * @param {string} description - Error description
+ * @returns {Object} Yahoo error response
+ */
+function formatError(root, code, description) {
+  return {
+    [root]: {
+      result: null,
+      error: { code, description }
+    }
+  };
+}
+
+/**
+ * Format historical data as a v8 chart response
+ * @param {Object} historicalData - Historical data from MarketDataService
+ * @param {string} interval - Yahoo interval
+ * @param {string} range - Yahoo range (optional)
+ * @returns {Object} Yahoo chart response
+ */
+function formatChart(historicalData, interval, range) {
+  const bars = historicalData.data;
+  const last = bars[bars.length - 1];
+  const { quoteType, currency } = instrument(historicalData.symbol);
+
+  return {
+    chart: {
+      result: [{
+        meta: {
+          currency,
+          symbol: historicalData.symbol,
+          instrumentType: quoteType,
+          regularMarketTime: last ? toUnixSeconds(last.timestamp) : null,
+          gmtoffset: 0,
+          timezone: 'UTC',
+          exchangeTimezoneName: 'UTC',
+          regularMarketPrice: last ? last.close : null,
+          chartPreviousClose: bars.length > 0 ? bars[0].open : null,
+          priceHint: 2,
+          dataGranularity: interval,
+          range: range || null,
+          validRanges: [...Object.keys(CHART_RANGES), 'ytd']
+        },
+        timestamp: bars.map(bar => toUnixSeconds(bar.timestamp)),
+        indicators: {
+          quote: [{
+            open: bars.map(bar => bar.open),
+            high: bars.map(bar => bar.high),
+            low: bars.map(bar => bar.low),
+            close: bars.map(bar => bar.close),
+            volume: bars.map(bar => bar.volume)
+          }],
+          adjclose: [{
+            adjclose: bars.map(bar => bar.close)
+          }]
+        }
+      }],
+      error: null
+    }
+  };
+}
+
+/**
+ * Format a normalized quote as a v7 quote result
+ * @param {Object} quote - Quote data from MarketDataService
+ * @returns {Object} Yahoo quote result
+ */
+function formatQuote(quote) {
+  const { quoteType, currency } = instrument(quote.symbol);
+  return {
+    language: 'en-US',
+    region: 'US',
+    quoteType,
+    currency,
+    symbol: quote.symbol,
+    regularMarketPrice: quote.price,
+    regularMarketChange: quote.change,
+    regularMarketChangePercent: quote.percentChange,
+    regularMarketDayHigh: quote.high,
+    regularMarketDayLow: quote.low,
+    regularMarketOpen: quote.open,
+    regularMarketPreviousClose: quote.previousClose,
+    regularMarketTime: toUnixSeconds(quote.timestamp),
+    marketState: MARKET_STATES[quote.marketStatus] || 'CLOSED'
+  };
+}
+
+/**
+ * Format batch quote results as a v7 quote response. Symbols that failed are
+ * left out, as Yahoo does for unknown symbols.
+ * @param {Array<Object>} results - Results from MarketDataService.getQuotes
+ * @returns {Object} Yahoo quote response
+ */
+function formatQuoteResponse(results) {
+  return {
+    quoteResponse: {
+      result: results
+        .filter(result => result.status === 'ok')
+        .map(result => formatQuote(result.quote)),
+      error: null
+    }
+  };
+}
+
+/**
+ * Format a normalized option contract as a Yahoo option contract
+ * @param {Object} option - Option contract from MarketDataService
+ * @param {number|null} underlyingPrice - Underlying price, for inTheMoney
+ * @returns {Object} Yahoo option contract
+ */
+function formatOptionContract(option, underlyingPrice) {
+  let inTheMoney = null;
+  if (underlyingPrice !== null && underlyingPrice !== undefined) {
+    inTheMoney = option.type === 'call' ? option.strike < underlyingPrice : option.strike > underlyingPrice;
+  }
+
+  return {
+    contractSymbol: option.symbol,
+    strike: option.strike,
+    currency: 'USD',
+    lastPrice: option.lastPrice,
+    change: option.change,
+    volume: option.volume,
+    openInterest: option.openInterest,
+    impliedVolatility: option.impliedVolatility,
+    inTheMoney,
+    contractSize: 'REGULAR',
+    expiration: toUnixSeconds(option.expiration)
+  };
+}
+
+/**
+ * Format an options chain as a v7 options response. Like Yahoo, only one
+ * expiration is returned: the requested one, or the nearest.
+ * @param {Object} optionsChain - Options chain from MarketDataService
+ * @param {Object|null} quote - Underlying quote (optional)
+ * @param {number} date - Requested expiration in Unix seconds (optional)
+ * @returns {Object} Yahoo options response
+ */
+function formatOptionChain(optionsChain, quote, date) {
+  const expirationDates = [...new Set(optionsChain.expirationDates.map(toUnixSeconds))].sort((a, b) => a - b);
+  const expiration = date ? Number(date) : expirationDates[0];
+  const underlyingPrice = quote ? quote.price : null;
+
+  const contracts = optionsChain.options.filter(option => toUnixSeconds(option.expiration) === expiration);
+  const byStrike = (a, b) => a.strike - b.strike;
+
+  return {
+    optionChain: {
+      result: [{
+        underlyingSymbol: optionsChain.symbol,
+        expirationDates,
+        strikes: [...new Set(optionsChain.options.map(option => option.strike))].sort((a, b) => a - b),
+        hasMiniOptions: false,
+        quote: quote ? formatQuote(quote) : null,
+        options: expiration === undefined ? [] : [{
+          expirationDate: expiration,
+          hasMiniOptions: false,
+          calls: contracts.filter(option => option.type === 'call').sort(byStrike)
+            .map(option => formatOptionContract(option, underlyingPrice)),
+          puts: contracts.filter(option => option.type === 'put').sort(byStrike)
+            .map(option => formatOptionContract(option, underlyingPrice))
+        }]
+      }],
+      error: null
+    }
+  };
+}
+
+module.exports = {
+  CHART_INTERVALS,
+  CHART_RANGES,
+  resolveChartWindow,
+  formatError,
+  formatChart,
+  formatQuote,
+  formatQuoteResponse,
+  formatOptionChain
+};
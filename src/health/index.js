@@ -0,0 +1,212 @@
+const MarketDataService = require('../services/marketDataService');
+const { CAPABILITIES } = require('../providers/providerRegistry');
+const { loadHealthConfig } = require('../config/healthConfig');
+const { normalizeResult } = require('../normalization');
+const { fromProviderError, UpstreamTimeoutError } = require('../errors');
+const { recordUpstream, lastUpstreamOutcome, recordProbe } = require('../metrics');
+
+/**
+ * Call a provider's quote endpoint, failing if it takes too long
+ * @param {BaseProvider} adapter - Provider adapter
+ * @param {string} symbol - Symbol to quote
+ * @param {number} timeoutMs - Time allowed
+ * @returns {Promise<Object>} Normalized quote
+ */
+function probeQuote(adapter, symbol, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new UpstreamTimeoutError(`${adapter.id} did not answer the health check within ${timeoutMs}ms`, {
+        provider: adapter.id
+      }));
+    }, timeoutMs);
+  });
+
+  const quote = Promise.resolve()
+    .then(() => adapter.getQuote(symbol))
+    .then(result => normalizeResult('quote', result, adapter.id));
+
+  return Promise.race([quote, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Combine provider statuses into one
+ * @param {Array<string>} statuses - Statuses of the configured providers
+ * @returns {string} 'ok' if every provider is up, 'unavailable' if none is
+ *   up or degraded, otherwise 'degraded'
+ */
+function overallStatus(statuses) {
+  if (statuses.length > 0 && statuses.every(status => status === 'up')) {
+    return 'ok';
+  }
+  return statuses.some(status => status === 'up' || status === 'degraded') ? 'degraded' : 'unavailable';
+}
+
+/**
+ * Health Monitor
+ * Checks whether each configured provider is answering. A provider that
+ * served a request successfully within the last check interval counts as up
+ * without being probed; one whose quote circuit is open counts as down;
+ * otherwise it is probed with a quote request, which also serves as the
+ * circuit's trial call when half-open. Results are reused for the check
+ * interval so frequent health checks don't spend provider quota.
+ */
+class HealthMonitor {
+  /**
+   * @param {MarketDataService} service - Service whose providers are checked (optional, defaults to the shared instance)
+   * @param {Object} config - Health check configuration from loadHealthConfig (optional)
+   */
+  constructor(service, config = loadHealthConfig()) {
+    this.service = service || MarketDataService.getInstance();
+    this.config = config;
+    this.report = null;
+    this.checkedAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Get the shared health monitor
+   * @returns {HealthMonitor} Shared monitor
+   */
+  static getInstance() {
+    if (!HealthMonitor.instance) {
+      HealthMonitor.instance = new HealthMonitor();
+    }
+    return HealthMonitor.instance;
+  }
+
+  /**
+   * Get the service's health, checking the providers again if the last
+   * check is older than the check interval. Concurrent callers share one check.
+   * @returns {Promise<Object>} { status, checkedAt, uptime, providers, capabilities }
+   */
+  async check() {
+    if (this.report && Date.now() - this.checkedAt < this.config.ttlSeconds * 1000) {
+      return this.report;
+    }
+    if (!this.pending) {
+      this.pending = this.checkProviders()
+        .then(report => {
+          this.report = report;
+          this.checkedAt = Date.now();
+          return report;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Check every registered provider and summarize the results
+   * @returns {Promise<Object>} Health report
+   */
+  async checkProviders() {
+    const adapters = this.service.registry.list();
+    const providers = await Promise.all(adapters.map(adapter => this.checkProvider(adapter)));
+    const byId = new Map(providers.map(provider => [provider.id, provider]));
+    const configured = providers.filter(provider => provider.configured);
+
+    const capabilities = {};
+    for (const capability of CAPABILITIES) {
+      const chain = this.service.getFallbackChain(capability)
+        .map(id => byId.get(id))
+        .filter(provider => provider && provider.configured);
+      // A provider whose circuit for this capability is open can't serve it, whatever its quote health
+      const statuses = chain.map(provider => (
+        this.service.registry.get(provider.id).breakerFor(capability).allowsRequest() ? provider.status : 'down'
+      ));
+      let status = 'unavailable';
+      if (statuses.includes('up')) {
+        status = 'ok';
+      } else if (statuses.includes('degraded')) {
+        status = 'degraded';
+      }
+      capabilities[capability] = { status, providers: chain.map(provider => provider.id) };
+    }
+
+    return {
+      status: overallStatus(configured.map(provider => provider.status)),
+      checkedAt: new Date().toISOString(),
+      uptime: Math.round(process.uptime()),
+      providers,
+      capabilities
+    };
+  }
+
+  /**
+   * Check one provider
+   * @param {BaseProvider} adapter - Provider adapter
+   * @returns {Promise<Object>} { id, name, configured, status, source, latencyMs, error }:
+   *   status is 'up', 'degraded', 'down' or 'unconfigured'; source is
+   *   'probe', 'traffic' or null when the provider wasn't called
+   */
+  async checkProvider(adapter) {
+    const entry = { id: adapter.id, name: adapter.name, configured: adapter.isConfigured() };
+
+    if (!entry.configured) {
+      return { ...entry, status: 'unconfigured', source: null, latencyMs: null, error: null };
+    }
+    if (adapter.limiter.isSaturated()) {
+      recordProbe(adapter.id, true, null);
+      return {
+        ...entry,
+        status: 'degraded',
+        source: null,
+        latencyMs: null,
+        error: { code: 'PROVIDER_RATE_LIMITED', message: 'Rate limit queue saturated' }
+      };
+    }
+
+    const last = lastUpstreamOutcome(adapter.id);
+    if (last && last.ok && Date.now() - last.at < this.config.ttlSeconds * 1000) {
+      recordProbe(adapter.id, true, null);
+      return { ...entry, status: 'up', source: 'traffic', latencyMs: null, error: null };
+    }
+
+    const breaker = adapter.breakerFor('quote');
+    if (!breaker.allowsRequest()) {
+      recordProbe(adapter.id, false, null);
+      return {
+        ...entry,
+        status: 'down',
+        source: null,
+        latencyMs: null,
+        error: { code: 'PROVIDER_UNAVAILABLE', message: `Quote circuit is open until ${breaker.describe().retryAt}` }
+      };
+    }
+
+    const started = Date.now();
+    try {
+      await breaker.call(() => probeQuote(adapter, this.config.probeSymbol, this.config.probeTimeoutMs));
+      const latencyMs = Date.now() - started;
+      recordUpstream(adapter.id, 'quote', latencyMs / 1000);
+      recordProbe(adapter.id, true, latencyMs / 1000);
+      return {
+        ...entry,
+        status: latencyMs > this.config.degradedMs ? 'degraded' : 'up',
+        source: 'probe',
+        latencyMs,
+        error: null
+      };
+    } catch (error) {
+      const latencyMs = Date.now() - started;
+      const failure = fromProviderError(error, adapter.id);
+      const limited = failure.code === 'PROVIDER_RATE_LIMITED';
+      recordUpstream(adapter.id, 'quote', latencyMs / 1000, failure);
+      recordProbe(adapter.id, limited, latencyMs / 1000);
+      return {
+        ...entry,
+        status: limited ? 'degraded' : 'down',
+        source: 'probe',
+        latencyMs,
+        error: { code: failure.code, message: failure.message }
+      };
+    }
+  }
+}
+
+module.exports = {
+  HealthMonitor
+};
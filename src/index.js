@@ -4,6 +4,14 @@ const dotenv = require('dotenv');
 
 // Import route modules
 const marketDataRoutes = require('./routes/marketDataRoutes');
+const yahooRoutes = require('./routes/yahooRoutes');
+const monitoringRoutes = require('./routes/monitoringRoutes');
+const { attachStreamServer } = require('./streaming/streamServer');
+const QuoteHub = require('./streaming/quoteHub');
+const { errorHandler } = require('./middleware/errorHandler');
+const authenticate = require('./middleware/authenticate');
+const recordMetrics = require('./middleware/metrics');
+const { AccessControl } = require('./auth');
 
 // Load environment variables
 dotenv.config();
@@ -23,8 +31,17 @@ app.use((req, res, next) => {
   next();
 });
 
-// Routes
-app.use('/api/market-data', marketDataRoutes);
+// Request counts and latency per route
+app.use(recordMetrics());
+
+// Metrics and health checks, open to monitoring without an API key
+app.use('/', monitoringRoutes);
+
+// Routes, for callers with an API key
+app.use('/api/market-data', authenticate(), marketDataRoutes);
+
+// Yahoo Finance compatible routes, each authenticated the same way
+app.use('/', yahooRoutes);
 
 // Root endpoint for basic API check
 app.get('/', (req, res) => {
@@ -36,22 +53,28 @@ app.get('/', (req, res) => {
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    message: 'An unexpected error occurred',
-    error: process.env.NODE_ENV === 'production' ? {} : err.stack
-  });
-});
+app.use(errorHandler);
 
 // Start server
 const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  AccessControl.getInstance().checkKeys();
 });
 
+// Quote streaming over WebSocket
+const streamServer = attachStreamServer(server, '/api/market-data/stream');
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('Shutting down server...');
+  streamServer.clients.forEach(socket => socket.terminate());
+  streamServer.close();
+  if (QuoteHub.instance) {
+    QuoteHub.instance.close();
+  }
+  if (AccessControl.instance) {
+    AccessControl.instance.close();
+  }
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -0,0 +1,245 @@
+const { sma, wma, ema } = require('./movingAverages');
+const { rsi, macd, stochastic, cci, williamsR } = require('./oscillators');
+const { bollingerBands, atr } = require('./volatility');
+const { adx, ichimoku, parabolicSAR } = require('./trend');
+const { obv, vwap } = require('./volume');
+const { InvalidParameterError } = require('../errors');
+
+// Maximum number of indicators in one request
+const MAX_INDICATORS = 20;
+
+const closes = bars => bars.map(bar => bar.close);
+
+/**
+ * Indicator definitions. Each declares its parameters, the number of bars it
+ * needs before producing a value (warm-up) and how to calculate its series.
+ * Parameters are integers unless `integer: false`.
+ */
+const INDICATORS = {
+  sma: {
+    name: 'Simple Moving Average',
+    params: [{ name: 'period', default: 20, min: 1, max: 500 }],
+    warmup: ({ period }) => period - 1,
+    calculate: (bars, { period }) => sma(closes(bars), period)
+  },
+  wma: {
+    name: 'Weighted Moving Average',
+    params: [{ name: 'period', default: 20, min: 1, max: 500 }],
+    warmup: ({ period }) => period - 1,
+    calculate: (bars, { period }) => wma(closes(bars), period)
+  },
+  ema: {
+    name: 'Exponential Moving Average',
+    params: [{ name: 'period', default: 20, min: 1, max: 500 }],
+    warmup: ({ period }) => period - 1,
+    calculate: (bars, { period }) => ema(closes(bars), period)
+  },
+  rsi: {
+    name: 'Relative Strength Index',
+    params: [{ name: 'period', default: 14, min: 1, max: 500 }],
+    warmup: ({ period }) => period,
+    calculate: (bars, { period }) => rsi(closes(bars), period)
+  },
+  macd: {
+    name: 'Moving Average Convergence Divergence',
+    params: [
+      { name: 'fast', default: 12, min: 1, max: 500 },
+      { name: 'slow', default: 26, min: 1, max: 500 },
+      { name: 'signal', default: 9, min: 1, max: 500 }
+    ],
+    warmup: ({ slow, signal }) => slow + signal - 2,
+    calculate: (bars, { fast, slow, signal }) => macd(closes(bars), fast, slow, signal)
+  },
+  bb: {
+    name: 'Bollinger Bands',
+    params: [
+      { name: 'period', default: 20, min: 1, max: 500 },
+      { name: 'stdDev', default: 2, min: 0.1, max: 10, integer: false }
+    ],
+    warmup: ({ period }) => period - 1,
+    calculate: (bars, { period, stdDev }) => bollingerBands(closes(bars), period, stdDev)
+  },
+  atr: {
+    name: 'Average True Range',
+    params: [{ name: 'period', default: 14, min: 1, max: 500 }],
+    warmup: ({ period }) => period,
+    calculate: (bars, { period }) => atr(bars, period)
+  },
+  stoch: {
+    name: 'Stochastic Oscillator',
+    params: [
+      { name: 'kPeriod', default: 14, min: 1, max: 500 },
+      { name: 'dPeriod', default: 3, min: 1, max: 500 }
+    ],
+    warmup: ({ kPeriod, dPeriod }) => kPeriod + dPeriod - 2,
+    calculate: (bars, { kPeriod, dPeriod }) => stochastic(bars, kPeriod, dPeriod)
+  },
+  adx: {
+    name: 'Average Directional Index',
+    params: [{ name: 'period', default: 14, min: 1, max: 500 }],
+    warmup: ({ period }) => 2 * period - 1,
+    calculate: (bars, { period }) => adx(bars, period)
+  },
+  obv: {
+    name: 'On-Balance Volume',
+    params: [],
+    warmup: () => 0,
+    calculate: bars => obv(bars)
+  },
+  vwap: {
+    name: 'Volume Weighted Average Price',
+    params: [],
+    warmup: () => 0,
+    calculate: bars => vwap(bars)
+  },
+  ichimoku: {
+    name: 'Ichimoku Cloud',
+    params: [
+      { name: 'conversion', default: 9, min: 1, max: 500 },
+      { name: 'base', default: 26, min: 1, max: 500 },
+      { name: 'spanB', default: 52, min: 1, max: 500 }
+    ],
+    warmup: ({ base, spanB }) => spanB - 1 + base,
+    calculate: (bars, { conversion, base, spanB }) => ichimoku(bars, conversion, base, spanB)
+  },
+  psar: {
+    name: 'Parabolic SAR',
+    params: [
+      { name: 'step', default: 0.02, min: 0.001, max: 1, integer: false },
+      { name: 'max', default: 0.2, min: 0.01, max: 1, integer: false }
+    ],
+    warmup: () => 1,
+    calculate: (bars, { step, max }) => parabolicSAR(bars, step, max)
+  },
+  cci: {
+    name: 'Commodity Channel Index',
+    params: [{ name: 'period', default: 20, min: 1, max: 500 }],
+    warmup: ({ period }) => period - 1,
+    calculate: (bars, { period }) => cci(bars, period)
+  },
+  willr: {
+    name: 'Williams %R',
+    params: [{ name: 'period', default: 14, min: 1, max: 500 }],
+    warmup: ({ period }) => period - 1,
+    calculate: (bars, { period }) => williamsR(bars, period)
+  }
+};
+
+/**
+ * Indicator Spec Error
+ * Raised when an indicators query can't be parsed; lists every problem found
+ */
+class IndicatorSpecError extends InvalidParameterError {
+  /**
+   * @param {Array<string>} errors - Problems found
+   */
+  constructor(errors) {
+    super(`Invalid indicators parameter: ${errors.join('; ')}`, errors);
+  }
+}
+
+/**
+ * Parse an indicators query such as 'rsi:21,bb:20:2,atr'. Omitted parameters
+ * take their defaults.
+ * @param {string} value - Comma-separated indicator specs
+ * @returns {Array<Object>} Specs: { key, id, params }
+ * @throws {IndicatorSpecError} If any spec is invalid
+ */
+function parseIndicatorSpecs(value) {
+  const errors = [];
+  const specs = [];
+  const parts = String(value).split(',').map(part => part.trim()).filter(Boolean);
+
+  if (parts.length === 0) {
+    throw new IndicatorSpecError(['No indicators specified']);
+  }
+  if (parts.length > MAX_INDICATORS) {
+    throw new IndicatorSpecError([`At most ${MAX_INDICATORS} indicators may be requested at once`]);
+  }
+
+  for (const part of parts) {
+    const [rawId, ...args] = part.split(':');
+    const id = rawId.toLowerCase();
+    const definition = INDICATORS[id];
+
+    if (!definition) {
+      errors.push(`Unknown indicator "${rawId}". Choose from: ${Object.keys(INDICATORS).join(', ')}`);
+      continue;
+    }
+    if (args.length > definition.params.length) {
+      errors.push(`${id} takes at most ${definition.params.length} parameter(s) (${definition.params.map(param => param.name).join(', ') || 'none'})`);
+      continue;
+    }
+
+    const params = {};
+    definition.params.forEach((param, index) => {
+      const raw = args[index];
+      if (raw === undefined || raw === '') {
+        params[param.name] = param.default;
+        return;
+      }
+
+      const number = Number(raw);
+      if (!Number.isFinite(number) || (param.integer !== false && !Number.isInteger(number))) {
+        errors.push(`${id} ${param.name} must be ${param.integer === false ? 'a number' : 'an integer'}, got "${raw}"`);
+      } else if (number < param.min || number > param.max) {
+        errors.push(`${id} ${param.name} must be between ${param.min} and ${param.max}, got ${number}`);
+      } else {
+        params[param.name] = number;
+      }
+    });
+
+    specs.push({
+      key: [id, ...definition.params.map(param => params[param.name])].join(':'),
+      id,
+      params
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new IndicatorSpecError(errors);
+  }
+
+  return specs;
+}
+
+/**
+ * Calculate an indicator over bars
+ * @param {Array<Object>} bars - OHLCV bars
+ * @param {Object} spec - Parsed spec from parseIndicatorSpecs
+ * @returns {Object} { warmup, series }
+ */
+function calculateIndicator(bars, spec) {
+  const definition = INDICATORS[spec.id];
+  return {
+    warmup: definition.warmup(spec.params),
+    series: definition.calculate(bars, spec.params)
+  };
+}
+
+/**
+ * Describe the available indicators and their parameters
+ * @returns {Array<Object>} Indicator metadata
+ */
+function listIndicators() {
+  return Object.entries(INDICATORS).map(([id, definition]) => ({
+    id,
+    name: definition.name,
+    params: definition.params.map(param => ({
+      name: param.name,
+      default: param.default,
+      min: param.min,
+      max: param.max,
+      integer: param.integer !== false
+    }))
+  }));
+}
+
+module.exports = {
+  INDICATORS,
+  MAX_INDICATORS,
+  IndicatorSpecError,
+  parseIndicatorSpecs,
+  calculateIndicator,
+  listIndicators
+};
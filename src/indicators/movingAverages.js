@@ -0,0 +1,120 @@
+/**
+ * Moving averages. Every function takes an array of values and returns an
+ * array of the same length, with null until the average has warmed up.
+ * Leading nulls in the input (e.g. another indicator's warm-up) are skipped.
+ */
+
+/**
+ * Index of the first non-null value
+ * @param {Array<number|null>} values - Values
+ * @returns {number} Index, or -1 if every value is null
+ */
+function firstIndex(values) {
+  return values.findIndex(value => value !== null && value !== undefined);
+}
+
+/**
+ * Simple Moving Average
+ * @param {Array<number|null>} values - Values
+ * @param {number} period - Period for calculation
+ * @returns {Array<number|null>} SMA per value
+ */
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = firstIndex(values);
+  if (start === -1 || values.length - start < period) {
+    return result;
+  }
+
+  let sum = 0;
+  for (let i = start; i < values.length; i++) {
+    sum += values[i];
+    if (i - start >= period) {
+      sum -= values[i - period];
+    }
+    if (i - start >= period - 1) {
+      result[i] = sum / period;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Weighted Moving Average (linear weights, most recent value heaviest)
+ * @param {Array<number|null>} values - Values
+ * @param {number} period - Period for calculation
+ * @returns {Array<number|null>} WMA per value
+ */
+function wma(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = firstIndex(values);
+  if (start === -1) {
+    return result;
+  }
+
+  const divisor = (period * (period + 1)) / 2;
+  for (let i = start + period - 1; i < values.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < period; j++) {
+      sum += values[i - j] * (period - j);
+    }
+    result[i] = sum / divisor;
+  }
+
+  return result;
+}
+
+/**
+ * Exponential moving average seeded with the SMA of the first `period` values
+ * @param {Array<number|null>} values - Values
+ * @param {number} period - Period for calculation
+ * @param {number} multiplier - Smoothing factor
+ * @returns {Array<number|null>} Smoothed values
+ */
+function smooth(values, period, multiplier) {
+  const result = new Array(values.length).fill(null);
+  const start = firstIndex(values);
+  if (start === -1 || values.length - start < period) {
+    return result;
+  }
+
+  // Calculate SMA (Simple Moving Average) for the initial value
+  let average = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+  result[start + period - 1] = average;
+
+  for (let i = start + period; i < values.length; i++) {
+    average = (values[i] - average) * multiplier + average;
+    result[i] = average;
+  }
+
+  return result;
+}
+
+/**
+ * Exponential Moving Average
+ * @param {Array<number|null>} values - Values
+ * @param {number} period - Period for calculation
+ * @returns {Array<number|null>} EMA per value
+ */
+function ema(values, period) {
+  return smooth(values, period, 2 / (period + 1));
+}
+
+/**
+ * Wilder's smoothing (running moving average), used by RSI, ATR and ADX
+ * @param {Array<number|null>} values - Values
+ * @param {number} period - Period for calculation
+ * @returns {Array<number|null>} Smoothed values
+ */
+function rma(values, period) {
+  return smooth(values, period, 1 / period);
+}
+
+module.exports = {
+  firstIndex,
+  sma,
+  wma,
+  ema,
+  rma
+};
@@ -0,0 +1,148 @@
+const { sma, ema } = require('./movingAverages');
+
+/**
+ * Highest high and lowest low over the `period` bars ending at an index
+ * @param {Array<Object>} bars - OHLCV bars
+ * @param {number} index - Last bar of the window
+ * @param {number} period - Window length
+ * @returns {Object} { highest, lowest }
+ */
+function range(bars, index, period) {
+  let highest = -Infinity;
+  let lowest = Infinity;
+  for (let i = index - period + 1; i <= index; i++) {
+    highest = Math.max(highest, bars[i].high);
+    lowest = Math.min(lowest, bars[i].low);
+  }
+  return { highest, lowest };
+}
+
+/**
+ * Relative Strength Index
+ * @param {Array<number>} prices - Close prices
+ * @param {number} period - Period for calculation
+ * @returns {Array<number|null>} RSI per price, null until `period` changes are available
+ */
+function rsi(prices, period) {
+  const result = new Array(prices.length).fill(null);
+  if (prices.length < period + 1) {
+    return result;
+  }
+
+  // Calculate gains and losses
+  const gains = [];
+  const losses = [];
+  for (let i = 1; i < prices.length; i++) {
+    const change = prices[i] - prices[i - 1];
+    gains.push(change > 0 ? change : 0);
+    losses.push(change < 0 ? Math.abs(change) : 0);
+  }
+
+  // Calculate average gain and average loss for the first period
+  let avgGain = gains.slice(0, period).reduce((sum, gain) => sum + gain, 0) / period;
+  let avgLoss = losses.slice(0, period).reduce((sum, loss) => sum + loss, 0) / period;
+
+  const toRSI = () => 100 - (100 / (1 + avgGain / (avgLoss === 0 ? 0.001 : avgLoss))); // Avoid division by zero
+  result[period] = toRSI();
+
+  // Calculate RSI for the remaining periods
+  for (let i = period; i < gains.length; i++) {
+    avgGain = ((avgGain * (period - 1)) + gains[i]) / period;
+    avgLoss = ((avgLoss * (period - 1)) + losses[i]) / period;
+    result[i + 1] = toRSI();
+  }
+
+  return result;
+}
+
+/**
+ * Moving Average Convergence Divergence
+ * @param {Array<number>} prices - Close prices
+ * @param {number} fast - Fast EMA period
+ * @param {number} slow - Slow EMA period
+ * @param {number} signal - Signal EMA period
+ * @returns {Array<Object>} { macdLine, signalLine, histogram } per price
+ */
+function macd(prices, fast, slow, signal) {
+  const fastEMA = ema(prices, fast);
+  const slowEMA = ema(prices, slow);
+
+  const macdLine = prices.map((price, i) => (
+    fastEMA[i] === null || slowEMA[i] === null ? null : fastEMA[i] - slowEMA[i]
+  ));
+  const signalLine = ema(macdLine, signal);
+
+  return macdLine.map((value, i) => ({
+    macdLine: value,
+    signalLine: signalLine[i],
+    histogram: signalLine[i] === null ? null : value - signalLine[i]
+  }));
+}
+
+/**
+ * Stochastic Oscillator
+ * @param {Array<Object>} bars - OHLCV bars
+ * @param {number} kPeriod - %K lookback
+ * @param {number} dPeriod - %D smoothing
+ * @returns {Array<Object>} { k, d } per bar
+ */
+function stochastic(bars, kPeriod, dPeriod) {
+  const k = bars.map((bar, i) => {
+    if (i < kPeriod - 1) {
+      return null;
+    }
+    const { highest, lowest } = range(bars, i, kPeriod);
+    return highest === lowest ? 50 : (100 * (bar.close - lowest)) / (highest - lowest);
+  });
+  const d = sma(k, dPeriod);
+
+  return k.map((value, i) => ({ k: value, d: d[i] }));
+}
+
+/**
+ * Commodity Channel Index
+ * @param {Array<Object>} bars - OHLCV bars
+ * @param {number} period - Period for calculation
+ * @returns {Array<number|null>} CCI per bar
+ */
+function cci(bars, period) {
+  const typical = bars.map(bar => (bar.high + bar.low + bar.close) / 3);
+  const average = sma(typical, period);
+
+  return typical.map((price, i) => {
+    if (average[i] === null) {
+      return null;
+    }
+    let deviation = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      deviation += Math.abs(typical[j] - average[i]);
+    }
+    deviation /= period;
+    return deviation === 0 ? 0 : (price - average[i]) / (0.015 * deviation);
+  });
+}
+
+/**
+ * Williams %R
+ * @param {Array<Object>} bars - OHLCV bars
+ * @param {number} period - Period for calculation
+ * @returns {Array<number|null>} %R per bar, from -100 to 0
+ */
+function williamsR(bars, period) {
+  return bars.map((bar, i) => {
+    if (i < period - 1) {
+      return null;
+    }
+    const { highest, lowest } = range(bars, i, period);
+    return highest === lowest ? -50 : (-100 * (highest - bar.close)) / (highest - lowest);
+  });
+}
+
+module.exports = {
+  range,
+  rsi,
+  macd,
+  stochastic,
+  cci,
+  williamsR
+};
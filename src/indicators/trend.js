@@ -0,0 +1,151 @@
+const { rma } = require('./movingAverages');
+const { range } = require('./oscillators');
+const { trueRange } = require('./volatility');
+
+/**
+ * Average Directional Index with the directional indicators
+ * @param {Array<Object>} bars - OHLCV bars
+ * @param {number} period - Period for calculation
+ * @returns {Array<Object>} { adx, plusDI, minusDI } per bar
+ */
+function adx(bars, period) {
+  const plusDM = bars.map((bar, i) => {
+    if (i === 0) {
+      return null;
+    }
+    const up = bar.high - bars[i - 1].high;
+    const down = bars[i - 1].low - bar.low;
+    return up > down && up > 0 ? up : 0;
+  });
+  const minusDM = bars.map((bar, i) => {
+    if (i === 0) {
+      return null;
+    }
+    const up = bar.high - bars[i - 1].high;
+    const down = bars[i - 1].low - bar.low;
+    return down > up && down > 0 ? down : 0;
+  });
+
+  const smoothedTR = rma(trueRange(bars), period);
+  const smoothedPlusDM = rma(plusDM, period);
+  const smoothedMinusDM = rma(minusDM, period);
+
+  const plusDI = smoothedTR.map((tr, i) => (tr === null ? null : tr === 0 ? 0 : (100 * smoothedPlusDM[i]) / tr));
+  const minusDI = smoothedTR.map((tr, i) => (tr === null ? null : tr === 0 ? 0 : (100 * smoothedMinusDM[i]) / tr));
+  const dx = plusDI.map((plus, i) => {
+    if (plus === null) {
+      return null;
+    }
+    const total = plus + minusDI[i];
+    return total === 0 ? 0 : (100 * Math.abs(plus - minusDI[i])) / total;
+  });
+  const adxValues = rma(dx, period);
+
+  return bars.map((bar, i) => ({
+    adx: adxValues[i],
+    plusDI: plusDI[i],
+    minusDI: minusDI[i]
+  }));
+}
+
+/**
+ * Ichimoku Cloud. Values are aligned with the bar they are plotted on: the
+ * leading spans are shifted forward and the lagging span back by the
+ * displacement, so the last bars have no lagging span.
+ * @param {Array<Object>} bars - OHLCV bars
+ * @param {number} conversion - Conversion line (tenkan-sen) period
+ * @param {number} base - Base line (kijun-sen) period, also the displacement
+ * @param {number} spanB - Leading span B period
+ * @returns {Array<Object>} { conversion, base, spanA, spanB, lagging } per bar
+ */
+function ichimoku(bars, conversion, base, spanB) {
+  const midpoint = period => bars.map((bar, i) => {
+    if (i < period - 1) {
+      return null;
+    }
+    const { highest, lowest } = range(bars, i, period);
+    return (highest + lowest) / 2;
+  });
+
+  const conversionLine = midpoint(conversion);
+  const baseLine = midpoint(base);
+  const spanBLine = midpoint(spanB);
+
+  return bars.map((bar, i) => {
+    const source = i - base;
+    const spanA = source >= 0 && conversionLine[source] !== null && baseLine[source] !== null
+      ? (conversionLine[source] + baseLine[source]) / 2
+      : null;
+
+    return {
+      conversion: conversionLine[i],
+      base: baseLine[i],
+      spanA,
+      spanB: source >= 0 ? spanBLine[source] : null,
+      lagging: i + base < bars.length ? bars[i + base].close : null
+    };
+  });
+}
+
+/**
+ * Parabolic SAR
+ * @param {Array<Object>} bars - OHLCV bars
+ * @param {number} step - Acceleration factor step
+ * @param {number} max - Maximum acceleration factor
+ * @returns {Array<Object|null>} { sar, trend ('up' or 'down') } per bar
+ */
+function parabolicSAR(bars, step, max) {
+  const result = new Array(bars.length).fill(null);
+  if (bars.length < 2) {
+    return result;
+  }
+
+  let uptrend = bars[1].close >= bars[0].close;
+  let sar = uptrend ? bars[0].low : bars[0].high;
+  let extreme = uptrend ? bars[0].high : bars[0].low;
+  let factor = step;
+
+  for (let i = 1; i < bars.length; i++) {
+    const bar = bars[i];
+    const previous = bars[i - 1];
+    const beforePrevious = bars[Math.max(i - 2, 0)];
+
+    sar += factor * (extreme - sar);
+
+    if (uptrend) {
+      // SAR may not rise above the prior two lows
+      sar = Math.min(sar, previous.low, beforePrevious.low);
+      if (bar.low < sar) {
+        uptrend = false;
+        sar = extreme;
+        extreme = bar.low;
+        factor = step;
+      } else if (bar.high > extreme) {
+        extreme = bar.high;
+        factor = Math.min(factor + step, max);
+      }
+    } else {
+      // SAR may not fall below the prior two highs
+      sar = Math.max(sar, previous.high, beforePrevious.high);
+      if (bar.high > sar) {
+        uptrend = true;
+        sar = extreme;
+        extreme = bar.high;
+        factor = step;
+      } else if (bar.low < extreme) {
+        extreme = bar.low;
+        factor = Math.min(factor + step, max);
+      }
+    }
+
+    result[i] = { sar, trend: uptrend ? 'up' : 'down' };
+  }
+
+  return result;
+}
+
+module.exports = {
+  adx,
+  ichimoku,
+  parabolicSAR
+};
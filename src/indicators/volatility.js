@@ -0,0 +1,63 @@
+const { sma, rma } = require('./movingAverages');
+
+/**
+ * True Range per bar. The first bar has no previous close, so it is null.
+ * @param {Array<Object>} bars - OHLCV bars
+ * @returns {Array<number|null>} True range per bar
+ */
+function trueRange(bars) {
+  return bars.map((bar, i) => {
+    if (i === 0) {
+      return null;
+    }
+    const previousClose = bars[i - 1].close;
+    return Math.max(
+      bar.high - bar.low,
+      Math.abs(bar.high - previousClose),
+      Math.abs(bar.low - previousClose)
+    );
+  });
+}
+
+/**
+ * Bollinger Bands
+ * @param {Array<number>} prices - Close prices
+ * @param {number} period - Moving average period
+ * @param {number} multiplier - Standard deviations from the middle band
+ * @returns {Array<Object>} { middle, upper, lower } per price
+ */
+function bollingerBands(prices, period, multiplier) {
+  const middle = sma(prices, period);
+
+  return prices.map((price, i) => {
+    if (middle[i] === null) {
+      return { middle: null, upper: null, lower: null };
+    }
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      variance += (prices[j] - middle[i]) ** 2;
+    }
+    const deviation = Math.sqrt(variance / period);
+    return {
+      middle: middle[i],
+      upper: middle[i] + multiplier * deviation,
+      lower: middle[i] - multiplier * deviation
+    };
+  });
+}
+
+/**
+ * Average True Range (Wilder)
+ * @param {Array<Object>} bars - OHLCV bars
+ * @param {number} period - Period for calculation
+ * @returns {Array<number|null>} ATR per bar
+ */
+function atr(bars, period) {
+  return rma(trueRange(bars), period);
+}
+
+module.exports = {
+  trueRange,
+  bollingerBands,
+  atr
+};
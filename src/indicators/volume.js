@@ -0,0 +1,38 @@
+/**
+ * On-Balance Volume, starting from zero at the first bar
+ * @param {Array<Object>} bars - OHLCV bars
+ * @returns {Array<number>} OBV per bar
+ */
+function obv(bars) {
+  let total = 0;
+  return bars.map((bar, i) => {
+    if (i > 0) {
+      if (bar.close > bars[i - 1].close) {
+        total += bar.volume;
+      } else if (bar.close < bars[i - 1].close) {
+        total -= bar.volume;
+      }
+    }
+    return total;
+  });
+}
+
+/**
+ * Volume Weighted Average Price, anchored at the first bar of the range
+ * @param {Array<Object>} bars - OHLCV bars
+ * @returns {Array<number|null>} VWAP per bar
+ */
+function vwap(bars) {
+  let priceVolume = 0;
+  let volume = 0;
+  return bars.map(bar => {
+    priceVolume += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+    volume += bar.volume;
+    return volume === 0 ? null : priceVolume / volume;
+  });
+}
+
+module.exports = {
+  obv,
+  vwap
+};
@@ -0,0 +1,221 @@
+const { MetricsRegistry, Counter, Gauge, Histogram, DEFAULT_BUCKETS } = require('./registry');
+
+// Content type of the Prometheus text exposition format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Service Metrics
+ * The metrics exposed on /metrics, shared by every module that records them
+ */
+const registry = new MetricsRegistry();
+
+const startedAt = Date.now();
+
+const httpRequests = registry.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests served, by route template and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to serve HTTP requests, by route template',
+  labelNames: ['method', 'route']
+});
+
+const upstreamRequests = registry.counter({
+  name: 'upstream_requests_total',
+  help: 'Provider calls, by provider, capability and outcome (success or an error code)',
+  labelNames: ['provider', 'capability', 'outcome']
+});
+
+const upstreamDuration = registry.histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Time taken by provider calls, by provider and capability',
+  labelNames: ['provider', 'capability']
+});
+
+const fallbacks = registry.counter({
+  name: 'fallbacks_total',
+  help: 'Requests served by a provider after an earlier one in the chain failed or was rate limited',
+  labelNames: ['capability', 'provider']
+});
+
+const fallbacksExhausted = registry.counter({
+  name: 'fallback_exhausted_total',
+  help: 'Requests no provider in the chain could serve, by the error reported',
+  labelNames: ['capability', 'code']
+});
+
+const cacheRequests = registry.counter({
+  name: 'cache_requests_total',
+  help: 'Response cache lookups, by data type and result (hit, stale or miss)',
+  labelNames: ['type', 'status']
+});
+
+registry.gauge({
+  name: 'cache_hit_ratio',
+  help: 'Share of response cache lookups served from the cache (hit or stale), by data type',
+  labelNames: ['type'],
+  collect: gauge => {
+    const totals = {};
+    for (const { labels, value } of cacheRequests.series.values()) {
+      if (!totals[labels.type]) {
+        totals[labels.type] = { served: 0, all: 0 };
+      }
+      const total = totals[labels.type];
+      total.all += value.count;
+      if (labels.status !== 'miss') {
+        total.served += value.count;
+      }
+    }
+    for (const [type, { served, all }] of Object.entries(totals)) {
+      gauge.set({ type }, all === 0 ? 0 : served / all);
+    }
+  }
+});
+
+const providerUp = registry.gauge({
+  name: 'provider_up',
+  help: 'Whether the provider answered its last health check (1) or not (0); unconfigured providers are not reported',
+  labelNames: ['provider']
+});
+
+const providerProbeDuration = registry.gauge({
+  name: 'provider_probe_duration_seconds',
+  help: 'Time taken by the provider\'s last health check probe',
+  labelNames: ['provider']
+});
+
+const circuitState = registry.gauge({
+  name: 'circuit_breaker_state',
+  help: 'Circuit breaker state per provider and capability: 0 closed, 1 half-open, 2 open; reported once a circuit has changed state',
+  labelNames: ['provider', 'capability']
+});
+
+// Value of circuit_breaker_state for each state
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+registry.gauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the service started',
+  collect: gauge => gauge.set({}, Math.round((Date.now() - startedAt) / 1000))
+});
+
+registry.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage().rss)
+});
+
+registry.gauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap used in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage().heapUsed)
+});
+
+// Outcome of each provider's most recent call: { at, ok, code }
+const lastOutcomes = new Map();
+
+/**
+ * Record a provider call
+ * @param {string} provider - Provider id
+ * @param {string} capability - Capability called
+ * @param {number} seconds - Time taken
+ * @param {Error} error - Error the call failed with, as a MarketDataError (optional)
+ */
+function recordUpstream(provider, capability, seconds, error) {
+  const outcome = error ? error.code || 'INTERNAL_ERROR' : 'success';
+  upstreamRequests.inc({ provider, capability, outcome });
+  upstreamDuration.observe({ provider, capability }, seconds);
+  lastOutcomes.set(provider, { at: Date.now(), ok: !error, code: error ? outcome : null });
+}
+
+/**
+ * Get the outcome of a provider's most recent call
+ * @param {string} provider - Provider id
+ * @returns {Object|undefined} { at, ok, code }: at is a time in milliseconds
+ */
+function lastUpstreamOutcome(provider) {
+  return lastOutcomes.get(provider);
+}
+
+/**
+ * Record the result of a fallback chain
+ * @param {string} capability - Capability fetched
+ * @param {Array<Object>} attempts - Attempts made, as reported to the caller
+ * @param {Error} error - Error reported if no provider succeeded (optional)
+ */
+function recordFallback(capability, attempts, error) {
+  if (error) {
+    fallbacksExhausted.inc({ capability, code: error.code || 'INTERNAL_ERROR' });
+    return;
+  }
+  const served = attempts[attempts.length - 1];
+  const fellBack = attempts.slice(0, -1)
+    .some(attempt => attempt.status === 'failed' || attempt.reason === 'Rate limit queue saturated');
+  if (fellBack) {
+    fallbacks.inc({ capability, provider: served.provider });
+  }
+}
+
+/**
+ * Record a response cache lookup
+ * @param {string} type - Data type
+ * @param {string} status - 'hit', 'stale' or 'miss'
+ */
+function recordCache(type, status) {
+  cacheRequests.inc({ type, status });
+}
+
+/**
+ * Record a served HTTP request
+ * @param {string} method - HTTP method
+ * @param {string} route - Route template, e.g. '/api/market-data/quote'
+ * @param {number} status - HTTP status
+ * @param {number} seconds - Time taken
+ */
+function recordHttpRequest(method, route, status, seconds) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, seconds);
+}
+
+/**
+ * Record a provider health check
+ * @param {string} provider - Provider id
+ * @param {boolean} up - Whether the provider answered
+ * @param {number} seconds - Time taken by the probe, or null if not probed
+ */
+function recordProbe(provider, up, seconds) {
+  providerUp.set({ provider }, up ? 1 : 0);
+  if (seconds !== null) {
+    providerProbeDuration.set({ provider }, seconds);
+  }
+}
+
+/**
+ * Record a circuit breaker changing state
+ * @param {string} provider - Provider id
+ * @param {string} capability - Capability the breaker guards
+ * @param {string} state - 'closed', 'half-open' or 'open'
+ */
+function recordCircuitState(provider, capability, state) {
+  circuitState.set({ provider, capability }, CIRCUIT_STATES[state]);
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry,
+  registry,
+  recordUpstream,
+  lastUpstreamOutcome,
+  recordFallback,
+  recordCache,
+  recordHttpRequest,
+  recordProbe,
+  recordCircuitState
+};
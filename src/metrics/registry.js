@@ -0,0 +1,299 @@
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set
+ * @param {Object} labels - Label values by name
+ * @returns {string} e.g. '{provider="finnhub"}', or '' without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Value
+ * @returns {string} Value as Prometheus expects it
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Metric
+ * Base class for metrics with a fixed set of label names. Each distinct
+ * label set is a series, keyed by its label values.
+ */
+class Metric {
+  /**
+   * @param {Object} options - Metric definition
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description
+   * @param {Array<string>} options.labelNames - Label names (optional)
+   * @param {string} type - Prometheus type
+   */
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.type = type;
+    this.series = new Map();
+  }
+
+  /**
+   * Get the series for a label set, creating it if needed
+   * @param {Object} labels - Label values by name
+   * @param {Function} create - Creates a new series value
+   * @returns {Object} { labels, value }
+   */
+  seriesFor(labels, create) {
+    const key = this.keyFor(labels);
+    if (!this.series.has(key)) {
+      const named = {};
+      this.labelNames.forEach(name => {
+        named[name] = labels[name] === undefined ? '' : String(labels[name]);
+      });
+      this.series.set(key, { labels: named, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Get the series key for a label set
+   * @param {Object} labels - Label values by name
+   * @returns {string} Key
+   */
+  keyFor(labels) {
+    return this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))).join('\u0000');
+  }
+
+  /**
+   * Remove every series
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Render the metric's HELP and TYPE lines
+   * @returns {Array<string>} Lines
+   */
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/**
+ * Counter
+ * A value that only goes up, such as a request count
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super(options, 'counter');
+  }
+
+  /**
+   * Increase a series
+   * @param {Object} labels - Label values (optional)
+   * @param {number} amount - Amount to add (optional, default 1)
+   */
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ count: 0 })).value.count += amount;
+  }
+
+  /**
+   * Get a series' value
+   * @param {Object} labels - Label values (optional)
+   * @returns {number} Value, 0 if the series doesn't exist
+   */
+  get(labels = {}) {
+    const series = this.series.get(this.keyFor(labels));
+    return series ? series.value.count : 0;
+  }
+
+  /**
+   * Render the counter
+   * @returns {Array<string>} Lines
+   */
+  render() {
+    return [
+      ...this.header(),
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value.count)}`)
+    ];
+  }
+}
+
+/**
+ * Gauge
+ * A value that goes up and down. A gauge may have a collect function that
+ * sets its values when metrics are rendered.
+ */
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - Metric definition, plus an optional collect(gauge) function
+   */
+  constructor(options) {
+    super(options, 'gauge');
+    this.collect = options.collect || null;
+  }
+
+  /**
+   * Set a series
+   * @param {Object} labels - Label values
+   * @param {number} value - Value
+   */
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value.value = value;
+  }
+
+  /**
+   * Render the gauge, collecting its values first
+   * @returns {Array<string>} Lines
+   */
+  render() {
+    if (this.collect) {
+      this.collect(this);
+    }
+    return [
+      ...this.header(),
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value.value)}`)
+    ];
+  }
+}
+
+/**
+ * Histogram
+ * Counts observations, such as durations, into cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric definition, plus optional `buckets` (upper bounds, ascending)
+   */
+  constructor(options) {
+    super(options, 'histogram');
+    this.buckets = options.buckets || DEFAULT_BUCKETS;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Render the histogram
+   * @returns {Array<string>} Lines
+   */
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Metrics Registry
+ * Holds metrics and renders them in the Prometheus text exposition format
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Add a metric
+   * @param {Metric} metric - Metric
+   * @returns {Metric} The metric
+   * @throws {Error} If a metric with the same name exists
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Create and register a counter
+   * @param {Object} options - Metric definition
+   * @returns {Counter} Counter
+   */
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  /**
+   * Create and register a gauge
+   * @param {Object} options - Metric definition
+   * @returns {Gauge} Gauge
+   */
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  /**
+   * Create and register a histogram
+   * @param {Object} options - Metric definition
+   * @returns {Histogram} Histogram
+   */
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Render every metric
+   * @returns {string} Text exposition format
+   */
+  render() {
+    return `${[...this.metrics.values()].flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+
+  /**
+   * Remove every series from every metric
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry
+};
@@ -0,0 +1,56 @@
+const { AccessControl, requestSecret, runWithContext } = require('../auth');
+const { sendError } = require('./errorHandler');
+
+/**
+ * Create middleware that authenticates the caller by API key and enforces
+ * the key's allowed routes and providers, rate limit and daily quota (see
+ * AccessControl). Accepted requests get X-RateLimit-* and X-Quota-* headers
+ * and run with the key in the request context, so the providers they may use
+ * are restricted and their upstream calls metered; each response is metered
+ * against the route that served it, or `<mount path>/*` if none matched.
+ * @param {Object} options - Middleware options (optional)
+ * @param {AccessControl} options.access - Access control (optional, defaults to the shared instance)
+ * @param {Function} options.onError - Sends a refusal, called with (res, error) (optional, defaults to sendError)
+ * @returns {Function} Express middleware
+ */
+function authenticate({ access, onError } = {}) {
+  return (req, res, next) => {
+    const control = access || AccessControl.getInstance();
+    // Mount path, kept because Express resets req.baseUrl once routing ends
+    const base = req.baseUrl;
+    const params = req.method === 'POST' && req.body ? { ...req.query, ...req.body } : req.query;
+
+    let grant;
+    try {
+      grant = control.authorize({
+        secret: requestSecret(req),
+        path: `${base}${req.path}`,
+        provider: typeof params.provider === 'string' ? params.provider : undefined
+      });
+    } catch (error) {
+      return onError ? onError(res, error) : sendError(res, error, 'Request refused');
+    }
+
+    const { key, rateLimit, quota } = grant;
+    if (rateLimit) {
+      res.set('X-RateLimit-Limit', String(rateLimit.limit));
+      res.set('X-RateLimit-Remaining', String(rateLimit.remaining));
+    }
+    if (quota) {
+      res.set('X-Quota-Limit', String(quota.limit));
+      res.set('X-Quota-Remaining', String(quota.remaining));
+    }
+
+    // Paths that match no route share one bucket, so callers can't add meter entries at will
+    const route = () => `${base}${req.route ? req.route.path : '/*'}`;
+    req.apiKey = key;
+    res.on('finish', () => control.meter.recordResponse(key.id, route(), res.statusCode));
+
+    runWithContext({
+      key,
+      recordUpstream: provider => control.meter.recordUpstream(key.id, route(), provider)
+    }, next);
+  };
+}
+
+module.exports = authenticate;
@@ -0,0 +1,60 @@
+const { MarketDataError, InvalidParameterError } = require('../errors');
+
+/**
+ * Send an error response. MarketDataErrors map to their HTTP status and code;
+ * anything else is a 500 with code INTERNAL_ERROR. The body is always
+ * { message, code, error, provider } plus, when known, `retryAfter` (also sent
+ * as a Retry-After header), `errors` for invalid parameters and the provider
+ * `attempts`.
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error to report
+ * @param {string} message - Summary of what failed (optional, defaults to the error message)
+ */
+function sendError(res, error, message) {
+  const typed = error instanceof MarketDataError;
+  const body = {
+    message: message || error.message,
+    code: typed ? error.code : 'INTERNAL_ERROR',
+    error: error.message,
+    provider: error.provider || null
+  };
+
+  if (typed && error.retryAfter !== null && error.retryAfter !== undefined) {
+    body.retryAfter = error.retryAfter;
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  if (error.errors) {
+    body.errors = error.errors;
+  }
+  if (error.attempts) {
+    body.attempts = error.attempts;
+  }
+
+  res.status(typed ? error.status : 500).json(body);
+}
+
+/**
+ * Express error handler for errors not caught by a controller, such as a
+ * malformed JSON body
+ * @param {Error} err - Error
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, new InvalidParameterError('Request body must be valid JSON'));
+  }
+
+  console.error(err.stack);
+  sendError(res, err, 'An unexpected error occurred');
+}
+
+module.exports = {
+  sendError,
+  errorHandler
+};
@@ -0,0 +1,22 @@
+const { recordHttpRequest } = require('../metrics');
+
+/**
+ * Create middleware that counts and times every response by method, route
+ * template (e.g. '/v8/finance/chart/:symbol', so symbols don't create new
+ * series) and status. Requests no route matched, including those refused
+ * before routing, are labelled 'unmatched'.
+ * @returns {Function} Express middleware
+ */
+function recordMetrics() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      recordHttpRequest(req.method, route, res.statusCode, seconds);
+    });
+    next();
+  };
+}
+
+module.exports = recordMetrics;
@@ -0,0 +1,27 @@
+const MarketDataService = require('../services/marketDataService');
+const { InvalidParameterError } = require('../errors');
+const { sendError } = require('./errorHandler');
+
+/**
+ * Create middleware that checks request parameters against validation rules
+ * (see src/validation) and rejects the request with a 400 listing every
+ * problem found. Parameters come from the query string, merged with the JSON
+ * body for POST requests.
+ * @param {Array<Function>} requestRules - Rules to apply
+ * @param {ProviderRegistry} registry - Provider registry (optional, defaults to the shared service's)
+ * @returns {Function} Express middleware
+ */
+function validateRequest(requestRules, registry) {
+  return (req, res, next) => {
+    const params = req.method === 'POST' ? { ...req.query, ...req.body } : req.query;
+    const providers = registry || MarketDataService.getInstance().registry;
+    const errors = requestRules.flatMap(rule => rule(params, providers));
+
+    if (errors.length > 0) {
+      return sendError(res, new InvalidParameterError('Invalid request parameters', errors));
+    }
+    next();
+  };
+}
+
+module.exports = validateRequest;
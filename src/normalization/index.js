@@ -0,0 +1,199 @@
+const { SCHEMAS } = require('./schemas');
+const { ProviderDataError } = require('../errors');
+
+// Issues listed in a validation error message before the rest are summarized
+const MAX_REPORTED_ISSUES = 5;
+
+/**
+ * Convert a provider value to a finite number. Missing values, placeholders
+ * such as 'None' or '-', and anything that does not parse become null
+ * rather than NaN.
+ * @param {*} value - Raw value
+ * @param {number} scale - Multiplier converting the provider's unit to the canonical one (optional)
+ * @returns {number|null} Number or null
+ */
+function toNumber(value, scale = 1) {
+  if (value === null || value === undefined || typeof value === 'boolean') {
+    return null;
+  }
+
+  const number = typeof value === 'number' ? value : Number(String(value).trim().replace(/%$/, ''));
+  if (String(value).trim() === '' || !Number.isFinite(number)) {
+    return null;
+  }
+  return number * scale;
+}
+
+/**
+ * Convert a provider value to a non-empty string
+ * @param {*} value - Raw value
+ * @returns {string|null} String or null
+ */
+function toText(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' || text === 'None' ? null : text;
+}
+
+/**
+ * Convert a provider time to an ISO 8601 timestamp
+ * @param {number|string} value - Raw time
+ * @param {string} unit - 's' for unix seconds, 'ms' for unix milliseconds or 'date' for a parseable date string
+ * @returns {string|null} ISO timestamp or null
+ */
+function toTimestamp(value, unit) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let date;
+  if (unit === 'date') {
+    date = new Date(value);
+  } else {
+    const number = toNumber(value, unit === 's' ? 1000 : 1);
+    date = number === null ? null : new Date(number);
+  }
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Convert a provider date to a calendar date
+ * @param {string} value - Raw date, e.g. '2024-05-10' or 'None'
+ * @returns {string|null} Date (YYYY-MM-DD) or null
+ */
+function toDate(value) {
+  const text = toText(value);
+  const timestamp = text === null ? null : toTimestamp(text, 'date');
+  return timestamp === null ? null : timestamp.slice(0, 10);
+}
+
+/**
+ * Check a value against a field type
+ * @param {*} value - Value
+ * @param {string} type - Field type
+ * @returns {boolean} True if valid
+ */
+function isValidType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value !== '';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'timestamp':
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+    case 'date':
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate an object against a schema, collecting problems
+ * @param {Object} value - Object to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the object, used in messages
+ * @param {Array<string>} issues - Collected problems
+ * @returns {Object} Object with exactly the schema's fields
+ */
+function applySchema(value, schema, path, issues) {
+  const normalized = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = value[field];
+    const fieldPath = path ? `${path}.${field}` : field;
+    let valid;
+
+    if (rule.type === 'array') {
+      valid = Array.isArray(raw);
+      if (valid && rule.items) {
+        normalized[field] = raw.map((item, index) => {
+          if (item === null || typeof item !== 'object') {
+            issues.push(`${fieldPath}[${index}] is not an object`);
+            return null;
+          }
+          return applySchema(item, rule.items, `${fieldPath}[${index}]`, issues);
+        });
+      } else if (valid) {
+        raw.forEach((item, index) => {
+          if (!isValidType(item, rule.of)) {
+            issues.push(`${fieldPath}[${index}] is not a valid ${rule.of}`);
+          }
+        });
+        normalized[field] = raw;
+      }
+    } else if (rule.type === 'object') {
+      valid = raw !== null && typeof raw === 'object' && !Array.isArray(raw);
+      if (valid) {
+        normalized[field] = applySchema(raw, rule.fields, fieldPath, issues);
+      }
+    } else {
+      valid = isValidType(raw, rule.type) && (!rule.values || rule.values.includes(raw));
+      if (valid) {
+        normalized[field] = raw;
+      }
+    }
+
+    if (!valid) {
+      if (rule.required) {
+        issues.push(raw === undefined || raw === null
+          ? `${fieldPath} is missing`
+          : `${fieldPath} is not a valid ${rule.type}`);
+      }
+      normalized[field] = rule.default === undefined ? null : rule.default;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate a provider result against the canonical schema for its capability
+ * and strip fields outside it
+ * @param {string} capability - Capability ('quote', 'profile', 'candles', 'options', 'actions', 'search',
+ *   'fundamentals', 'financials')
+ * @param {Object} result - Provider result
+ * @param {string} provider - Provider id, used in errors (optional)
+ * @returns {Object} Normalized result
+ * @throws {ProviderDataError} If a required field is missing or invalid
+ */
+function normalizeResult(capability, result, provider = null) {
+  const schema = SCHEMAS[capability];
+  if (!schema) {
+    return result;
+  }
+
+  const issues = [];
+  let normalized = null;
+  if (result !== null && typeof result === 'object') {
+    normalized = applySchema(result, schema, '', issues);
+  } else {
+    issues.push('result is not an object');
+  }
+
+  if (issues.length > 0) {
+    const shown = issues.slice(0, MAX_REPORTED_ISSUES).join('; ');
+    const more = issues.length > MAX_REPORTED_ISSUES ? ` (and ${issues.length - MAX_REPORTED_ISSUES} more)` : '';
+    throw new ProviderDataError(`Invalid ${capability} data${provider ? ` from ${provider}` : ''}: ${shown}${more}`, {
+      provider,
+      issues
+    });
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  SCHEMAS,
+  toNumber,
+  toText,
+  toTimestamp,
+  toDate,
+  normalizeResult
+};
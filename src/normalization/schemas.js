@@ -0,0 +1,251 @@
+/**
+ * Canonical schemas for provider results. Every adapter's output is checked
+ * against these before it is cached or returned, whatever the provider.
+ *
+ * Field types:
+ *   string    - non-empty string
+ *   number    - finite number
+ *   integer   - finite whole number
+ *   boolean   - true or false
+ *   timestamp - ISO 8601 date-time string
+ *   date      - YYYY-MM-DD string
+ *   array     - array of `items` (a nested schema) or of `of` (a field type)
+ *   object    - object matching `fields` (a nested schema)
+ *
+ * Required fields must be present and valid. Optional fields that are missing
+ * or invalid become `default`, or null. Fields not in the schema are dropped.
+ *
+ * Units: prices in the quote currency, percentages as percent (1.5 = 1.5%),
+ * market capitalization in whole currency units, implied volatility as a
+ * decimal (0.25 = 25%), timestamps as ISO 8601 in UTC. Candles are raw:
+ * not adjusted for splits or dividends. Split factors read `toFactor` new
+ * shares for `fromFactor` old ones (a 4-for-1 split is 1 -> 4); dividend
+ * amounts are per share as paid, not adjusted for later splits. Search
+ * result types are one of ASSET_TYPES; currencies are ISO 4217 codes.
+ * Financial statement amounts are in the reporting currency, with money
+ * spent (capital expenditures, dividends paid) as positive amounts.
+ */
+
+const QUOTE_SCHEMA = {
+  symbol: { type: 'string', required: true },
+  price: { type: 'number', required: true },
+  change: { type: 'number' },
+  percentChange: { type: 'number' },
+  high: { type: 'number' },
+  low: { type: 'number' },
+  open: { type: 'number' },
+  previousClose: { type: 'number' },
+  timestamp: { type: 'timestamp', required: true },
+  source: { type: 'string', required: true }
+};
+
+const PROFILE_SCHEMA = {
+  symbol: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  exchange: { type: 'string' },
+  industry: { type: 'string' },
+  marketCap: { type: 'number' },
+  logo: { type: 'string' },
+  weburl: { type: 'string' },
+  source: { type: 'string', required: true }
+};
+
+const BAR_SCHEMA = {
+  timestamp: { type: 'timestamp', required: true },
+  open: { type: 'number', required: true },
+  high: { type: 'number', required: true },
+  low: { type: 'number', required: true },
+  close: { type: 'number', required: true },
+  volume: { type: 'number' }
+};
+
+const CANDLES_SCHEMA = {
+  symbol: { type: 'string', required: true },
+  interval: { type: 'string', required: true },
+  data: { type: 'array', items: BAR_SCHEMA, required: true },
+  source: { type: 'string', required: true }
+};
+
+const OPTION_SCHEMA = {
+  type: { type: 'string', required: true, values: ['call', 'put'] },
+  symbol: { type: 'string', required: true },
+  strike: { type: 'number', required: true },
+  expiration: { type: 'date', required: true },
+  lastPrice: { type: 'number' },
+  bid: { type: 'number' },
+  ask: { type: 'number' },
+  change: { type: 'number' },
+  volume: { type: 'number' },
+  openInterest: { type: 'number' },
+  impliedVolatility: { type: 'number' }
+};
+
+const OPTIONS_SCHEMA = {
+  symbol: { type: 'string', required: true },
+  expirationDates: { type: 'array', of: 'date', required: true },
+  options: { type: 'array', items: OPTION_SCHEMA, required: true },
+  truncated: { type: 'boolean', default: false },
+  cursor: { type: 'string' },
+  source: { type: 'string', required: true }
+};
+
+const SPLIT_SCHEMA = {
+  date: { type: 'date', required: true },
+  fromFactor: { type: 'number', required: true },
+  toFactor: { type: 'number', required: true }
+};
+
+const DIVIDEND_SCHEMA = {
+  exDate: { type: 'date', required: true },
+  amount: { type: 'number', required: true },
+  currency: { type: 'string' },
+  declarationDate: { type: 'date' },
+  recordDate: { type: 'date' },
+  payDate: { type: 'date' }
+};
+
+const ACTIONS_SCHEMA = {
+  symbol: { type: 'string', required: true },
+  splits: { type: 'array', items: SPLIT_SCHEMA, required: true },
+  dividends: { type: 'array', items: DIVIDEND_SCHEMA, required: true },
+  source: { type: 'string', required: true }
+};
+
+// Asset types a search result can have
+const ASSET_TYPES = ['stock', 'etf', 'fund', 'index', 'crypto', 'forex', 'other'];
+
+const SEARCH_RESULT_SCHEMA = {
+  symbol: { type: 'string', required: true },
+  name: { type: 'string' },
+  exchange: { type: 'string' },
+  type: { type: 'string', values: ASSET_TYPES, default: 'other' },
+  currency: { type: 'string' }
+};
+
+const SEARCH_SCHEMA = {
+  query: { type: 'string', required: true },
+  results: { type: 'array', items: SEARCH_RESULT_SCHEMA, required: true },
+  source: { type: 'string', required: true }
+};
+
+const FUNDAMENTALS_SCHEMA = {
+  symbol: { type: 'string', required: true },
+  currency: { type: 'string' },
+  latestQuarter: { type: 'date' },
+  marketCap: { type: 'number' },
+  sharesOutstanding: { type: 'number' },
+  revenue: { type: 'number' },
+  ebitda: { type: 'number' },
+  peRatio: { type: 'number' },
+  forwardPE: { type: 'number' },
+  pegRatio: { type: 'number' },
+  priceToBook: { type: 'number' },
+  priceToSales: { type: 'number' },
+  evToEbitda: { type: 'number' },
+  eps: { type: 'number' },
+  bookValuePerShare: { type: 'number' },
+  dividendPerShare: { type: 'number' },
+  dividendYield: { type: 'number' },
+  profitMargin: { type: 'number' },
+  operatingMargin: { type: 'number' },
+  returnOnEquity: { type: 'number' },
+  returnOnAssets: { type: 'number' },
+  revenueGrowth: { type: 'number' },
+  beta: { type: 'number' },
+  week52High: { type: 'number' },
+  week52Low: { type: 'number' },
+  source: { type: 'string', required: true }
+};
+
+const INCOME_STATEMENT_SCHEMA = {
+  revenue: { type: 'number' },
+  costOfRevenue: { type: 'number' },
+  grossProfit: { type: 'number' },
+  researchAndDevelopment: { type: 'number' },
+  sellingGeneralAdministrative: { type: 'number' },
+  operatingExpenses: { type: 'number' },
+  operatingIncome: { type: 'number' },
+  interestExpense: { type: 'number' },
+  incomeBeforeTax: { type: 'number' },
+  incomeTax: { type: 'number' },
+  netIncome: { type: 'number' },
+  ebitda: { type: 'number' },
+  eps: { type: 'number' },
+  epsDiluted: { type: 'number' }
+};
+
+const BALANCE_SHEET_SCHEMA = {
+  totalAssets: { type: 'number' },
+  currentAssets: { type: 'number' },
+  cashAndEquivalents: { type: 'number' },
+  inventory: { type: 'number' },
+  totalLiabilities: { type: 'number' },
+  currentLiabilities: { type: 'number' },
+  longTermDebt: { type: 'number' },
+  shareholdersEquity: { type: 'number' }
+};
+
+const CASH_FLOW_SCHEMA = {
+  operatingCashFlow: { type: 'number' },
+  investingCashFlow: { type: 'number' },
+  financingCashFlow: { type: 'number' },
+  capitalExpenditures: { type: 'number' },
+  dividendsPaid: { type: 'number' },
+  freeCashFlow: { type: 'number' }
+};
+
+// Periods financial statements cover
+const FINANCIAL_PERIODS = ['annual', 'quarterly'];
+
+const STATEMENT_SCHEMA = {
+  periodEnd: { type: 'date', required: true },
+  fiscalYear: { type: 'integer' },
+  fiscalPeriod: { type: 'string', values: ['FY', 'Q1', 'Q2', 'Q3', 'Q4'] },
+  filedDate: { type: 'date' },
+  currency: { type: 'string' },
+  incomeStatement: { type: 'object', fields: INCOME_STATEMENT_SCHEMA },
+  balanceSheet: { type: 'object', fields: BALANCE_SHEET_SCHEMA },
+  cashFlow: { type: 'object', fields: CASH_FLOW_SCHEMA }
+};
+
+const FINANCIALS_SCHEMA = {
+  symbol: { type: 'string', required: true },
+  period: { type: 'string', required: true, values: FINANCIAL_PERIODS },
+  statements: { type: 'array', items: STATEMENT_SCHEMA, required: true },
+  source: { type: 'string', required: true }
+};
+
+// Result schema for each capability
+const SCHEMAS = {
+  quote: QUOTE_SCHEMA,
+  profile: PROFILE_SCHEMA,
+  candles: CANDLES_SCHEMA,
+  options: OPTIONS_SCHEMA,
+  actions: ACTIONS_SCHEMA,
+  search: SEARCH_SCHEMA,
+  fundamentals: FUNDAMENTALS_SCHEMA,
+  financials: FINANCIALS_SCHEMA
+};
+
+module.exports = {
+  SCHEMAS,
+  QUOTE_SCHEMA,
+  PROFILE_SCHEMA,
+  BAR_SCHEMA,
+  CANDLES_SCHEMA,
+  OPTION_SCHEMA,
+  OPTIONS_SCHEMA,
+  SPLIT_SCHEMA,
+  DIVIDEND_SCHEMA,
+  ACTIONS_SCHEMA,
+  ASSET_TYPES,
+  SEARCH_RESULT_SCHEMA,
+  SEARCH_SCHEMA,
+  FUNDAMENTALS_SCHEMA,
+  INCOME_STATEMENT_SCHEMA,
+  BALANCE_SHEET_SCHEMA,
+  CASH_FLOW_SCHEMA,
+  FINANCIAL_PERIODS,
+  STATEMENT_SCHEMA,
+  FINANCIALS_SCHEMA
+};
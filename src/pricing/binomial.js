@@ -0,0 +1,88 @@
+/**
+ * Price an American option on a Cox-Ross-Rubinstein binomial tree
+ * @param {Object} inputs - Pricing inputs (see blackScholes)
+ * @param {number} steps - Tree steps
+ * @returns {Object} { price, delta, gamma, theta } with theta per calendar day
+ */
+function priceTree({ type, spot, strike, time, volatility, rate, dividendYield }, steps) {
+  const dt = time / steps;
+  const up = Math.exp(volatility * Math.sqrt(dt));
+  const down = 1 / up;
+  const probability = (Math.exp((rate - dividendYield) * dt) - down) / (up - down);
+  const discount = Math.exp(-rate * dt);
+  const payoff = price => Math.max(type === 'call' ? price - strike : strike - price, 0);
+
+  // Moving one node down a step multiplies the underlying price by down / up
+  const nodeRatio = down * down;
+
+  // Option values at expiration
+  const values = [];
+  let nodeSpot = spot * up ** steps;
+  for (let i = 0; i <= steps; i++) {
+    values.push(payoff(nodeSpot));
+    nodeSpot *= nodeRatio;
+  }
+
+  // Keep the first two steps for delta, gamma and theta
+  let stepOne = null;
+  let stepTwo = null;
+
+  for (let step = steps - 1; step >= 0; step--) {
+    nodeSpot = spot * up ** step;
+    for (let i = 0; i <= step; i++) {
+      const held = discount * (probability * values[i] + (1 - probability) * values[i + 1]);
+      values[i] = Math.max(held, payoff(nodeSpot));
+      nodeSpot *= nodeRatio;
+    }
+    if (step === 2) {
+      stepTwo = values.slice(0, 3);
+    } else if (step === 1) {
+      stepOne = values.slice(0, 2);
+    }
+  }
+
+  const price = values[0];
+  if (!stepOne || !stepTwo) {
+    return { price, delta: null, gamma: null, theta: null };
+  }
+
+  const upSpot = spot * up;
+  const downSpot = spot * down;
+  const deltaUp = (stepTwo[0] - stepTwo[1]) / (spot * up * up - spot);
+  const deltaDown = (stepTwo[1] - stepTwo[2]) / (spot - spot * down * down);
+
+  return {
+    price,
+    delta: (stepOne[0] - stepOne[1]) / (upSpot - downSpot),
+    gamma: (deltaUp - deltaDown) / ((spot * up * up - spot * down * down) / 2),
+    theta: (stepTwo[1] - price) / (2 * dt) / 365
+  };
+}
+
+/**
+ * Binomial price and Greeks for an American option. Vega and rho are found
+ * by re-pricing with bumped volatility and rate, per one percentage point.
+ * @param {Object} inputs - Pricing inputs (see blackScholes)
+ * @param {number} steps - Tree steps (optional)
+ * @returns {Object} { price, delta, gamma, theta, vega, rho }
+ */
+function binomial(inputs, steps = 100) {
+  const base = priceTree(inputs, steps);
+  const bump = 0.01;
+
+  const volatilityUp = priceTree({ ...inputs, volatility: inputs.volatility + bump }, steps).price;
+  const volatilityDown = priceTree({ ...inputs, volatility: Math.max(inputs.volatility - bump, 0.0001) }, steps).price;
+  const rateUp = priceTree({ ...inputs, rate: inputs.rate + bump }, steps).price;
+  const rateDown = priceTree({ ...inputs, rate: inputs.rate - bump }, steps).price;
+
+  return {
+    ...base,
+    vega: (volatilityUp - volatilityDown) / 2,
+    rho: (rateUp - rateDown) / 2
+  };
+}
+
+module.exports = {
+  priceTree,
+  binomial
+};
@@ -0,0 +1,51 @@
+const { normalPdf, normalCdf } = require('./normal');
+
+/**
+ * Black-Scholes-Merton price and Greeks for a European option with a
+ * continuous dividend yield. Theta is per calendar day; vega and rho are per
+ * one percentage point.
+ * @param {Object} inputs - Pricing inputs
+ * @param {string} inputs.type - 'call' or 'put'
+ * @param {number} inputs.spot - Underlying price
+ * @param {number} inputs.strike - Strike price
+ * @param {number} inputs.time - Time to expiration in years
+ * @param {number} inputs.volatility - Annualized volatility (0.25 = 25%)
+ * @param {number} inputs.rate - Risk-free rate (0.05 = 5%)
+ * @param {number} inputs.dividendYield - Dividend yield (0.01 = 1%)
+ * @returns {Object} { price, delta, gamma, theta, vega, rho }
+ */
+function blackScholes({ type, spot, strike, time, volatility, rate, dividendYield }) {
+  const sqrtTime = Math.sqrt(time);
+  const d1 = (Math.log(spot / strike) + (rate - dividendYield + (volatility * volatility) / 2) * time) / (volatility * sqrtTime);
+  const d2 = d1 - volatility * sqrtTime;
+
+  const spotDiscount = Math.exp(-dividendYield * time);
+  const strikeDiscount = Math.exp(-rate * time);
+  const density = normalPdf(d1);
+
+  const gamma = (spotDiscount * density) / (spot * volatility * sqrtTime);
+  const vega = (spot * spotDiscount * density * sqrtTime) / 100;
+  const decay = -(spot * spotDiscount * density * volatility) / (2 * sqrtTime);
+
+  if (type === 'call') {
+    return {
+      price: spot * spotDiscount * normalCdf(d1) - strike * strikeDiscount * normalCdf(d2),
+      delta: spotDiscount * normalCdf(d1),
+      gamma,
+      theta: (decay - rate * strike * strikeDiscount * normalCdf(d2) + dividendYield * spot * spotDiscount * normalCdf(d1)) / 365,
+      vega,
+      rho: (strike * time * strikeDiscount * normalCdf(d2)) / 100
+    };
+  }
+
+  return {
+    price: strike * strikeDiscount * normalCdf(-d2) - spot * spotDiscount * normalCdf(-d1),
+    delta: spotDiscount * (normalCdf(d1) - 1),
+    gamma,
+    theta: (decay + rate * strike * strikeDiscount * normalCdf(-d2) - dividendYield * spot * spotDiscount * normalCdf(-d1)) / 365,
+    vega,
+    rho: -(strike * time * strikeDiscount * normalCdf(-d2)) / 100
+  };
+}
+
+module.exports = blackScholes;
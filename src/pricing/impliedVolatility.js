@@ -0,0 +1,40 @@
+// Volatility search bounds and tolerance
+const MIN_VOLATILITY = 0.0001;
+const MAX_VOLATILITY = 5;
+const TOLERANCE = 1e-6;
+const MAX_ITERATIONS = 100;
+
+/**
+ * Solve for the volatility at which a pricing model matches a market price.
+ * Uses bisection, since option prices increase monotonically with volatility.
+ * @param {number} marketPrice - Observed option price
+ * @param {Function} priceAt - Returns the model price for a volatility
+ * @returns {number|null} Implied volatility, or null if the price is outside the model's range
+ */
+function impliedVolatility(marketPrice, priceAt) {
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+
+  // Prices below intrinsic value or above the cap have no solution
+  if (marketPrice < priceAt(low) - TOLERANCE || marketPrice > priceAt(high)) {
+    return null;
+  }
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const middle = (low + high) / 2;
+    const price = priceAt(middle);
+
+    if (Math.abs(price - marketPrice) < TOLERANCE || high - low < TOLERANCE) {
+      return middle;
+    }
+    if (price < marketPrice) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+module.exports = impliedVolatility;
@@ -0,0 +1,130 @@
+const blackScholes = require('./blackScholes');
+const { binomial, priceTree } = require('./binomial');
+const impliedVolatility = require('./impliedVolatility');
+
+// Pricing models that can be requested
+const MODELS = ['black-scholes', 'binomial'];
+
+// Options stop trading at 4pm New York time; 20:00 UTC is used as the expiry
+const EXPIRY_HOUR_UTC = 20;
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Years until an expiration date
+ * @param {string} expiration - Expiration date (YYYY-MM-DD)
+ * @param {Date} now - Current time (optional)
+ * @returns {number} Years to expiration, zero or less once expired
+ */
+function yearsToExpiration(expiration, now = new Date()) {
+  const expiry = new Date(`${expiration}T${String(EXPIRY_HOUR_UTC).padStart(2, '0')}:00:00Z`);
+  return (expiry.getTime() - now.getTime()) / YEAR_MS;
+}
+
+/**
+ * Load pricing defaults from the environment
+ *   RISK_FREE_RATE   annual risk-free rate (default 0.045)
+ *   DIVIDEND_YIELD   annual dividend yield (default 0)
+ *   BINOMIAL_STEPS   binomial tree steps (default 100)
+ * @param {Object} env - Environment variables (optional)
+ * @returns {Object} { riskFreeRate, dividendYield, binomialSteps }
+ */
+function loadPricingConfig(env = process.env) {
+  const number = (value, fallback) => (value === undefined || Number.isNaN(Number(value)) ? fallback : Number(value));
+
+  return {
+    riskFreeRate: number(env.RISK_FREE_RATE, 0.045),
+    dividendYield: number(env.DIVIDEND_YIELD, 0),
+    binomialSteps: Math.max(10, Math.round(number(env.BINOMIAL_STEPS, 100)))
+  };
+}
+
+/**
+ * Get the market price implied volatility is solved from: the last price,
+ * or the bid/ask midpoint for a contract that hasn't traded
+ * @param {Object} option - Normalized option contract
+ * @returns {number|null} Price, or null if the contract has none
+ */
+function marketPrice(option) {
+  if (option.lastPrice > 0) {
+    return option.lastPrice;
+  }
+  return option.bid > 0 && option.ask >= option.bid ? (option.bid + option.ask) / 2 : null;
+}
+
+/**
+ * Check whether a contract can be priced: it has a market price or a
+ * provider implied volatility
+ * @param {Object} option - Normalized option contract
+ * @returns {boolean} True if priceOption can produce Greeks given an underlying price
+ */
+function canPrice(option) {
+  return marketPrice(option) !== null || option.impliedVolatility > 0;
+}
+
+/**
+ * Calculate implied volatility and Greeks for an option contract. Implied
+ * volatility is solved from the contract's market price (see marketPrice);
+ * if there is no price, the provider's implied volatility is used for the
+ * Greeks instead.
+ * @param {Object} option - Normalized option contract
+ * @param {number} spot - Underlying price
+ * @param {Object} settings - { model, riskFreeRate, dividendYield, binomialSteps }
+ * @returns {Object} { impliedVolatility, theoreticalPrice, greeks }
+ */
+function priceOption(option, spot, settings) {
+  const empty = { impliedVolatility: null, theoreticalPrice: null, greeks: null };
+  const time = yearsToExpiration(option.expiration);
+
+  if (!spot || !option.strike || time <= 0) {
+    return empty;
+  }
+
+  const inputs = {
+    type: option.type,
+    spot,
+    strike: option.strike,
+    time,
+    rate: settings.riskFreeRate,
+    dividendYield: settings.dividendYield
+  };
+
+  const model = settings.model === 'binomial'
+    ? volatility => binomial({ ...inputs, volatility }, settings.binomialSteps)
+    : volatility => blackScholes({ ...inputs, volatility });
+  const priceAt = settings.model === 'binomial'
+    ? volatility => priceTree({ ...inputs, volatility }, settings.binomialSteps).price
+    : volatility => blackScholes({ ...inputs, volatility }).price;
+
+  let volatility = null;
+  const price = marketPrice(option);
+  if (price !== null) {
+    volatility = impliedVolatility(price, priceAt);
+  }
+  if (volatility === null && option.impliedVolatility > 0) {
+    volatility = option.impliedVolatility;
+  }
+  if (volatility === null) {
+    return empty;
+  }
+
+  const { price: theoreticalPrice, delta, gamma, theta, vega, rho } = model(volatility);
+
+  return {
+    impliedVolatility: volatility,
+    theoreticalPrice,
+    greeks: { delta, gamma, theta, vega, rho }
+  };
+}
+
+module.exports = {
+  MODELS,
+  blackScholes,
+  binomial,
+  impliedVolatility,
+  yearsToExpiration,
+  loadPricingConfig,
+  marketPrice,
+  canPrice,
+  priceOption
+};
@@ -0,0 +1,26 @@
+/**
+ * Standard normal probability density
+ * @param {number} x - Value
+ * @returns {number} Density
+ */
+function normalPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17,
+ * accurate to about 7.5e-8)
+ * @param {number} x - Value
+ * @returns {number} Probability
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const tail = normalPdf(x) * poly;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+module.exports = {
+  normalPdf,
+  normalCdf
+};
@@ -0,0 +1,502 @@
+const BaseProvider = require('./baseProvider');
+const { loadRateLimitConfig } = require('../config/rateLimitConfig');
+const { loadCircuitBreakerConfig } = require('../config/circuitBreakerConfig');
+const { toNumber, toText, toTimestamp, toDate } = require('../normalization');
+const { parseSymbol } = require('../symbols');
+const { SESSIONS, TIME_ZONE, localDate, zonedTime } = require('../calendar');
+const { InvalidParameterError, ProviderRateLimitedError, SymbolNotFoundError } = require('../errors');
+
+// Candle intervals Alpha Vantage serves: intraday series plus daily, weekly and monthly
+const INTERVALS = ['1m', '5m', '15m', '30m', '1h', '1d', '1w', '1M'];
+
+// Series function prefix and name for each period, per asset class
+const PERIOD_NAMES = { '1d': 'DAILY', '1w': 'WEEKLY', '1M': 'MONTHLY' };
+const PERIOD_LABELS = { '1d': 'Daily', '1w': 'Weekly', '1M': 'Monthly' };
+
+// Alpha Vantage security types mapped to asset types
+const ASSET_TYPES = {
+  Equity: 'stock',
+  ETF: 'etf',
+  'Mutual Fund': 'fund'
+};
+
+// Report list for each financial statement period
+const REPORT_KEYS = { annual: 'annualReports', quarterly: 'quarterlyReports' };
+
+/**
+ * Timestamp a global quote, which reports only its trading day. A quote
+ * from an earlier trading day than today in New York is timestamped at that
+ * day's close, so it shows as stale next to other providers' quotes.
+ * @param {string|null} day - Latest trading day (YYYY-MM-DD)
+ * @returns {string} ISO timestamp
+ */
+function latestQuoteTime(day) {
+  const now = Date.now();
+  if (day && day < localDate(now)) {
+    return new Date(zonedTime(day, SESSIONS.regular.end)).toISOString();
+  }
+  return new Date(now).toISOString();
+}
+
+/**
+ * Convert a time series key to a timestamp. Daily and longer keys are dates;
+ * intraday keys ('2024-01-02 15:30:00') are wall-clock times in the series'
+ * time zone, US/Eastern for stocks and UTC for forex and crypto.
+ * @param {string} key - Time series key
+ * @param {string} timeZone - IANA time zone of the series
+ * @returns {string|null} ISO timestamp
+ */
+function seriesTime(key, timeZone) {
+  const [date, time] = key.split(' ');
+  if (!time) {
+    return toTimestamp(date, 'date');
+  }
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  const instant = zonedTime(date, hours * 60 + minutes + (seconds || 0) / 60, timeZone);
+  return Number.isNaN(instant) ? null : new Date(instant).toISOString();
+}
+
+/**
+ * Get the time zone a time series reports in, from its metadata
+ * @param {Object} metaData - The response's 'Meta Data'
+ * @returns {string} IANA time zone, New York if not stated
+ */
+function seriesTimeZone(metaData) {
+  const key = Object.keys(metaData || {}).find(name => name.endsWith('Time Zone'));
+  const zone = key ? String(metaData[key]) : '';
+  return zone === '' || zone === 'US/Eastern' ? TIME_ZONE : zone;
+}
+
+/**
+ * Alpha Vantage Provider
+ * Adapter for the Alpha Vantage query API
+ */
+class AlphaVantageProvider extends BaseProvider {
+  constructor(
+    apiKey = process.env.ALPHA_VANTAGE_API_KEY,
+    rateLimit = loadRateLimitConfig('ALPHA_VANTAGE', 5),
+    circuitBreaker = loadCircuitBreakerConfig('ALPHA_VANTAGE')
+  ) {
+    super({
+      id: 'alphavantage',
+      name: 'Alpha Vantage',
+      description: 'Free APIs for realtime and historical stock data',
+      website: 'https://www.alphavantage.co/',
+      capabilities: ['quote', 'profile', 'candles', 'actions', 'search', 'fundamentals', 'financials'],
+      intervals: INTERVALS,
+      assetClasses: {
+        quote: ['stock', 'crypto', 'forex'],
+        candles: ['stock', 'crypto', 'forex']
+      },
+      apiKey,
+      rateLimit,
+      circuitBreaker
+    });
+
+    this.client = this.createClient({
+      baseURL: 'https://www.alphavantage.co/query',
+      timeout: 10000
+    });
+  }
+
+  /**
+   * Query Alpha Vantage. Alpha Vantage reports rate limiting ("Note",
+   * "Information") and bad requests ("Error Message") in a 200 response, so
+   * those payloads are turned into errors here. Our queries are well formed,
+   * so an "Error Message" means the symbol is unknown.
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response payload
+   * @throws {ProviderRateLimitedError|SymbolNotFoundError} If the payload is a rate-limit or error message
+   */
+  async query(params) {
+    const response = await this.client.get('', {
+      params: { ...params, apikey: this.apiKey }
+    });
+    const data = response.data || {};
+
+    if (data.Note || data.Information) {
+      throw new ProviderRateLimitedError(`Alpha Vantage rate limit: ${data.Note || data.Information}`, {
+        provider: this.id
+      });
+    }
+    if (data['Error Message']) {
+      throw new SymbolNotFoundError(`Alpha Vantage error: ${data['Error Message']}`, {
+        provider: this.id
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Get quote data from Alpha Vantage
+   * @param {string} symbol - Symbol
+   * @returns {Promise<Object>} Quote data
+   */
+  async getQuote(symbol) {
+    const { assetClass } = parseSymbol(symbol);
+    if (assetClass === 'crypto' || assetClass === 'forex') {
+      return this.getExchangeRate(symbol);
+    }
+
+    const data = await this.query({
+      function: 'GLOBAL_QUOTE',
+      symbol
+    });
+    
+    const quote = data['Global Quote'] || {};
+    
+    // Unknown symbols come back as an empty Global Quote
+    if (Object.keys(quote).length === 0) {
+      throw new SymbolNotFoundError(`Alpha Vantage has no quote for ${symbol}`, { provider: this.id });
+    }
+    
+    return {
+      symbol,
+      price: toNumber(quote['05. price']),
+      change: toNumber(quote['09. change']),
+      percentChange: toNumber(quote['10. change percent']),
+      high: toNumber(quote['03. high']),
+      low: toNumber(quote['04. low']),
+      open: toNumber(quote['02. open']),
+      previousClose: toNumber(quote['08. previous close']),
+      timestamp: latestQuoteTime(toDate(quote['07. latest trading day'])),
+      source: 'alphavantage'
+    };
+  }
+
+  /**
+   * Get a crypto or forex quote from Alpha Vantage's realtime exchange rate.
+   * Only the rate is reported; there is no daily range or change.
+   * @param {string} symbol - Currency pair
+   * @returns {Promise<Object>} Quote data
+   */
+  async getExchangeRate(symbol) {
+    const { base, quote } = parseSymbol(symbol);
+    const data = await this.query({
+      function: 'CURRENCY_EXCHANGE_RATE',
+      from_currency: base,
+      to_currency: quote
+    });
+
+    const rate = data['Realtime Currency Exchange Rate'];
+    if (!rate) {
+      throw new SymbolNotFoundError(`Alpha Vantage has no exchange rate for ${symbol}`, { provider: this.id });
+    }
+
+    // Refresh times are reported without an offset, in the given time zone (UTC)
+    const refreshed = toText(rate['6. Last Refreshed']);
+    return {
+      symbol,
+      price: toNumber(rate['5. Exchange Rate']),
+      change: null,
+      percentChange: null,
+      high: null,
+      low: null,
+      open: null,
+      previousClose: null,
+      timestamp: (refreshed && toTimestamp(`${refreshed.replace(' ', 'T')}Z`, 'date')) || new Date().toISOString(),
+      source: 'alphavantage'
+    };
+  }
+
+  /**
+   * Get the query and response key of the time series for a symbol and
+   * interval: TIME_SERIES_* for stocks, FX_* for forex and
+   * DIGITAL_CURRENCY_* (CRYPTO_INTRADAY intraday) for crypto
+   * @param {string} symbol - Symbol
+   * @param {string} interval - Time interval
+   * @returns {Object} { params, dataKey }
+   */
+  seriesRequest(symbol, interval) {
+    const { assetClass, base, quote } = parseSymbol(symbol);
+    const intraday = !PERIOD_NAMES[interval];
+    const minutes = interval === '1h' ? '60min' : interval.replace('m', 'min');
+
+    if (assetClass === 'forex') {
+      const params = { from_symbol: base, to_symbol: quote, outputsize: 'full' };
+      return intraday
+        ? { params: { ...params, function: 'FX_INTRADAY', interval: minutes }, dataKey: `Time Series FX (${minutes})` }
+        : { params: { ...params, function: `FX_${PERIOD_NAMES[interval]}` }, dataKey: `Time Series FX (${PERIOD_LABELS[interval]})` };
+    }
+
+    if (assetClass === 'crypto') {
+      const params = { symbol: base, market: quote };
+      return intraday
+        ? { params: { ...params, function: 'CRYPTO_INTRADAY', interval: minutes, outputsize: 'full' }, dataKey: `Time Series Crypto (${minutes})` }
+        : { params: { ...params, function: `DIGITAL_CURRENCY_${PERIOD_NAMES[interval]}` }, dataKey: `Time Series (Digital Currency ${PERIOD_LABELS[interval]})` };
+    }
+
+    // Intraday series are adjusted unless asked otherwise; the daily, weekly
+    // and monthly series used here are always raw
+    const params = { symbol, outputsize: 'full', adjusted: 'false' };
+    if (intraday) {
+      return {
+        params: { ...params, function: 'TIME_SERIES_INTRADAY', interval: minutes },
+        dataKey: `Time Series (${minutes})`
+      };
+    }
+    return {
+      params: { ...params, function: `TIME_SERIES_${PERIOD_NAMES[interval]}` },
+      dataKey: interval === '1d' ? 'Time Series (Daily)' : `${PERIOD_LABELS[interval]} Time Series`
+    };
+  }
+
+  /**
+   * Get company profile from Alpha Vantage
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Company profile data
+   */
+  async getCompanyProfile(symbol) {
+    const data = await this.query({
+      function: 'OVERVIEW',
+      symbol
+    });
+    
+    // Unknown symbols come back as an empty object
+    if (Object.keys(data).length === 0) {
+      throw new SymbolNotFoundError(`Alpha Vantage has no profile for ${symbol}`, { provider: this.id });
+    }
+    
+    return {
+      symbol,
+      name: toText(data.Name),
+      exchange: toText(data.Exchange),
+      industry: toText(data.Industry),
+      marketCap: toNumber(data.MarketCapitalization),
+      logo: null, // Not provided by Alpha Vantage
+      weburl: toText(data.OfficialSite),
+      source: 'alphavantage'
+    };
+  }
+
+  /**
+   * Get key ratios and fundamentals from Alpha Vantage's company overview.
+   * Alpha Vantage reports yields, margins, returns and growth as decimals.
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Fundamentals
+   */
+  async getFundamentals(symbol) {
+    const data = await this.query({
+      function: 'OVERVIEW',
+      symbol
+    });
+
+    // Unknown symbols come back as an empty object
+    if (Object.keys(data).length === 0) {
+      throw new SymbolNotFoundError(`Alpha Vantage has no fundamentals for ${symbol}`, { provider: this.id });
+    }
+
+    return {
+      symbol,
+      currency: toText(data.Currency),
+      latestQuarter: toDate(data.LatestQuarter),
+      marketCap: toNumber(data.MarketCapitalization),
+      sharesOutstanding: toNumber(data.SharesOutstanding),
+      revenue: toNumber(data.RevenueTTM),
+      ebitda: toNumber(data.EBITDA),
+      peRatio: toNumber(data.PERatio),
+      forwardPE: toNumber(data.ForwardPE),
+      pegRatio: toNumber(data.PEGRatio),
+      priceToBook: toNumber(data.PriceToBookRatio),
+      priceToSales: toNumber(data.PriceToSalesRatioTTM),
+      evToEbitda: toNumber(data.EVToEBITDA),
+      eps: toNumber(data.EPS),
+      bookValuePerShare: toNumber(data.BookValue),
+      dividendPerShare: toNumber(data.DividendPerShare),
+      dividendYield: toNumber(data.DividendYield, 100),
+      profitMargin: toNumber(data.ProfitMargin, 100),
+      operatingMargin: toNumber(data.OperatingMarginTTM, 100),
+      returnOnEquity: toNumber(data.ReturnOnEquityTTM, 100),
+      returnOnAssets: toNumber(data.ReturnOnAssetsTTM, 100),
+      revenueGrowth: toNumber(data.QuarterlyRevenueGrowthYOY, 100),
+      beta: toNumber(data.Beta),
+      week52High: toNumber(data['52WeekHigh']),
+      week52Low: toNumber(data['52WeekLow']),
+      source: 'alphavantage'
+    };
+  }
+
+  /**
+   * Get financial statements from Alpha Vantage. Each statement is a
+   * separate query; reports are matched up by fiscal period end. Alpha
+   * Vantage doesn't report fiscal years, quarters or per-share earnings in
+   * its statements.
+   * @param {string} symbol - Stock symbol
+   * @param {string} period - 'annual' or 'quarterly'
+   * @returns {Promise<Object>} Financial statements, newest first
+   */
+  async getFinancials(symbol, period) {
+    const key = REPORT_KEYS[period];
+    const [income, balance, cashFlow] = await Promise.all(['INCOME_STATEMENT', 'BALANCE_SHEET', 'CASH_FLOW']
+      .map(name => this.query({ function: name, symbol })));
+
+    // Unknown symbols come back as an empty object
+    if (!income[key] && !balance[key] && !cashFlow[key]) {
+      throw new SymbolNotFoundError(`Alpha Vantage has no financial statements for ${symbol}`, { provider: this.id });
+    }
+
+    const byPeriodEnd = reports => new Map((reports[key] || []).map(report => [report.fiscalDateEnding, report]));
+    const balances = byPeriodEnd(balance);
+    const cashFlows = byPeriodEnd(cashFlow);
+
+    return {
+      symbol,
+      period,
+      statements: (income[key] || []).map(report => {
+        const sheet = balances.get(report.fiscalDateEnding) || {};
+        const flows = cashFlows.get(report.fiscalDateEnding) || {};
+        const periodEnd = toDate(report.fiscalDateEnding);
+        return {
+          periodEnd,
+          fiscalYear: period === 'annual' && periodEnd ? Number(periodEnd.slice(0, 4)) : null,
+          fiscalPeriod: period === 'annual' ? 'FY' : null,
+          filedDate: null,
+          currency: toText(report.reportedCurrency),
+          incomeStatement: {
+            revenue: toNumber(report.totalRevenue),
+            costOfRevenue: toNumber(report.costOfRevenue),
+            grossProfit: toNumber(report.grossProfit),
+            researchAndDevelopment: toNumber(report.researchAndDevelopment),
+            sellingGeneralAdministrative: toNumber(report.sellingGeneralAndAdministrative),
+            operatingExpenses: toNumber(report.operatingExpenses),
+            operatingIncome: toNumber(report.operatingIncome),
+            interestExpense: toNumber(report.interestExpense),
+            incomeBeforeTax: toNumber(report.incomeBeforeTax),
+            incomeTax: toNumber(report.incomeTaxExpense),
+            netIncome: toNumber(report.netIncome),
+            ebitda: toNumber(report.ebitda),
+            eps: null,
+            epsDiluted: null
+          },
+          balanceSheet: {
+            totalAssets: toNumber(sheet.totalAssets),
+            currentAssets: toNumber(sheet.totalCurrentAssets),
+            cashAndEquivalents: toNumber(sheet.cashAndCashEquivalentsAtCarryingValue),
+            inventory: toNumber(sheet.inventory),
+            totalLiabilities: toNumber(sheet.totalLiabilities),
+            currentLiabilities: toNumber(sheet.totalCurrentLiabilities),
+            longTermDebt: toNumber(sheet.longTermDebt),
+            shareholdersEquity: toNumber(sheet.totalShareholderEquity)
+          },
+          cashFlow: {
+            operatingCashFlow: toNumber(flows.operatingCashflow),
+            investingCashFlow: toNumber(flows.cashflowFromInvestment),
+            financingCashFlow: toNumber(flows.cashflowFromFinancing),
+            capitalExpenditures: toNumber(flows.capitalExpenditures),
+            dividendsPaid: toNumber(flows.dividendPayout)
+          }
+        };
+      }),
+      source: 'alphavantage'
+    };
+  }
+
+  /**
+   * Get historical data from Alpha Vantage
+   * @param {string} symbol - Symbol
+   * @param {string} interval - Time interval
+   * @param {string} from - Start date
+   * @param {string} to - End date
+   * @returns {Promise<Object>} Historical price data
+   */
+  async getHistoricalData(symbol, interval, from, to) {
+    if (!INTERVALS.includes(interval)) {
+      throw new InvalidParameterError(`Alpha Vantage does not support interval ${interval}`);
+    }
+    
+    const { params, dataKey } = this.seriesRequest(symbol, interval);
+    const response = await this.query(params);
+    
+    const timeSeriesData = response[dataKey] || {};
+    const timeZone = seriesTimeZone(response['Meta Data']);
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    
+    // Format the response
+    const data = [];
+    for (const date in timeSeriesData) {
+      const timestamp = seriesTime(date, timeZone);
+      const currentDate = new Date(timestamp);
+      if (timestamp && currentDate >= fromDate && currentDate <= toDate) {
+        data.push({
+          timestamp,
+          open: toNumber(timeSeriesData[date]['1. open']),
+          high: toNumber(timeSeriesData[date]['2. high']),
+          low: toNumber(timeSeriesData[date]['3. low']),
+          close: toNumber(timeSeriesData[date]['4. close']),
+          // Forex series have no volume
+          volume: toNumber(timeSeriesData[date]['5. volume'])
+        });
+      }
+    }
+    
+    // Sort by date ascending
+    data.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    
+    return {
+      symbol,
+      interval,
+      data,
+      source: 'alphavantage'
+    };
+  }
+
+  /**
+   * Get splits and dividends from Alpha Vantage
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Corporate actions
+   */
+  async getCorporateActions(symbol) {
+    const [splits, dividends] = await Promise.all([
+      this.query({ function: 'SPLITS', symbol }),
+      this.query({ function: 'DIVIDENDS', symbol })
+    ]);
+
+    return {
+      symbol,
+      // split_factor is new shares per old share, e.g. '4.0000' for 4-for-1
+      splits: (splits.data || []).map(split => ({
+        date: toDate(split.effective_date),
+        fromFactor: 1,
+        toFactor: toNumber(split.split_factor)
+      })),
+      dividends: (dividends.data || []).map(dividend => ({
+        exDate: toDate(dividend.ex_dividend_date),
+        amount: toNumber(dividend.amount),
+        currency: null,
+        declarationDate: toDate(dividend.declaration_date),
+        recordDate: toDate(dividend.record_date),
+        payDate: toDate(dividend.payment_date)
+      })),
+      source: 'alphavantage'
+    };
+  }
+
+  /**
+   * Search symbols on Alpha Vantage. Results name a region rather than an
+   * exchange, so exchange is left empty.
+   * @param {string} query - Company name or ticker
+   * @returns {Promise<Object>} Search results
+   */
+  async searchSymbols(query) {
+    const data = await this.query({
+      function: 'SYMBOL_SEARCH',
+      keywords: query
+    });
+
+    return {
+      query,
+      results: (data.bestMatches || []).map(match => ({
+        symbol: toText(match['1. symbol']),
+        name: toText(match['2. name']),
+        exchange: null,
+        type: ASSET_TYPES[match['3. type']] || 'other',
+        currency: toText(match['8. currency'])
+      })),
+      source: 'alphavantage'
+    };
+  }
+}
+
+module.exports = AlphaVantageProvider;
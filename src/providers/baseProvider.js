@@ -0,0 +1,191 @@
+const axios = require('axios');
+const RateLimiter = require('./rateLimiter');
+const CircuitBreaker = require('./circuitBreaker');
+const { recordCircuitState } = require('../metrics');
+const { currentContext } = require('../auth/requestContext');
+
+// Human-readable labels for each capability
+const FEATURE_LABELS = {
+  quote: 'Stock quotes',
+  profile: 'Company profiles',
+  candles: 'Historical data',
+  options: 'Options chain',
+  actions: 'Splits and dividends',
+  search: 'Symbol search',
+  stream: 'Real-time trade stream',
+  fundamentals: 'Key ratios and fundamentals',
+  financials: 'Financial statements'
+};
+
+/**
+ * Base Provider
+ * Common behaviour shared by every provider adapter. Adapters declare their
+ * capabilities and implement the matching methods:
+ *   quote    -> getQuote(symbol)
+ *   profile  -> getCompanyProfile(symbol)
+ *   candles  -> getHistoricalData(symbol, interval, from, to)
+ *   options  -> getOptionsChain(symbol, filters)
+ *   actions  -> getCorporateActions(symbol)
+ *   search   -> searchSymbols(query)
+ *   stream   -> createStream()
+ *   fundamentals -> getFundamentals(symbol)
+ *   financials   -> getFinancials(symbol, period, limit)
+ * Capabilities serve stocks only unless the adapter lists the asset classes
+ * (see src/symbols) it handles for them; adapters parse symbols to pick the
+ * endpoint for each asset class.
+ * Adapters with a bulk quote endpoint may also implement getQuotes(symbols).
+ * Candles should be raw, unadjusted prices; an adapter that can only fetch
+ * split-adjusted candles marks its result `adjustment: 'splits'` and the
+ * service reverses the adjustment.
+ */
+class BaseProvider {
+  /**
+   * @param {Object} options - Provider metadata
+   * @param {string} options.id - Provider id used in requests
+   * @param {string} options.name - Display name
+   * @param {string} options.description - Short description
+   * @param {string} options.website - Provider website
+   * @param {Array<string>} options.capabilities - Supported capabilities
+   * @param {Array<string>} options.intervals - Supported candle intervals (optional)
+   * @param {Object} options.assetClasses - Asset classes per capability, for capabilities that serve more than stocks (optional)
+   * @param {string} options.apiKey - API key (optional)
+   * @param {Object} options.rateLimit - Rate limit configuration from loadRateLimitConfig
+   * @param {Object} options.circuitBreaker - Circuit breaker configuration from loadCircuitBreakerConfig (optional)
+   */
+  constructor({ id, name, description, website, capabilities, intervals, assetClasses, apiKey, rateLimit, circuitBreaker }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.website = website;
+    this.capabilities = capabilities || [];
+    this.intervals = intervals || [];
+    this.assetClasses = assetClasses || {};
+    this.apiKey = apiKey;
+    this.limiter = new RateLimiter(rateLimit);
+
+    // One circuit breaker per capability, so one failing endpoint doesn't take the others down
+    this.breakers = new Map(this.capabilities.map(capability => [capability, new CircuitBreaker({
+      ...circuitBreaker,
+      provider: id,
+      capability,
+      onStateChange: state => {
+        console.warn(`Circuit for ${id} ${capability} is ${state}`);
+        recordCircuitState(id, capability, state);
+      }
+    })]));
+  }
+
+  /**
+   * Create an HTTP client whose requests are throttled by the provider's
+   * rate limiter and metered against the calling API key
+   * @param {Object} config - Axios configuration
+   * @returns {Object} Axios instance
+   */
+  createClient(config) {
+    const client = axios.create(config);
+    client.interceptors.request.use(async request => {
+      await this.limiter.acquire();
+      const context = currentContext();
+      if (context) {
+        context.recordUpstream(this.id);
+      }
+      return request;
+    });
+    return client;
+  }
+
+  /**
+   * Check whether the provider supports a capability
+   * @param {string} capability - Capability name
+   * @returns {boolean} True if supported
+   */
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  /**
+   * Get the circuit breaker guarding a capability
+   * @param {string} capability - Capability name
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  breakerFor(capability) {
+    return this.breakers.get(capability);
+  }
+
+  /**
+   * Check whether the provider can fetch candles at an interval
+   * @param {string} interval - Candle interval
+   * @returns {boolean} True if supported
+   */
+  supportsInterval(interval) {
+    return this.intervals.includes(interval);
+  }
+
+  /**
+   * Get the asset classes the provider serves for a capability
+   * @param {string} capability - Capability name
+   * @returns {Array<string>} Asset classes
+   */
+  assetClassesFor(capability) {
+    return this.assetClasses[capability] || ['stock'];
+  }
+
+  /**
+   * Check whether the provider serves an asset class for a capability
+   * @param {string} capability - Capability name
+   * @param {string} assetClass - Asset class
+   * @returns {boolean} True if supported
+   */
+  supportsAssetClass(capability, assetClass) {
+    return this.assetClassesFor(capability).includes(assetClass);
+  }
+
+  /**
+   * Check whether the provider can fetch several quotes in one request
+   * @returns {boolean} True if getQuotes is implemented
+   */
+  supportsBulkQuotes() {
+    return typeof this.getQuotes === 'function';
+  }
+
+  /**
+   * Check whether the provider has an API key configured
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Describe the provider for the providers endpoint
+   * @returns {Object} Provider metadata
+   */
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      website: this.website,
+      capabilities: this.capabilities,
+      intervals: this.intervals,
+      assetClasses: Object.fromEntries(this.capabilities.map(capability => [capability, this.assetClassesFor(capability)])),
+      features: this.capabilities.map(capability => FEATURE_LABELS[capability]),
+      configured: this.isConfigured(),
+      circuits: Object.fromEntries([...this.breakers].map(([capability, breaker]) => [capability, breaker.describe()]))
+    };
+  }
+
+  /**
+   * Report the provider's rate limit usage
+   * @returns {Object} Usage statistics
+   */
+  usage() {
+    return {
+      id: this.id,
+      configured: this.isConfigured(),
+      rateLimit: this.limiter.usage()
+    };
+  }
+}
+
+module.exports = BaseProvider;
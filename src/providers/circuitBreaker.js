@@ -0,0 +1,177 @@
+const { fromProviderError, ProviderUnavailableError } = require('../errors');
+
+// Error codes that mean the provider is failing, rather than refusing one request
+const TRIPPING_CODES = ['UPSTREAM_TIMEOUT', 'UPSTREAM_ERROR'];
+
+/**
+ * Circuit Breaker
+ * Stops calling a provider capability that keeps failing. After
+ * `failureThreshold` consecutive timeouts or upstream errors the circuit
+ * opens and calls are refused at once, so the service moves straight to the
+ * next provider instead of waiting on a timeout. Once `resetTimeoutMs` has
+ * passed the circuit is half-open: one trial call goes through, closing the
+ * circuit if it succeeds or opening it again if it fails. Other errors, such
+ * as an unknown symbol or a rate limit, show the provider is answering and
+ * count as successes. Calls our own rate limiter refused never reached the
+ * provider, so they count as neither.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Circuit breaker configuration
+   * @param {string} options.provider - Provider id
+   * @param {string} options.capability - Capability guarded
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit, 0 to never open it
+   * @param {number} options.resetTimeoutMs - Time the circuit stays open before a trial call
+   * @param {Function} options.onStateChange - Called with (state, breaker) on every transition (optional)
+   */
+  constructor({ provider, capability, failureThreshold = 5, resetTimeoutMs = 30000, onStateChange }) {
+    this.provider = provider;
+    this.capability = capability;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.onStateChange = onStateChange || null;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+
+    // Counters
+    this.timesOpened = 0;
+    this.rejected = 0;
+  }
+
+  /**
+   * Move to a new state
+   * @param {string} state - 'closed', 'open' or 'half-open'
+   */
+  transition(state) {
+    if (this.state === state) {
+      return;
+    }
+    this.state = state;
+    if (this.onStateChange) {
+      this.onStateChange(state, this);
+    }
+  }
+
+  /**
+   * Get the current state, half-opening the circuit once it has been open
+   * for the reset time
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  currentState() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition('half-open');
+    }
+    return this.state;
+  }
+
+  /**
+   * Check whether a call would be let through now
+   * @returns {boolean} True if the circuit is closed, or half-open with no trial call in flight
+   */
+  allowsRequest() {
+    const state = this.currentState();
+    return state === 'closed' || (state === 'half-open' && !this.trialInFlight);
+  }
+
+  /**
+   * Get the time until an open circuit lets a trial call through
+   * @returns {number} Milliseconds, 0 if calls may be made now
+   */
+  retryAfterMs() {
+    if (this.currentState() !== 'open') {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  /**
+   * Make a call through the breaker, recording its outcome
+   * @param {Function} call - Makes the provider call; returns a promise
+   * @returns {Promise<*>} The call's result
+   * @throws {ProviderUnavailableError} If the circuit is open
+   */
+  async call(call) {
+    if (!this.allowsRequest()) {
+      this.rejected++;
+      throw new ProviderUnavailableError(`${this.provider} ${this.capability} circuit is open`, {
+        provider: this.provider,
+        retryAfter: Math.ceil(this.retryAfterMs() / 1000)
+      });
+    }
+
+    const trial = this.state === 'half-open';
+    if (trial) {
+      this.trialInFlight = true;
+    }
+    try {
+      const result = await call();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (error.local === true) {
+        // Refused by our rate limiter; the trial slot is released below
+        throw error;
+      }
+      if (TRIPPING_CODES.includes(fromProviderError(error, this.provider).code)) {
+        this.recordFailure();
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Record a call that reached the provider: close the circuit
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.transition('closed');
+  }
+
+  /**
+   * Record a failed call, opening the circuit after too many in a row or if
+   * a trial call failed
+   */
+  recordFailure() {
+    this.failures++;
+    if (this.failureThreshold === 0) {
+      return;
+    }
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        this.timesOpened++;
+      }
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  /**
+   * Describe the breaker for the providers endpoint
+   * @returns {Object} { state, failures, failureThreshold, resetTimeoutMs, openedAt, retryAt, timesOpened, rejected }
+   */
+  describe() {
+    const state = this.currentState();
+    return {
+      state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeoutMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      timesOpened: this.timesOpened,
+      rejected: this.rejected
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
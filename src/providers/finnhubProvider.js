@@ -0,0 +1,464 @@
+const BaseProvider = require('./baseProvider');
+const { loadRateLimitConfig } = require('../config/rateLimitConfig');
+const { loadCircuitBreakerConfig } = require('../config/circuitBreakerConfig');
+const FinnhubStream = require('../streaming/finnhubStream');
+const { toNumber, toText, toTimestamp, toDate } = require('../normalization');
+const { parseSymbol } = require('../symbols');
+const { InvalidParameterError, SymbolNotFoundError } = require('../errors');
+
+// Finnhub candle resolution for each interval
+const RESOLUTIONS = {
+  '1m': '1',
+  '5m': '5',
+  '15m': '15',
+  '30m': '30',
+  '1h': '60',
+  '1d': 'D',
+  '1w': 'W',
+  '1M': 'M'
+};
+
+// Finnhub security types mapped to asset types
+const ASSET_TYPES = {
+  'Common Stock': 'stock',
+  'ADR': 'stock',
+  'GDR': 'stock',
+  'NY Reg Shrs': 'stock',
+  'REIT': 'stock',
+  'Preference': 'stock',
+  'ETP': 'etf',
+  'Closed-End Fund': 'fund',
+  'Open-End Fund': 'fund',
+  'Index': 'index',
+  'Crypto': 'crypto'
+};
+
+// US GAAP concepts for each statement field, most specific first
+const INCOME_CONCEPTS = {
+  revenue: ['Revenues', 'RevenueFromContractWithCustomerExcludingAssessedTax', 'SalesRevenueNet'],
+  costOfRevenue: ['CostOfRevenue', 'CostOfGoodsAndServicesSold'],
+  grossProfit: ['GrossProfit'],
+  researchAndDevelopment: ['ResearchAndDevelopmentExpense'],
+  sellingGeneralAdministrative: ['SellingGeneralAndAdministrativeExpense'],
+  operatingExpenses: ['OperatingExpenses', 'CostsAndExpenses'],
+  operatingIncome: ['OperatingIncomeLoss'],
+  interestExpense: ['InterestExpense'],
+  incomeBeforeTax: [
+    'IncomeLossFromContinuingOperationsBeforeIncomeTaxesExtraordinaryItemsNoncontrollingInterest',
+    'IncomeLossFromContinuingOperationsBeforeIncomeTaxesMinorityInterestAndIncomeLossFromEquityMethodInvestments'
+  ],
+  incomeTax: ['IncomeTaxExpenseBenefit'],
+  netIncome: ['NetIncomeLoss'],
+  eps: ['EarningsPerShareBasic'],
+  epsDiluted: ['EarningsPerShareDiluted']
+};
+const BALANCE_CONCEPTS = {
+  totalAssets: ['Assets'],
+  currentAssets: ['AssetsCurrent'],
+  cashAndEquivalents: ['CashAndCashEquivalentsAtCarryingValue'],
+  inventory: ['InventoryNet'],
+  totalLiabilities: ['Liabilities'],
+  currentLiabilities: ['LiabilitiesCurrent'],
+  longTermDebt: ['LongTermDebtNoncurrent', 'LongTermDebt'],
+  shareholdersEquity: ['StockholdersEquity']
+};
+const CASH_FLOW_CONCEPTS = {
+  operatingCashFlow: ['NetCashProvidedByUsedInOperatingActivities'],
+  investingCashFlow: ['NetCashProvidedByUsedInInvestingActivities'],
+  financingCashFlow: ['NetCashProvidedByUsedInFinancingActivities'],
+  capitalExpenditures: ['PaymentsToAcquirePropertyPlantAndEquipment'],
+  dividendsPaid: ['PaymentsOfDividends', 'PaymentsOfDividendsCommonStock']
+};
+
+/**
+ * Read a statement section from a Finnhub filing
+ * @param {Array<Object>} items - Reported line items: { concept, unit, value }
+ * @param {Object} concepts - US GAAP concepts for each field
+ * @returns {Object} Fields, each the first concept reported
+ */
+function readSection(items, concepts) {
+  const values = new Map((items || []).map(item => [String(item.concept).replace(/^us-gaap_/, ''), item.value]));
+  const section = {};
+  for (const [field, names] of Object.entries(concepts)) {
+    const name = names.find(concept => values.has(concept));
+    section[field] = name ? toNumber(values.get(name)) : null;
+  }
+  return section;
+}
+
+/**
+ * Get the first of several metrics Finnhub reports
+ * @param {Object} metrics - Finnhub metrics
+ * @param {Array<string>} names - Metric names, preferred first
+ * @param {number} scale - Multiplier applied to the value (optional)
+ * @returns {number|null} Metric value
+ */
+function metric(metrics, names, scale) {
+  const name = names.find(key => metrics[key] !== null && metrics[key] !== undefined);
+  return name ? toNumber(metrics[name], scale) : null;
+}
+
+/**
+ * Finnhub Provider
+ * Adapter for the Finnhub REST API
+ */
+class FinnhubProvider extends BaseProvider {
+  constructor(
+    apiKey = process.env.FINNHUB_API_KEY,
+    rateLimit = loadRateLimitConfig('FINNHUB', 60),
+    circuitBreaker = loadCircuitBreakerConfig('FINNHUB')
+  ) {
+    super({
+      id: 'finnhub',
+      name: 'Finnhub',
+      description: 'Real-time RESTful APIs for global market data',
+      website: 'https://finnhub.io/',
+      capabilities: ['quote', 'profile', 'candles', 'options', 'actions', 'search', 'stream', 'fundamentals', 'financials'],
+      intervals: Object.keys(RESOLUTIONS),
+      assetClasses: {
+        quote: ['stock', 'index'],
+        candles: ['stock', 'index', 'crypto', 'forex']
+      },
+      apiKey,
+      rateLimit,
+      circuitBreaker
+    });
+
+    this.client = this.createClient({
+      baseURL: 'https://finnhub.io/api/v1',
+      timeout: 10000,
+      headers: {
+        'X-Finnhub-Token': apiKey
+      }
+    });
+  }
+
+  /**
+   * Get quote data from Finnhub
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Quote data
+   */
+  async getQuote(symbol) {
+    const response = await this.client.get(`/quote`, {
+      params: { symbol }
+    });
+    
+    // Unknown symbols come back as a quote of zeros
+    if (!response.data.c && !response.data.pc) {
+      throw new SymbolNotFoundError(`Finnhub has no quote for ${symbol}`, { provider: this.id });
+    }
+    
+    return {
+      symbol,
+      price: toNumber(response.data.c),
+      change: toNumber(response.data.d),
+      percentChange: toNumber(response.data.dp),
+      high: toNumber(response.data.h),
+      low: toNumber(response.data.l),
+      open: toNumber(response.data.o),
+      previousClose: toNumber(response.data.pc),
+      timestamp: toTimestamp(response.data.t, 's') || new Date().toISOString(),
+      source: 'finnhub'
+    };
+  }
+
+  /**
+   * Get company profile from Finnhub
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Company profile data
+   */
+  async getCompanyProfile(symbol) {
+    const response = await this.client.get(`/stock/profile2`, {
+      params: { symbol }
+    });
+    
+    // Unknown symbols come back as an empty object
+    if (!response.data || Object.keys(response.data).length === 0) {
+      throw new SymbolNotFoundError(`Finnhub has no profile for ${symbol}`, { provider: this.id });
+    }
+    
+    return {
+      symbol,
+      name: toText(response.data.name),
+      exchange: toText(response.data.exchange),
+      industry: toText(response.data.finnhubIndustry),
+      // Finnhub reports market capitalization in millions
+      marketCap: toNumber(response.data.marketCapitalization, 1e6),
+      logo: toText(response.data.logo),
+      weburl: toText(response.data.weburl),
+      source: 'finnhub'
+    };
+  }
+
+  /**
+   * Get the candle endpoint and Finnhub symbol for a symbol. Crypto pairs
+   * are read from Coinbase and forex pairs from OANDA.
+   * @param {string} symbol - Symbol
+   * @returns {Object} { path, ticker }
+   */
+  candleSource(symbol) {
+    const { assetClass, base, quote } = parseSymbol(symbol);
+    if (assetClass === 'crypto') {
+      return { path: '/crypto/candle', ticker: `COINBASE:${base}-${quote}` };
+    }
+    if (assetClass === 'forex') {
+      return { path: '/forex/candle', ticker: `OANDA:${base}_${quote}` };
+    }
+    return { path: '/stock/candle', ticker: symbol };
+  }
+
+  /**
+   * Get historical data from Finnhub
+   * @param {string} symbol - Symbol
+   * @param {string} interval - Time interval
+   * @param {string} from - Start date
+   * @param {string} to - End date
+   * @returns {Promise<Object>} Historical price data
+   */
+  async getHistoricalData(symbol, interval, from, to) {
+    const resolution = RESOLUTIONS[interval];
+    if (!resolution) {
+      throw new InvalidParameterError(`Finnhub does not support interval ${interval}`);
+    }
+    
+    const { path, ticker } = this.candleSource(symbol);
+    const response = await this.client.get(path, {
+      params: {
+        symbol: ticker,
+        resolution,
+        from: new Date(from).getTime() / 1000,
+        to: new Date(to).getTime() / 1000
+      }
+    });
+    
+    // Format the response; an empty range comes back as { s: 'no_data' }.
+    // Daily and longer stock candles are split-adjusted, intraday ones are
+    // raw. Forex candles may have no volume.
+    const candles = response.data.s === 'no_data' ? { t: [] } : response.data;
+    const data = [];
+    for (let i = 0; i < candles.t.length; i++) {
+      data.push({
+        timestamp: toTimestamp(candles.t[i], 's'),
+        open: toNumber(candles.o[i]),
+        high: toNumber(candles.h[i]),
+        low: toNumber(candles.l[i]),
+        close: toNumber(candles.c[i]),
+        volume: candles.v ? toNumber(candles.v[i]) : null
+      });
+    }
+    
+    return {
+      symbol,
+      interval,
+      data,
+      adjustment: parseSymbol(symbol).assetClass === 'stock' && ['1d', '1w', '1M'].includes(interval) ? 'splits' : 'none',
+      source: 'finnhub'
+    };
+  }
+
+  /**
+   * Get splits and dividends from Finnhub
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Corporate actions
+   */
+  async getCorporateActions(symbol) {
+    const params = { symbol, from: '1970-01-01', to: new Date().toISOString().slice(0, 10) };
+    const [splits, dividends] = await Promise.all([
+      this.client.get(`/stock/split`, { params }),
+      this.client.get(`/stock/dividend`, { params })
+    ]);
+
+    return {
+      symbol,
+      splits: (splits.data || []).map(split => ({
+        date: toDate(split.date),
+        fromFactor: toNumber(split.fromFactor),
+        toFactor: toNumber(split.toFactor)
+      })),
+      // `amount` is as paid; `adjustedAmount` is split-adjusted
+      dividends: (dividends.data || []).map(dividend => ({
+        exDate: toDate(dividend.date),
+        amount: toNumber(dividend.amount),
+        currency: toText(dividend.currency),
+        declarationDate: toDate(dividend.declarationDate),
+        recordDate: toDate(dividend.recordDate),
+        payDate: toDate(dividend.payDate)
+      })),
+      source: 'finnhub'
+    };
+  }
+
+  /**
+   * Get key ratios and fundamentals from Finnhub's basic financials. Finnhub
+   * reports market cap in millions; yields, margins, returns and growth are
+   * already in percent.
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Fundamentals
+   */
+  async getFundamentals(symbol) {
+    const response = await this.client.get(`/stock/metric`, {
+      params: { symbol, metric: 'all' }
+    });
+
+    // Unknown symbols come back with empty metrics
+    const metrics = response.data.metric || {};
+    if (Object.keys(metrics).length === 0) {
+      throw new SymbolNotFoundError(`Finnhub has no fundamentals for ${symbol}`, { provider: this.id });
+    }
+
+    return {
+      symbol,
+      currency: null,
+      latestQuarter: null,
+      marketCap: metric(metrics, ['marketCapitalization'], 1e6),
+      sharesOutstanding: null,
+      revenue: null,
+      ebitda: null,
+      peRatio: metric(metrics, ['peTTM', 'peBasicExclExtraTTM']),
+      forwardPE: null,
+      pegRatio: null,
+      priceToBook: metric(metrics, ['pbQuarterly', 'pbAnnual']),
+      priceToSales: metric(metrics, ['psTTM', 'psAnnual']),
+      evToEbitda: null,
+      eps: metric(metrics, ['epsTTM', 'epsBasicExclExtraItemsTTM']),
+      bookValuePerShare: metric(metrics, ['bookValuePerShareQuarterly', 'bookValuePerShareAnnual']),
+      dividendPerShare: metric(metrics, ['dividendPerShareTTM', 'dividendPerShareAnnual']),
+      dividendYield: metric(metrics, ['currentDividendYieldTTM', 'dividendYieldIndicatedAnnual']),
+      profitMargin: metric(metrics, ['netProfitMarginTTM', 'netProfitMarginAnnual']),
+      operatingMargin: metric(metrics, ['operatingMarginTTM', 'operatingMarginAnnual']),
+      returnOnEquity: metric(metrics, ['roeTTM', 'roeRfy']),
+      returnOnAssets: metric(metrics, ['roaTTM', 'roaRfy']),
+      revenueGrowth: metric(metrics, ['revenueGrowthQuarterlyYoy']),
+      beta: metric(metrics, ['beta']),
+      week52High: metric(metrics, ['52WeekHigh']),
+      week52Low: metric(metrics, ['52WeekLow']),
+      source: 'finnhub'
+    };
+  }
+
+  /**
+   * Get financial statements from Finnhub's filings as reported to the SEC.
+   * Line items are matched by US GAAP concept; Finnhub doesn't report EBITDA.
+   * @param {string} symbol - Stock symbol
+   * @param {string} period - 'annual' or 'quarterly'
+   * @returns {Promise<Object>} Financial statements
+   */
+  async getFinancials(symbol, period) {
+    const response = await this.client.get(`/stock/financials-reported`, {
+      params: { symbol, freq: period }
+    });
+
+    // Unknown symbols come back with an empty data array
+    const filings = response.data.data || [];
+    if (filings.length === 0) {
+      throw new SymbolNotFoundError(`Finnhub has no financial statements for ${symbol}`, { provider: this.id });
+    }
+
+    return {
+      symbol,
+      period,
+      statements: filings.map(filing => {
+        const report = filing.report || {};
+        // Money amounts carry a lower-case currency unit, e.g. 'usd'; per-share ones 'usd/share'
+        const amount = (report.ic || []).find(item => /^[a-z]{3}$/i.test(item.unit));
+        return {
+          periodEnd: toDate(String(filing.endDate || '').slice(0, 10)),
+          fiscalYear: toNumber(filing.year),
+          fiscalPeriod: filing.quarter ? `Q${filing.quarter}` : 'FY',
+          filedDate: toDate(String(filing.filedDate || '').slice(0, 10)),
+          currency: amount ? amount.unit.toUpperCase() : null,
+          incomeStatement: { ...readSection(report.ic, INCOME_CONCEPTS), ebitda: null },
+          balanceSheet: readSection(report.bs, BALANCE_CONCEPTS),
+          cashFlow: readSection(report.cf, CASH_FLOW_CONCEPTS)
+        };
+      }),
+      source: 'finnhub'
+    };
+  }
+
+  /**
+   * Get options chain from Finnhub. Finnhub always returns the full chain, so
+   * filters are applied by the service.
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Options chain data
+   */
+  async getOptionsChain(symbol) {
+    const response = await this.client.get(`/stock/option-chain`, {
+      params: { symbol }
+    });
+    
+    // Unknown symbols come back without a data array
+    const expiries = response.data.data || [];
+    
+    // Finnhub reports implied volatility in percent
+    return {
+      symbol,
+      expirationDates: expiries.map(item => item.expirationDate),
+      options: expiries.flatMap(expiry => {
+        return [
+          ...expiry.options.CALL.map(call => ({
+            type: 'call',
+            symbol: call.contractName,
+            strike: toNumber(call.strike),
+            expiration: expiry.expirationDate,
+            lastPrice: toNumber(call.lastPrice),
+            bid: toNumber(call.bid),
+            ask: toNumber(call.ask),
+            change: toNumber(call.change),
+            volume: toNumber(call.volume),
+            openInterest: toNumber(call.openInterest),
+            impliedVolatility: toNumber(call.impliedVolatility, 0.01)
+          })),
+          ...expiry.options.PUT.map(put => ({
+            type: 'put',
+            symbol: put.contractName,
+            strike: toNumber(put.strike),
+            expiration: expiry.expirationDate,
+            lastPrice: toNumber(put.lastPrice),
+            bid: toNumber(put.bid),
+            ask: toNumber(put.ask),
+            change: toNumber(put.change),
+            volume: toNumber(put.volume),
+            openInterest: toNumber(put.openInterest),
+            impliedVolatility: toNumber(put.impliedVolatility, 0.01)
+          }))
+        ];
+      }),
+      source: 'finnhub'
+    };
+  }
+
+  /**
+   * Create a trade stream from Finnhub
+   * @returns {FinnhubStream} Trade stream
+   */
+  createStream() {
+    return new FinnhubStream(this.apiKey);
+  }
+
+  /**
+   * Search symbols on Finnhub. Finnhub doesn't report exchanges or
+   * currencies in search results.
+   * @param {string} query - Company name or ticker
+   * @returns {Promise<Object>} Search results
+   */
+  async searchSymbols(query) {
+    const response = await this.client.get(`/search`, {
+      params: { q: query }
+    });
+
+    return {
+      query,
+      results: (response.data.result || []).map(item => ({
+        symbol: toText(item.symbol),
+        name: toText(item.description),
+        exchange: null,
+        type: ASSET_TYPES[item.type] || 'other',
+        currency: null
+      })),
+      source: 'finnhub'
+    };
+  }
+}
+
+module.exports = FinnhubProvider;
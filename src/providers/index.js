@@ -0,0 +1,21 @@
+const ProviderRegistry = require('./providerRegistry');
+const FinnhubProvider = require('./finnhubProvider');
+const AlphaVantageProvider = require('./alphaVantageProvider');
+const PolygonProvider = require('./polygonProvider');
+
+/**
+ * Create a registry with the built-in provider adapters.
+ * Registration order is the order providers are listed and tried in.
+ * @returns {ProviderRegistry} Provider registry
+ */
+function createDefaultRegistry() {
+  return new ProviderRegistry()
+    .register(new FinnhubProvider())
+    .register(new AlphaVantageProvider())
+    .register(new PolygonProvider());
+}
+
+module.exports = {
+  ProviderRegistry,
+  createDefaultRegistry
+};
@@ -0,0 +1,518 @@
+const BaseProvider = require('./baseProvider');
+const { loadRateLimitConfig } = require('../config/rateLimitConfig');
+const { loadCircuitBreakerConfig } = require('../config/circuitBreakerConfig');
+const { parsePositive } = require('../config/parseEnv');
+const PolygonStream = require('../streaming/polygonStream');
+const { toNumber, toText, toTimestamp, toDate } = require('../normalization');
+const { INDEX_CODES, parseSymbol } = require('../symbols');
+const { InvalidParameterError, SymbolNotFoundError, fromProviderError } = require('../errors');
+
+// Polygon.io aggregate multiplier and timespan for each interval
+const TIMESPANS = {
+  '1m': [1, 'minute'],
+  '5m': [5, 'minute'],
+  '15m': [15, 'minute'],
+  '30m': [30, 'minute'],
+  '1h': [1, 'hour'],
+  '1d': [1, 'day'],
+  '1w': [1, 'week'],
+  '1M': [1, 'month']
+};
+
+// Polygon.io ticker types mapped to asset types; other markets map by market
+const ASSET_TYPES = {
+  CS: 'stock',
+  ADRC: 'stock',
+  ADRP: 'stock',
+  GDR: 'stock',
+  NYRS: 'stock',
+  OS: 'stock',
+  PFD: 'stock',
+  ETF: 'etf',
+  ETN: 'etf',
+  ETV: 'etf',
+  ETS: 'etf',
+  FUND: 'fund',
+  INDEX: 'index'
+};
+const MARKET_TYPES = { crypto: 'crypto', fx: 'forex', indices: 'index' };
+
+// Snapshot market for each asset class with a ticker snapshot endpoint
+const SNAPSHOT_MARKETS = {
+  stock: 'locale/us/markets/stocks',
+  crypto: 'locale/global/markets/crypto',
+  forex: 'locale/global/markets/forex'
+};
+
+// Exchange names for the market identifier codes Polygon.io reports
+const EXCHANGES = {
+  XNAS: 'NASDAQ',
+  XNYS: 'NYSE',
+  ARCX: 'NYSE ARCA',
+  XASE: 'NYSE AMERICAN',
+  BATS: 'CBOE BZX'
+};
+
+// Polygon.io financials line item for each statement field
+const INCOME_ITEMS = {
+  revenue: 'revenues',
+  costOfRevenue: 'cost_of_revenue',
+  grossProfit: 'gross_profit',
+  researchAndDevelopment: 'research_and_development',
+  sellingGeneralAdministrative: 'selling_general_and_administrative_expenses',
+  operatingExpenses: 'operating_expenses',
+  operatingIncome: 'operating_income_loss',
+  interestExpense: 'interest_expense_operating',
+  incomeBeforeTax: 'income_loss_from_continuing_operations_before_tax',
+  incomeTax: 'income_tax_expense_benefit',
+  netIncome: 'net_income_loss',
+  eps: 'basic_earnings_per_share',
+  epsDiluted: 'diluted_earnings_per_share'
+};
+const BALANCE_ITEMS = {
+  totalAssets: 'assets',
+  currentAssets: 'current_assets',
+  inventory: 'inventory',
+  totalLiabilities: 'liabilities',
+  currentLiabilities: 'current_liabilities',
+  longTermDebt: 'long_term_debt',
+  shareholdersEquity: 'equity_attributable_to_parent'
+};
+const CASH_FLOW_ITEMS = {
+  operatingCashFlow: 'net_cash_flow_from_operating_activities',
+  investingCashFlow: 'net_cash_flow_from_investing_activities',
+  financingCashFlow: 'net_cash_flow_from_financing_activities'
+};
+
+/**
+ * Read a statement section from Polygon.io financials
+ * @param {Object} section - Line items by name: { value, unit }
+ * @param {Object} items - Line item for each field
+ * @returns {Object} Fields
+ */
+function readSection(section, items) {
+  const values = section || {};
+  const result = {};
+  for (const [field, item] of Object.entries(items)) {
+    result[field] = values[item] ? toNumber(values[item].value) : null;
+  }
+  return result;
+}
+
+/**
+ * Polygon.io Provider
+ * Adapter for the Polygon.io REST API
+ */
+class PolygonProvider extends BaseProvider {
+  constructor(
+    apiKey = process.env.POLYGON_API_KEY,
+    rateLimit = loadRateLimitConfig('POLYGON', 5),
+    circuitBreaker = loadCircuitBreakerConfig('POLYGON')
+  ) {
+    super({
+      id: 'polygon',
+      name: 'Polygon.io',
+      description: 'Financial market data platform',
+      website: 'https://polygon.io/',
+      capabilities: ['quote', 'profile', 'candles', 'options', 'actions', 'search', 'stream', 'financials'],
+      intervals: Object.keys(TIMESPANS),
+      assetClasses: {
+        quote: ['stock', 'index', 'crypto', 'forex'],
+        candles: ['stock', 'index', 'crypto', 'forex']
+      },
+      apiKey,
+      rateLimit,
+      circuitBreaker
+    });
+
+    // Page limit when following options chain pagination: by default, a minute's request budget
+    this.maxPages = parsePositive(process.env.POLYGON_MAX_PAGES, rateLimit.requestsPerMinute);
+
+    this.client = this.createClient({
+      baseURL: 'https://api.polygon.io',
+      timeout: 10000,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`
+      }
+    });
+  }
+
+  /**
+   * Get the Polygon.io ticker for a symbol: X:BTCUSD for crypto, C:EURUSD
+   * for forex and I:SPX for indices
+   * @param {string} symbol - Symbol
+   * @returns {string} Polygon.io ticker
+   */
+  ticker(symbol) {
+    const { assetClass, base, quote, index } = parseSymbol(symbol);
+    if (assetClass === 'crypto') {
+      return `X:${base}${quote}`;
+    }
+    if (assetClass === 'forex') {
+      return `C:${base}${quote}`;
+    }
+    if (assetClass === 'index') {
+      return `I:${INDEX_CODES[index] || index.slice(1)}`;
+    }
+    return symbol;
+  }
+
+  /**
+   * Get quote data from Polygon.io
+   * @param {string} symbol - Symbol
+   * @returns {Promise<Object>} Quote data
+   */
+  async getQuote(symbol) {
+    const { assetClass } = parseSymbol(symbol);
+    if (assetClass === 'index') {
+      return this.getIndexQuote(symbol);
+    }
+
+    const ticker = encodeURIComponent(this.ticker(symbol));
+    const response = await this.client.get(`/v2/snapshot/${SNAPSHOT_MARKETS[assetClass]}/tickers/${ticker}`);
+    
+    return this.formatQuote(symbol, response.data.ticker || {});
+  }
+
+  /**
+   * Get an index quote from Polygon.io's indices snapshot
+   * @param {string} symbol - Index symbol
+   * @returns {Promise<Object>} Quote data
+   */
+  async getIndexQuote(symbol) {
+    const response = await this.client.get(`/v3/snapshot/indices`, {
+      params: { 'ticker.any_of': this.ticker(symbol) }
+    });
+
+    // Unknown indices come back with an error in place of a value
+    const [index] = response.data.results || [];
+    if (!index || index.error) {
+      throw new SymbolNotFoundError(`Polygon.io has no quote for ${symbol}`, { provider: this.id });
+    }
+
+    const session = index.session || {};
+    return {
+      symbol,
+      price: toNumber(index.value),
+      change: toNumber(session.change),
+      percentChange: toNumber(session.change_percent),
+      high: toNumber(session.high),
+      low: toNumber(session.low),
+      open: toNumber(session.open),
+      previousClose: toNumber(session.previous_close),
+      timestamp: new Date().toISOString(),
+      source: 'polygon'
+    };
+  }
+
+  /**
+   * Get quote data for several symbols from Polygon.io's multi-ticker snapshot
+   * @param {Array<string>} symbols - Stock symbols
+   * @returns {Promise<Array<Object>>} Quote data for the symbols Polygon returned
+   */
+  async getQuotes(symbols) {
+    const response = await this.client.get(`/v2/snapshot/locale/us/markets/stocks/tickers`, {
+      params: { tickers: symbols.join(',') }
+    });
+
+    return (response.data.tickers || []).map(ticker => this.formatQuote(ticker.ticker, ticker));
+  }
+
+  /**
+   * Format a Polygon.io ticker snapshot as quote data
+   * @param {string} symbol - Stock symbol
+   * @param {Object} quote - Ticker snapshot
+   * @returns {Object} Quote data
+   */
+  formatQuote(symbol, quote) {
+    // Snapshots omit sections with no activity, e.g. before the open. Forex
+    // snapshots have no trades, so their price is the bid/ask midpoint.
+    const lastTrade = quote.lastTrade || {};
+    const lastQuote = quote.lastQuote || {};
+    const day = quote.day || {};
+    const prevDay = quote.prevDay || {};
+    const midpoint = lastQuote.a && lastQuote.b ? (toNumber(lastQuote.a) + toNumber(lastQuote.b)) / 2 : null;
+
+    return {
+      symbol,
+      price: lastTrade.p === undefined ? midpoint : toNumber(lastTrade.p),
+      change: toNumber(quote.todaysChange),
+      percentChange: toNumber(quote.todaysChangePerc),
+      high: toNumber(day.h),
+      low: toNumber(day.l),
+      open: toNumber(day.o),
+      previousClose: toNumber(prevDay.c),
+      // Snapshot update times are in nanoseconds
+      timestamp: (quote.updated && toTimestamp(quote.updated / 1e6, 'ms')) || new Date().toISOString(),
+      source: 'polygon'
+    };
+  }
+
+  /**
+   * Get company profile from Polygon.io
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Company profile data
+   */
+  async getCompanyProfile(symbol) {
+    const response = await this.client.get(`/v3/reference/tickers/${encodeURIComponent(symbol)}`);
+    
+    const data = response.data.results || {};
+    
+    return {
+      symbol,
+      name: toText(data.name),
+      exchange: toText(data.primary_exchange),
+      industry: toText(data.sic_description),
+      marketCap: toNumber(data.market_cap),
+      logo: null, // Not directly provided by Polygon
+      weburl: toText(data.homepage_url),
+      source: 'polygon'
+    };
+  }
+
+  /**
+   * Get historical data from Polygon.io
+   * @param {string} symbol - Symbol
+   * @param {string} interval - Time interval
+   * @param {string} from - Start date
+   * @param {string} to - End date
+   * @returns {Promise<Object>} Historical price data
+   */
+  async getHistoricalData(symbol, interval, from, to) {
+    if (!TIMESPANS[interval]) {
+      throw new InvalidParameterError(`Polygon.io does not support interval ${interval}`);
+    }
+    const [multiplier, timespan] = TIMESPANS[interval];
+    
+    // Aggregates are split-adjusted unless asked otherwise
+    const response = await this.client.get(`/v2/aggs/ticker/${encodeURIComponent(this.ticker(symbol))}/range/${multiplier}/${timespan}/${from}/${to}`, {
+      params: { adjusted: false }
+    });
+    
+    // Polygon omits results for an empty range; bar times are unix milliseconds
+    const data = (response.data.results || []).map(item => ({
+      timestamp: toTimestamp(item.t, 'ms'),
+      open: toNumber(item.o),
+      high: toNumber(item.h),
+      low: toNumber(item.l),
+      close: toNumber(item.c),
+      volume: toNumber(item.v)
+    }));
+    
+    return {
+      symbol,
+      interval,
+      data,
+      source: 'polygon'
+    };
+  }
+
+  /**
+   * Get splits and dividends from Polygon.io
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Corporate actions
+   */
+  async getCorporateActions(symbol) {
+    const [splits, dividends] = await Promise.all([
+      this.client.get(`/v3/reference/splits`, { params: { ticker: symbol, limit: 1000 } }),
+      this.client.get(`/v3/reference/dividends`, { params: { ticker: symbol, limit: 1000 } })
+    ]);
+
+    return {
+      symbol,
+      splits: (splits.data.results || []).map(split => ({
+        date: toDate(split.execution_date),
+        fromFactor: toNumber(split.split_from),
+        toFactor: toNumber(split.split_to)
+      })),
+      dividends: (dividends.data.results || []).map(dividend => ({
+        exDate: toDate(dividend.ex_dividend_date),
+        amount: toNumber(dividend.cash_amount),
+        currency: toText(dividend.currency),
+        declarationDate: toDate(dividend.declaration_date),
+        recordDate: toDate(dividend.record_date),
+        payDate: toDate(dividend.pay_date)
+      })),
+      source: 'polygon'
+    };
+  }
+
+  /**
+   * Get financial statements from Polygon.io, parsed from SEC filings.
+   * Polygon.io doesn't break out cash, capital expenditures, dividends paid
+   * or EBITDA.
+   * @param {string} symbol - Stock symbol
+   * @param {string} period - 'annual' or 'quarterly'
+   * @param {number} limit - Number of periods
+   * @returns {Promise<Object>} Financial statements, newest first
+   */
+  async getFinancials(symbol, period, limit) {
+    const response = await this.client.get(`/vX/reference/financials`, {
+      params: { ticker: symbol, timeframe: period, limit, order: 'desc', sort: 'period_of_report_date' }
+    });
+
+    // Unknown symbols come back with no results
+    const results = response.data.results || [];
+    if (results.length === 0) {
+      throw new SymbolNotFoundError(`Polygon.io has no financial statements for ${symbol}`, { provider: this.id });
+    }
+
+    return {
+      symbol,
+      period,
+      statements: results.map(result => {
+        const financials = result.financials || {};
+        const revenue = (financials.income_statement || {}).revenues;
+        return {
+          periodEnd: toDate(result.end_date),
+          fiscalYear: toNumber(result.fiscal_year),
+          fiscalPeriod: toText(result.fiscal_period),
+          filedDate: toDate(result.filing_date),
+          currency: revenue ? toText(revenue.unit) : null,
+          incomeStatement: { ...readSection(financials.income_statement, INCOME_ITEMS), ebitda: null },
+          balanceSheet: { ...readSection(financials.balance_sheet, BALANCE_ITEMS), cashAndEquivalents: null },
+          cashFlow: {
+            ...readSection(financials.cash_flow_statement, CASH_FLOW_ITEMS),
+            capitalExpenditures: null,
+            dividendsPaid: null
+          }
+        };
+      }),
+      source: 'polygon'
+    };
+  }
+
+  /**
+   * Search active tickers on Polygon.io by ticker or name
+   * @param {string} query - Company name or ticker
+   * @returns {Promise<Object>} Search results
+   */
+  async searchSymbols(query) {
+    const response = await this.client.get(`/v3/reference/tickers`, {
+      params: { search: query, active: true, limit: 50 }
+    });
+
+    return {
+      query,
+      results: (response.data.results || []).map(item => {
+        const currency = toText(item.currency_symbol) || toText(item.currency_name);
+        return {
+          symbol: toText(item.ticker),
+          name: toText(item.name),
+          exchange: EXCHANGES[item.primary_exchange] || toText(item.primary_exchange),
+          type: MARKET_TYPES[item.market] || ASSET_TYPES[item.type] || 'other',
+          // Stocks carry a lower-case code in currency_name, other markets a name
+          currency: currency && currency.length === 3 ? currency.toUpperCase() : null
+        };
+      }),
+      source: 'polygon'
+    };
+  }
+
+  /**
+   * Get options chain from Polygon.io's options snapshot, which carries each
+   * contract's last trade, quote, day statistics and implied volatility
+   * alongside its reference data. Follows `next_url` through the pages of
+   * contracts, up to `maxPages` and for as long as the rate limiter can grant
+   * another request in time, so a long chain doesn't hold the provider's
+   * budget away from other callers. If either, or Polygon.io's own rate
+   * limit, stops it first, the pages already fetched are returned flagged
+   * `truncated`, with the `cursor` of the next page.
+   * @param {string} symbol - Stock symbol
+   * @param {Object} filters - Filters applied upstream (optional)
+   * @param {string} filters.expiration - Expiration date (YYYY-MM-DD)
+   * @param {string} filters.type - 'call' or 'put'
+   * @param {number} filters.minStrike - Minimum strike
+   * @param {number} filters.maxStrike - Maximum strike
+   * @param {string} filters.cursor - Cursor returned with a truncated chain, to continue from its next page
+   * @returns {Promise<Object>} Options chain data
+   */
+  async getOptionsChain(symbol, filters = {}) {
+    // The snapshot lists unexpired contracts only
+    const params = { limit: 250 };
+    if (filters.expiration) {
+      params.expiration_date = filters.expiration;
+    }
+    if (filters.type) {
+      params.contract_type = filters.type;
+    }
+    if (filters.minStrike !== undefined) {
+      params['strike_price.gte'] = filters.minStrike;
+    }
+    if (filters.maxStrike !== undefined) {
+      params['strike_price.lte'] = filters.maxStrike;
+    }
+    if (filters.cursor) {
+      params.cursor = filters.cursor;
+    }
+    
+    let response = await this.client.get(`/v3/snapshot/options/${encodeURIComponent(symbol)}`, { params });
+    const results = [...(response.data.results || [])];
+    let pages = 1;
+    let truncated = false;
+    
+    // next_url carries the cursor and original query
+    while (response.data.next_url) {
+      if (pages >= this.maxPages || this.limiter.isSaturated()) {
+        truncated = true;
+        break;
+      }
+      try {
+        response = await this.client.get(response.data.next_url);
+      } catch (error) {
+        // Rate limited mid-chain, by the limiter or by Polygon.io: keep what we have
+        if (fromProviderError(error, this.id).code !== 'PROVIDER_RATE_LIMITED') {
+          throw error;
+        }
+        truncated = true;
+        break;
+      }
+      results.push(...(response.data.results || []));
+      pages++;
+    }
+    const cursor = truncated ? new URL(response.data.next_url).searchParams.get('cursor') : null;
+    
+    // Extract unique expiration dates
+    const expirationDates = [...new Set(results.map(item => (item.details || {}).expiration_date))];
+    
+    // Last trade and quote need an options data plan; the day's close stands in for the last price without one
+    const options = results.map(item => {
+      const details = item.details || {};
+      const day = item.day || {};
+      const lastTrade = item.last_trade || {};
+      const lastQuote = item.last_quote || {};
+      return {
+        type: String(details.contract_type).toLowerCase(),
+        symbol: details.ticker,
+        strike: toNumber(details.strike_price),
+        expiration: details.expiration_date,
+        lastPrice: toNumber(lastTrade.price) || toNumber(day.close),
+        bid: toNumber(lastQuote.bid),
+        ask: toNumber(lastQuote.ask),
+        change: toNumber(day.change),
+        volume: toNumber(day.volume),
+        openInterest: toNumber(item.open_interest),
+        impliedVolatility: toNumber(item.implied_volatility)
+      };
+    });
+    
+    return {
+      symbol,
+      expirationDates,
+      options,
+      truncated,
+      cursor,
+      source: 'polygon'
+    };
+  }
+
+  /**
+   * Create a trade stream from Polygon.io
+   * @returns {PolygonStream} Trade stream
+   */
+  createStream() {
+    return new PolygonStream(this.apiKey);
+  }
+}
+
+module.exports = PolygonProvider;
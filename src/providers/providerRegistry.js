@@ -0,0 +1,79 @@
+/**
+ * Capabilities a provider adapter can declare
+ */
+const CAPABILITIES = ['quote', 'profile', 'candles', 'options', 'actions', 'search', 'stream', 'fundamentals', 'financials'];
+
+/**
+ * Provider Registry
+ * Keeps track of the provider adapters available to the service
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider adapter
+   * @param {Object} provider - Provider adapter instance
+   * @returns {ProviderRegistry} The registry, for chaining
+   */
+  register(provider) {
+    if (!provider || !provider.id) {
+      throw new Error('Provider must have an id');
+    }
+
+    const unknown = (provider.capabilities || []).filter(capability => !CAPABILITIES.includes(capability));
+    if (unknown.length > 0) {
+      throw new Error(`Provider ${provider.id} declares unknown capabilities: ${unknown.join(', ')}`);
+    }
+
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  /**
+   * Get a provider adapter by id
+   * @param {string} id - Provider id
+   * @returns {Object|undefined} Provider adapter
+   */
+  get(id) {
+    return this.providers.get(id);
+  }
+
+  /**
+   * Check whether a provider is registered
+   * @param {string} id - Provider id
+   * @returns {boolean} True if registered
+   */
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  /**
+   * List registered provider ids in registration order
+   * @returns {Array<string>} Provider ids
+   */
+  ids() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * List registered provider adapters in registration order
+   * @returns {Array<Object>} Provider adapters
+   */
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * List provider adapters supporting a capability
+   * @param {string} capability - Capability name ('quote', 'profile', 'candles', 'options', 'stream')
+   * @returns {Array<Object>} Provider adapters
+   */
+  supporting(capability) {
+    return this.list().filter(provider => provider.supports(capability));
+  }
+}
+
+module.exports = ProviderRegistry;
+module.exports.CAPABILITIES = CAPABILITIES;
@@ -0,0 +1,180 @@
+const { ProviderRateLimitedError } = require('../errors');
+
+/**
+ * Rate Limiter
+ * Token bucket that throttles calls to a provider. Calls beyond the budget
+ * wait in a queue; once the queue is full, or a new call would wait longer
+ * than the allowed maximum, calls are rejected so the service can move on to
+ * the next provider.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Rate limit configuration
+   * @param {number} options.requestsPerMinute - Sustained request rate
+   * @param {number} options.burst - Bucket capacity (optional)
+   * @param {number} options.maxQueue - Maximum waiting calls (optional)
+   * @param {number} options.maxWaitMs - Maximum wait for a token (optional)
+   */
+  constructor({ requestsPerMinute, burst = requestsPerMinute, maxQueue = 50, maxWaitMs = 10000 }) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.capacity = burst;
+    this.maxQueue = maxQueue;
+    this.maxWaitMs = maxWaitMs;
+
+    // Tokens added per millisecond
+    this.refillRate = requestsPerMinute / 60000;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+
+    this.queue = [];
+    this.timer = null;
+
+    // Usage counters
+    this.grantTimes = [];
+    this.granted = 0;
+    this.rejected = 0;
+  }
+
+  /**
+   * Add the tokens accrued since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Estimate how long a call joining the queue now would wait for a token
+   * @returns {number} Wait in milliseconds
+   */
+  estimatedWait() {
+    this.refill();
+    const needed = this.queue.length + 1 - this.tokens;
+    return needed <= 0 ? 0 : Math.ceil(needed / this.refillRate);
+  }
+
+  /**
+   * Check whether a new call would be rejected
+   * @returns {boolean} True if the queue is full or the wait too long
+   */
+  isSaturated() {
+    return this.queue.length >= this.maxQueue || this.estimatedWait() > this.maxWaitMs;
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise<void>} Resolves when the call may proceed
+   */
+  acquire() {
+    this.refill();
+
+    if (this.queue.length === 0 && this.tokens >= 1) {
+      this.grant();
+      return Promise.resolve();
+    }
+
+    if (this.isSaturated()) {
+      this.rejected++;
+      return Promise.reject(new ProviderRateLimitedError('Rate limit queue saturated', {
+        local: true,
+        retryAfter: Math.ceil(this.estimatedWait() / 1000)
+      }));
+    }
+
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.scheduleDrain();
+    });
+  }
+
+  /**
+   * Take a token if one is available now, without waiting
+   * @returns {boolean} True if the call may proceed
+   */
+  tryAcquire() {
+    this.refill();
+    if (this.queue.length === 0 && this.tokens >= 1) {
+      this.grant();
+      return true;
+    }
+    this.rejected++;
+    return false;
+  }
+
+  /**
+   * Take a token and record the grant
+   */
+  grant() {
+    this.tokens -= 1;
+    this.granted++;
+    this.grantTimes.push(Date.now());
+    this.pruneGrants();
+  }
+
+  /**
+   * Drop grant times older than one minute, so the record stays bounded
+   * however long the limiter lives
+   */
+  pruneGrants() {
+    const oneMinuteAgo = Date.now() - 60000;
+    let stale = 0;
+    while (stale < this.grantTimes.length && this.grantTimes[stale] <= oneMinuteAgo) {
+      stale++;
+    }
+    if (stale > 0) {
+      this.grantTimes.splice(0, stale);
+    }
+  }
+
+  /**
+   * Schedule the queue to drain when the next token is available
+   */
+  scheduleDrain() {
+    if (this.timer || this.queue.length === 0) {
+      return;
+    }
+
+    const wait = Math.max(0, Math.ceil((1 - this.tokens) / this.refillRate));
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, wait);
+  }
+
+  /**
+   * Release queued calls for every available token
+   */
+  drain() {
+    this.refill();
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      this.grant();
+      this.queue.shift()();
+    }
+    this.scheduleDrain();
+  }
+
+  /**
+   * Report current quota usage
+   * @returns {Object} Usage statistics
+   */
+  usage() {
+    this.refill();
+    this.pruneGrants();
+
+    return {
+      requestsPerMinute: this.requestsPerMinute,
+      burst: this.capacity,
+      availableTokens: Math.floor(this.tokens),
+      usedLastMinute: this.grantTimes.length,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      maxWaitMs: this.maxWaitMs,
+      saturated: this.isSaturated(),
+      totalGranted: this.granted,
+      totalRejected: this.rejected
+    };
+  }
+}
+
+module.exports = RateLimiter;
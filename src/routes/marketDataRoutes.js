@@ -1,16 +1,43 @@
 const express = require('express');
 const MarketDataController = require('../controllers/marketDataController');
+const StreamController = require('../controllers/streamController');
+const CalendarController = require('../controllers/calendarController');
+const UsageController = require('../controllers/usageController');
+const validateRequest = require('../middleware/validateRequest');
+const { MAX_BATCH_SYMBOLS, MAX_CALENDAR_DAYS, MAX_USAGE_DAYS, rules } = require('../validation');
+const { MAX_SUBSCRIPTIONS } = require('../streaming/streamServer');
 
 const router = express.Router();
 const marketDataController = new MarketDataController();
+const streamController = new StreamController();
+const calendarController = new CalendarController();
+const usageController = new UsageController();
 
 /**
  * @route GET /api/market-data/quote
- * @desc Get stock quote data
+ * @desc Get stock quote data for one symbol, or for several with `symbols`
  * @param {string} symbol - Stock symbol
+ * @param {string} symbols - Comma-separated stock symbols (optional, instead of symbol)
  * @param {string} provider - Data provider (optional)
+ * @param {string} mode - 'fallback' or 'consensus' to cross-check every provider (optional, default: 'fallback')
+ * @param {number} tolerance - Consensus tolerance in percent (optional, default: CONSENSUS_TOLERANCE_PCT)
  */
-router.get('/quote', (req, res) => marketDataController.getQuote(req, res));
+router.get('/quote', validateRequest([
+  rules.symbolOrSymbols(MAX_BATCH_SYMBOLS),
+  rules.provider('quote'),
+  rules.quoteMode()
+]), (req, res) => marketDataController.getQuote(req, res));
+
+/**
+ * @route POST /api/market-data/quote
+ * @desc Get stock quote data for a long list of symbols
+ * @param {Array<string>} symbols - Stock symbols (JSON body)
+ * @param {string} provider - Data provider (optional)
+ */
+router.post('/quote', validateRequest([
+  rules.symbols(MAX_BATCH_SYMBOLS),
+  rules.provider('quote')
+]), (req, res) => marketDataController.getQuotes(req, res));
 
 /**
  * @route GET /api/market-data/profile
@@ -18,68 +45,206 @@ router.get('/quote', (req, res) => marketDataController.getQuote(req, res));
  * @param {string} symbol - Stock symbol
  * @param {string} provider - Data provider (optional)
  */
-router.get('/profile', (req, res) => marketDataController.getCompanyProfile(req, res));
+router.get('/profile', validateRequest([
+  rules.symbol(),
+  rules.provider('profile')
+]), (req, res) => marketDataController.getCompanyProfile(req, res));
+
+/**
+ * @route GET /api/market-data/search
+ * @desc Search symbols by ticker or company name across providers
+ * @param {string} q - Search query, e.g. 'apple'
+ * @param {number} limit - Most results to return, 1-50 (optional, default: 10)
+ * @param {string} provider - Search only this provider, falling back along the chain (optional)
+ */
+router.get('/search', validateRequest([
+  rules.search(),
+  rules.provider('search')
+]), (req, res) => marketDataController.searchSymbols(req, res));
 
 /**
  * @route GET /api/market-data/historical
  * @desc Get historical price data
  * @param {string} symbol - Stock symbol
- * @param {string} interval - Time interval (optional, default: '1d')
+ * @param {string} interval - Time interval: 1m, 5m, 15m, 30m, 1h, 1d, 1w, 1M or a custom interval such as 4h, 3d or 1q (optional, default: '1d')
  * @param {string} from - Start date (YYYY-MM-DD)
  * @param {string} to - End date (YYYY-MM-DD)
  * @param {string} provider - Data provider (optional)
+ * @param {boolean} adjusted - Adjust for splits and dividends (optional, default: true)
  */
-router.get('/historical', (req, res) => marketDataController.getHistoricalData(req, res));
+router.get('/historical', validateRequest([
+  rules.symbol(),
+  rules.provider('candles'),
+  rules.interval(),
+  rules.dateRange(),
+  rules.adjusted()
+]), (req, res) => marketDataController.getHistoricalData(req, res));
+
+/**
+ * @route GET /api/market-data/splits
+ * @desc Get stock splits
+ * @param {string} symbol - Stock symbol
+ * @param {string} from - Earliest split date (YYYY-MM-DD) (optional)
+ * @param {string} to - Latest split date (YYYY-MM-DD) (optional)
+ * @param {string} provider - Data provider (optional)
+ */
+router.get('/splits', validateRequest([
+  rules.symbol(),
+  rules.provider('actions'),
+  rules.dateRange(false)
+]), (req, res) => marketDataController.getSplits(req, res));
+
+/**
+ * @route GET /api/market-data/dividends
+ * @desc Get cash dividends
+ * @param {string} symbol - Stock symbol
+ * @param {string} from - Earliest ex-dividend date (YYYY-MM-DD) (optional)
+ * @param {string} to - Latest ex-dividend date (YYYY-MM-DD) (optional)
+ * @param {string} provider - Data provider (optional)
+ */
+router.get('/dividends', validateRequest([
+  rules.symbol(),
+  rules.provider('actions'),
+  rules.dateRange(false)
+]), (req, res) => marketDataController.getDividends(req, res));
+
+/**
+ * @route GET /api/market-data/fundamentals
+ * @desc Get key ratios and fundamentals
+ * @param {string} symbol - Stock symbol
+ * @param {string} provider - Data provider (optional)
+ */
+router.get('/fundamentals', validateRequest([
+  rules.symbol(),
+  rules.provider('fundamentals')
+]), (req, res) => marketDataController.getFundamentals(req, res));
+
+/**
+ * @route GET /api/market-data/financials
+ * @desc Get income statements, balance sheets and cash flow statements, newest first
+ * @param {string} symbol - Stock symbol
+ * @param {string} period - 'annual' or 'quarterly' (optional, default annual)
+ * @param {number} limit - Number of periods (optional, default 4)
+ * @param {string} provider - Data provider (optional)
+ */
+router.get('/financials', validateRequest([
+  rules.symbol(),
+  rules.provider('financials'),
+  rules.financials()
+]), (req, res) => marketDataController.getFinancials(req, res));
 
 /**
  * @route GET /api/market-data/options
- * @desc Get options chain data
+ * @desc Get options chain data with implied volatility and Greeks
  * @param {string} symbol - Stock symbol
  * @param {string} provider - Data provider (optional)
+ * @param {boolean} greeks - Calculate implied volatility and Greeks (optional, default: true)
+ * @param {string} model - Pricing model: 'black-scholes' or 'binomial' (optional, default: 'black-scholes')
+ * @param {number} riskFreeRate - Annual risk-free rate, e.g. 0.045 (optional)
+ * @param {number} dividendYield - Annual dividend yield, e.g. 0.005 (optional)
+ * @param {string} expiration - Expiration date (YYYY-MM-DD) (optional)
+ * @param {string} type - 'call' or 'put' (optional)
+ * @param {number} minStrike - Minimum strike (optional)
+ * @param {number} maxStrike - Maximum strike (optional)
+ * @param {string} moneyness - 'itm', 'atm' or 'otm' (optional)
+ * @param {number} strikesAroundATM - Strikes to keep either side of the money per expiration (optional)
+ * @param {string} cursor - Cursor of a truncated Polygon chain, to fetch its next pages (optional, requires provider=polygon)
  */
-router.get('/options', (req, res) => marketDataController.getOptionsChain(req, res));
+router.get('/options', validateRequest([
+  rules.symbol(),
+  rules.provider('options'),
+  rules.pricing(),
+  rules.optionsFilters()
+]), (req, res) => marketDataController.getOptionsChain(req, res));
 
 /**
  * @route GET /api/market-data/indicators
  * @desc Calculate technical indicators
  * @param {string} symbol - Stock symbol
- * @param {string} interval - Time interval (optional, default: '1d')
+ * @param {string} interval - Time interval: 1m, 5m, 15m, 30m, 1h, 1d, 1w, 1M or a custom interval such as 4h, 3d or 1q (optional, default: '1d')
  * @param {string} from - Start date (YYYY-MM-DD)
  * @param {string} to - End date (YYYY-MM-DD)
  * @param {string} provider - Data provider (optional)
+ * @param {boolean} adjusted - Adjust for splits and dividends (optional, default: true)
+ * @param {string} indicators - Indicator specs, e.g. 'rsi:21,bb:20:2,atr:14' (optional, default: RSI, EMA and MACD)
+ * @param {boolean} series - Include the full per-bar series (optional, default: false)
+ */
+router.get('/indicators', validateRequest([
+  rules.symbol(),
+  rules.provider('candles'),
+  rules.interval(),
+  rules.dateRange(),
+  rules.adjusted(),
+  rules.indicators()
+]), (req, res) => marketDataController.calculateIndicators(req, res));
+
+/**
+ * @route GET /api/market-data/indicators/available
+ * @desc List the indicators that can be requested and their parameters
+ */
+router.get('/indicators/available', (req, res) => marketDataController.getAvailableIndicators(req, res));
+
+/**
+ * @route GET /api/market-data/stream
+ * @desc Stream quote updates as Server-Sent Events. WebSocket clients connect
+ * to the same path instead.
+ * @param {string} symbols - Comma-separated stock symbols
+ */
+router.get('/stream', validateRequest([
+  rules.symbols(MAX_SUBSCRIPTIONS)
+]), (req, res) => streamController.streamQuotes(req, res));
+
+/**
+ * @route GET /api/market-data/stream/stats
+ * @desc Get the streaming source and subscription counts
+ */
+router.get('/stream/stats', (req, res) => streamController.getStats(req, res));
+
+/**
+ * @route GET /api/market-data/market-status
+ * @desc Get whether the market is open, in pre-market or post-market trading,
+ * or closed, and when it next opens and closes
+ * @param {string} exchange - Exchange: NYSE or NASDAQ (optional, default: 'NYSE')
+ */
+router.get('/market-status', validateRequest([
+  rules.exchange()
+]), (req, res) => calendarController.getMarketStatus(req, res));
+
+/**
+ * @route GET /api/market-data/calendar
+ * @desc Get trading days with their session times, holidays and early closes
+ * @param {string} exchange - Exchange: NYSE or NASDAQ (optional, default: 'NYSE')
+ * @param {string} from - Start date (YYYY-MM-DD) (optional, default: today)
+ * @param {string} to - End date (YYYY-MM-DD) (optional, default: 30 days after from)
  */
-router.get('/indicators', (req, res) => marketDataController.calculateIndicators(req, res));
+router.get('/calendar', validateRequest([
+  rules.exchange(),
+  rules.dateRange(false, MAX_CALENDAR_DAYS)
+]), (req, res) => calendarController.getCalendar(req, res));
 
 /**
  * @route GET /api/market-data/providers
- * @desc Get available data providers
- */
-router.get('/providers', (req, res) => {
-  res.status(200).json({
-    providers: [
-      {
-        id: 'finnhub',
-        name: 'Finnhub',
-        description: 'Real-time RESTful APIs for global market data',
-        website: 'https://finnhub.io/',
-        features: ['Stock quotes', 'Company profiles', 'Historical data', 'Options chain']
-      },
-      {
-        id: 'alphavantage',
-        name: 'Alpha Vantage',
-        description: 'Free APIs for realtime and historical stock data',
-        website: 'https://www.alphavantage.co/',
-        features: ['Stock quotes', 'Company profiles', 'Historical data']
-      },
-      {
-        id: 'polygon',
-        name: 'Polygon.io',
-        description: 'Financial market data platform',
-        website: 'https://polygon.io/',
-        features: ['Stock quotes', 'Company profiles', 'Historical data', 'Options chain']
-      }
-    ]
-  });
-});
+ * @desc Get available data providers, their capabilities and whether they are configured
+ */
+router.get('/providers', (req, res) => marketDataController.getProviders(req, res));
+
+/**
+ * @route GET /api/market-data/quota
+ * @desc Get current rate limit usage per provider
+ */
+router.get('/quota', (req, res) => marketDataController.getQuota(req, res));
+
+/**
+ * @route GET /api/market-data/usage
+ * @desc Get metered requests per route and upstream provider calls for the
+ * calling API key, or for every key with an admin key
+ * @param {string} from - First day (YYYY-MM-DD) (optional, default: today)
+ * @param {string} to - Last day (YYYY-MM-DD) (optional, default: today)
+ * @param {string} key - API key id (optional, admin keys only for other keys)
+ */
+router.get('/usage', validateRequest([
+  rules.dateRange(false, MAX_USAGE_DAYS),
+  rules.apiKeyId()
+]), (req, res) => usageController.getUsage(req, res));
 
 module.exports = router;
\ No newline at end of file
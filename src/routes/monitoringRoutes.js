@@ -0,0 +1,20 @@
+const express = require('express');
+const MonitoringController = require('../controllers/monitoringController');
+
+const router = express.Router();
+const monitoringController = new MonitoringController();
+
+/**
+ * @route GET /metrics
+ * @desc Get request, upstream, fallback and cache metrics in the Prometheus text format
+ */
+router.get('/metrics', (req, res) => monitoringController.getMetrics(req, res));
+
+/**
+ * @route GET /health
+ * @desc Get service and per-provider health, probing providers that haven't
+ *   served a request recently; responds 503 when no provider is available
+ */
+router.get('/health', (req, res) => monitoringController.getHealth(req, res));
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const YahooController = require('../controllers/yahooController');
+const authenticate = require('../middleware/authenticate');
+
+const router = express.Router();
+const yahooController = new YahooController();
+
+/**
+ * @route GET /v8/finance/chart/:symbol
+ * @desc Get chart data in the Yahoo Finance v8 format
+ * @param {string} symbol - Stock symbol
+ * @param {string} interval - Yahoo interval (optional, default: '1d')
+ * @param {string} range - Yahoo range (optional, default: '1mo')
+ * @param {number} period1 - Start time in Unix seconds (optional, instead of range)
+ * @param {number} period2 - End time in Unix seconds (optional)
+ * @param {string} provider - Data provider (optional)
+ */
+router.get('/v8/finance/chart/:symbol', authenticate({
+  onError: YahooController.errorSender('chart')
+}), (req, res) => yahooController.getChart(req, res));
+
+/**
+ * @route GET /v7/finance/quote
+ * @desc Get quotes in the Yahoo Finance v7 format
+ * @param {string} symbols - Comma-separated stock symbols
+ * @param {string} provider - Data provider (optional)
+ */
+router.get('/v7/finance/quote', authenticate({
+  onError: YahooController.errorSender('quoteResponse')
+}), (req, res) => yahooController.getQuote(req, res));
+
+/**
+ * @route GET /v7/finance/options/:symbol
+ * @desc Get an options chain in the Yahoo Finance v7 format
+ * @param {string} symbol - Stock symbol
+ * @param {number} date - Expiration in Unix seconds (optional, default: nearest)
+ * @param {string} provider - Data provider (optional)
+ */
+router.get('/v7/finance/options/:symbol', authenticate({
+  onError: YahooController.errorSender('optionChain')
+}), (req, res) => yahooController.getOptions(req, res));
+
+module.exports = router;
@@ -1,663 +1,1469 @@
-const axios = require('axios');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
-// API Keys from environment variables
-const FINNHUB_API_KEY = process.env.FINNHUB_API_KEY;
-const ALPHA_VANTAGE_API_KEY = process.env.ALPHA_VANTAGE_API_KEY;
-const POLYGON_API_KEY = process.env.POLYGON_API_KEY;
+const { createDefaultRegistry } = require('../providers');
+const { CAPABILITIES } = require('../providers/providerRegistry');
+const { loadFallbackChains } = require('../config/fallbackChains');
+const { loadCacheConfig } = require('../config/cacheConfig');
+const { loadBarStoreConfig } = require('../config/barStoreConfig');
+const { loadConsensusConfig } = require('../config/consensusConfig');
+const { parsePositive } = require('../config/parseEnv');
+const { ResponseCache, createCacheStore } = require('../cache');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { parseIndicatorSpecs, calculateIndicator } = require('../indicators');
+const { ema } = require('../indicators/movingAverages');
+const { rsi, macd } = require('../indicators/oscillators');
+const { loadPricingConfig, priceOption } = require('../pricing');
+const { normalizeResult } = require('../normalization');
+const {
+  BarStore,
+  STORE_INTERVALS,
+  closedThrough,
+  findGaps,
+  isNativeInterval,
+  baseInterval,
+  sessionFor,
+  resampleBars,
+  adjustBars,
+  unadjustSplits,
+  addDays,
+  dayOf,
+  barDay,
+  mergeRanges,
+  missingRanges,
+  splitRange
+} = require('../bars');
+const { MAX_RANGE_DAYS } = require('../validation');
+const { getMarketStatus, isForexOpen, tradingDaysBetween } = require('../calendar');
+const { assetClassOf, isExchangeTraded } = require('../symbols');
+const { AccessControl } = require('../auth');
+const { recordUpstream, recordFallback, recordCache } = require('../metrics');
+const {
+  ForbiddenError,
+  InvalidParameterError,
+  ProviderDataError,
+  ProviderRateLimitedError,
+  ProviderUnauthorizedError,
+  ProviderUnavailableError,
+  UnsupportedCapabilityError,
+  UpstreamError,
+  fromProviderError
+} = require('../errors');
+
+// Skip reason for providers the calling API key may not use
+const NOT_ALLOWED_REASON = 'Not allowed for this API key';
+
+// Skip reason for a provider whose circuit breaker is open
+const CIRCUIT_OPEN_REASON = 'Circuit open';
+
+// Error codes in the order chainError prefers them when several providers fail
+const CHAIN_ERROR_PRIORITY = ['SYMBOL_NOT_FOUND', 'PROVIDER_RATE_LIMITED', 'UPSTREAM_TIMEOUT', 'PROVIDER_UNAUTHORIZED'];
+
+// Fields a search result can take from another provider's listing of the same ticker
+const SEARCH_FIELDS = ['name', 'exchange', 'currency'];
+
+/**
+ * Rank a search result against the query: exact ticker matches first, then
+ * tickers starting with the query, then names starting with it, then names
+ * containing it, then the rest
+ * @param {Object} result - Search result
+ * @param {string} query - Upper-cased query
+ * @returns {number} Rank, lowest first
+ */
+function searchRank(result, query) {
+  const name = (result.name || '').toUpperCase();
+  if (result.symbol === query) {
+    return 0;
+  }
+  if (result.symbol.startsWith(query)) {
+    return 1;
+  }
+  if (name.startsWith(query)) {
+    return 2;
+  }
+  return name.includes(query) ? 3 : 4;
+}
+
+/**
+ * Merge search results from several providers, de-duplicating by ticker
+ * @param {string} query - Search query
+ * @param {Array<Object>} providerResults - Normalized search results, in chain order
+ * @returns {Array<Object>} Ranked results, each with the `sources` that listed it
+ */
+function mergeSearchResults(query, providerResults) {
+  const merged = new Map();
+
+  for (const { results, source } of providerResults) {
+    for (const result of results) {
+      const symbol = result.symbol.toUpperCase();
+      const existing = merged.get(symbol);
+      if (!existing) {
+        merged.set(symbol, { ...result, symbol, sources: [source] });
+        continue;
+      }
+
+      for (const field of SEARCH_FIELDS) {
+        if (existing[field] === null) {
+          existing[field] = result[field];
+        }
+      }
+      if (existing.type === 'other') {
+        existing.type = result.type;
+      }
+      if (!existing.sources.includes(source)) {
+        existing.sources.push(source);
+      }
+    }
+  }
+
+  // Within a rank, tickers more providers list come first; sort is stable,
+  // so ties keep provider order
+  const upper = query.toUpperCase();
+  return [...merged.values()].sort((a, b) =>
+    searchRank(a, upper) - searchRank(b, upper) || b.sources.length - a.sources.length);
+}
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Values (at least one)
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Cross-check quotes for one symbol from several providers. A quote without
+ * a positive price is invalid, and one whose timestamp lags the newest by
+ * more than the allowed skew is stale; neither counts toward the consensus
+ * unless no other quote is left. The consensus price is the median of the
+ * rest, and a quote further from it than the tolerance diverges.
+ * @param {Array<Object>} quotes - Normalized quotes, in chain order
+ * @param {Object} options - Comparison settings
+ * @param {number} options.tolerancePct - Largest deviation from the median, in percent, that still agrees
+ * @param {number} options.maxSkewSeconds - Largest lag behind the newest quote
+ * @returns {Object} { price, timestamp, agreement, providers }: agreement is
+ *   'agreed', 'divergent' (some quote is invalid, stale or diverges) or
+ *   'single' (one quote to go on); price is null if no quote has a valid price
+ */
+function buildConsensus(quotes, { tolerancePct, maxSkewSeconds }) {
+  const valid = quotes.filter(quote => quote.price > 0);
+  const newest = Math.max(...valid.map(quote => Date.parse(quote.timestamp)));
+  const isStale = quote => newest - Date.parse(quote.timestamp) > maxSkewSeconds * 1000;
+
+  const fresh = valid.filter(quote => !isStale(quote));
+  const counted = fresh.length > 0 ? fresh : valid;
+  const price = counted.length > 0 ? median(counted.map(quote => quote.price)) : null;
+
+  const providers = quotes.map(quote => {
+    const deviationPct = price && quote.price > 0 ? ((quote.price - price) / price) * 100 : null;
+    let status = 'agrees';
+    if (!(quote.price > 0)) {
+      status = 'invalid';
+    } else if (isStale(quote)) {
+      status = 'stale';
+    } else if (Math.abs(deviationPct) > tolerancePct) {
+      status = 'diverges';
+    }
+    return {
+      provider: quote.source,
+      price: quote.price,
+      timestamp: quote.timestamp,
+      deviationPct: deviationPct === null ? null : Math.round(deviationPct * 10000) / 10000,
+      status,
+      inMedian: counted.includes(quote)
+    };
+  });
+
+  let agreement = 'agreed';
+  if (providers.some(provider => provider.status !== 'agrees')) {
+    agreement = 'divergent';
+  } else if (counted.length < 2) {
+    agreement = 'single';
+  }
+
+  return {
+    price,
+    timestamp: counted.length > 0 ? new Date(Math.max(...counted.map(quote => Date.parse(quote.timestamp)))).toISOString() : null,
+    agreement,
+    providers
+  };
+}
+
+/**
+ * Get the part of a fetched range the bar store may record as covered. An
+ * empty or short answer may only mean the provider's history doesn't reach
+ * that far back (Alpha Vantage intraday history covers about a month), so
+ * days before the first bar and after the last only count as covered when
+ * the exchange had no session on them.
+ * @param {Array<string>} range - [from, to] fetched
+ * @param {Array<Object>} bars - Bars fetched for the range
+ * @param {string} interval - Native interval of the bars
+ * @param {boolean} exchangeTraded - Whether the symbol follows the exchange calendar
+ * @returns {Array<string>|null} Covered [from, to], or null if no bars came back
+ */
+function coveredRange([from, to], bars, interval, exchangeTraded) {
+  if (bars.length === 0) {
+    return null;
+  }
+  const days = bars.map(bar => barDay(bar.timestamp, interval)).sort();
+  const first = days[0];
+  const last = days[days.length - 1];
+  const idle = (rangeFrom, rangeTo) => exchangeTraded && tradingDaysBetween(rangeFrom, rangeTo).length === 0;
+
+  return [
+    first > from && idle(from, addDays(first, -1)) ? from : first,
+    last < to && idle(addDays(last, 1), to) ? to : last
+  ];
+}
+
+/**
+ * Mark historical data with whether its bars cover the whole requested
+ * range. The flag is non-enumerable, so it decides how long the response
+ * cache keeps the data without showing up in responses.
+ * @param {Object} result - Historical price data
+ * @param {boolean} complete - Whether the bars cover the range
+ * @returns {Object} The same data
+ */
+function markComplete(result, complete) {
+  return Object.defineProperty(result, 'complete', { value: complete });
+}
 
 /**
  * Market Data Service
- * Provides methods to fetch financial data from various providers
+ * Provides methods to fetch financial data from the registered providers
  */
 class MarketDataService {
-  constructor() {
-    // Initialize API clients
-    this.finnhubClient = axios.create({
-      baseURL: 'https://finnhub.io/api/v1',
-      timeout: 10000,
-      headers: {
-        'X-Finnhub-Token': FINNHUB_API_KEY
-      }
-    });
+  /**
+   * @param {ProviderRegistry} registry - Provider registry (optional)
+   * @param {Object} cacheConfig - Cache configuration (optional)
+   * @param {Object} barStoreConfig - Bar store configuration (optional)
+   */
+  constructor(registry = createDefaultRegistry(), cacheConfig = loadCacheConfig(), barStoreConfig = loadBarStoreConfig()) {
+    this.registry = registry;
 
-    this.alphaVantageClient = axios.create({
-      baseURL: 'https://www.alphavantage.co/query',
-      timeout: 10000
-    });
+    // Response cache
+    this.cacheConfig = cacheConfig;
+    this.cache = new ResponseCache(createCacheStore(cacheConfig));
 
-    this.polygonClient = axios.create({
-      baseURL: 'https://api.polygon.io',
-      timeout: 10000,
-      headers: {
-        'Authorization': `Bearer ${POLYGON_API_KEY}`
-      }
-    });
+    // Persistent store of closed candles
+    this.barStore = barStoreConfig.enabled ? new BarStore(barStoreConfig.dir) : null;
 
     // Default provider
     this.defaultProvider = 'finnhub';
+
+    // Ordered provider chains per capability, from the environment
+    this.fallbackChains = loadFallbackChains();
+
+    // Default option pricing inputs
+    this.pricingConfig = loadPricingConfig();
+
+    // Maximum single-symbol requests in flight for a batch
+    this.batchConcurrency = parsePositive(process.env.BATCH_CONCURRENCY, 5);
+
+    // Default tolerances for consensus quotes
+    this.consensusConfig = loadConsensusConfig();
+  }
+
+  /**
+   * Get the shared service instance, so every controller uses the same
+   * cache and provider rate limiters
+   * @returns {MarketDataService} Shared service
+   */
+  static getInstance() {
+    if (!MarketDataService.instance) {
+      MarketDataService.instance = new MarketDataService();
+    }
+    return MarketDataService.instance;
   }
 
   /**
    * Set the default data provider
-   * @param {string} provider - Provider name ('finnhub', 'alphavantage', 'polygon')
+   * @param {string} provider - Registered provider id
    */
   setDefaultProvider(provider) {
-    if (['finnhub', 'alphavantage', 'polygon'].includes(provider)) {
+    if (this.registry.has(provider)) {
       this.defaultProvider = provider;
     } else {
-      throw new Error('Invalid provider. Choose from: finnhub, alphavantage, polygon');
+      throw new Error(`Invalid provider. Choose from: ${this.registry.ids().join(', ')}`);
     }
   }
 
   /**
-   * Get stock quote data
-   * @param {string} symbol - Stock symbol
-   * @param {string} provider - Data provider (optional)
-   * @returns {Promise<Object>} Quote data
+   * Get the registered data providers
+   * @returns {Array<Object>} Provider metadata
    */
-  async getQuote(symbol, provider = this.defaultProvider) {
-    try {
-      switch (provider) {
-        case 'finnhub':
-          return await this.getQuoteFinnhub(symbol);
-        case 'alphavantage':
-          return await this.getQuoteAlphaVantage(symbol);
-        case 'polygon':
-          return await this.getQuotePolygon(symbol);
-        default:
-          return await this.getQuoteFinnhub(symbol);
+  getProviders() {
+    return this.registry.list().map(provider => provider.describe());
+  }
+
+  /**
+   * Get rate limit usage for every registered provider
+   * @returns {Array<Object>} Provider usage
+   */
+  getQuotaUsage() {
+    return this.registry.list().map(provider => provider.usage());
+  }
+
+  /**
+   * Create a trade stream from the first configured provider in the stream
+   * fallback chain
+   * @returns {StreamSource|null} Trade stream, or null if none is available
+   */
+  createQuoteStream() {
+    const adapter = this.getFallbackChain('stream')
+      .map(id => this.registry.get(id))
+      .find(candidate => candidate.isConfigured());
+
+    return adapter ? adapter.createStream() : null;
+  }
+
+  /**
+   * Set the ordered fallback chain for a capability
+   * @param {string} capability - Capability name ('quote', 'profile', 'candles', 'options', 'stream')
+   * @param {Array<string>} providers - Provider ids in the order they should be tried
+   */
+  setFallbackChain(capability, providers) {
+    if (!CAPABILITIES.includes(capability)) {
+      throw new Error(`Invalid capability. Choose from: ${CAPABILITIES.join(', ')}`);
+    }
+
+    const unknown = providers.filter(id => !this.registry.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown providers in fallback chain: ${unknown.join(', ')}`);
+    }
+
+    this.fallbackChains[capability] = [...providers];
+  }
+
+  /**
+   * Get the providers to try, in order, for a capability. A requested provider
+   * is always tried first; the rest of the chain follows. Without a configured
+   * chain the default provider leads, followed by the other registered providers.
+   * @param {string} capability - Capability name
+   * @param {string} provider - Requested provider id (optional)
+   * @returns {Array<string>} Provider ids
+   */
+  getFallbackChain(capability, provider) {
+    const chain = (this.fallbackChains[capability] || [this.defaultProvider, ...this.registry.ids()])
+      .filter(id => {
+        const adapter = this.registry.get(id);
+        return adapter && adapter.supports(capability);
+      });
+
+    return [...new Set(provider ? [provider, ...chain] : chain)];
+  }
+
+  /**
+   * Get the effective fallback chain for every capability
+   * @returns {Object} Provider ids keyed by capability
+   */
+  getFallbackChains() {
+    const chains = {};
+    for (const capability of CAPABILITIES) {
+      chains[capability] = this.getFallbackChain(capability);
+    }
+    return chains;
+  }
+
+  /**
+   * Walk the fallback chain for a capability until a provider succeeds.
+   * Providers that are unknown, lack the capability, have no API key, may not
+   * be used by the calling API key, or whose circuit is open or rate limit
+   * queue saturated are skipped. Each result is normalized to
+   * the capability's canonical schema, and a provider whose result fails
+   * validation counts as failed. The result carries an `attempts` list describing each provider
+   * tried; if every provider fails the thrown error carries the same list.
+   * @param {string} capability - Capability name
+   * @param {string} provider - Requested provider id (optional)
+   * @param {string} description - What is being fetched, for logging
+   * @param {Function} fetch - Called with the provider adapter
+   * @param {string} assetClass - Asset class of the symbol, to skip providers that don't serve it (optional, default 'stock')
+   * @returns {Promise<Object>} Fetched data
+   * @throws {MarketDataError} The most telling failure (see chainError), carrying `attempts`
+   */
+  async fetchWithFallback(capability, provider, description, fetch, assetClass = 'stock') {
+    if (provider && !this.registry.has(provider)) {
+      throw new InvalidParameterError(`Unknown provider: ${provider}. Choose from: ${this.registry.ids().join(', ')}`);
+    }
+
+    const attempts = [];
+    const failures = [];
+
+    for (const id of this.getFallbackChain(capability, provider)) {
+      const adapter = this.registry.get(id);
+      const reason = this.skipReason(adapter, capability, assetClass);
+      if (reason) {
+        attempts.push({ provider: id, status: 'skipped', reason });
+        continue;
       }
-    } catch (error) {
-      console.error(`Error fetching quote for ${symbol}:`, error);
-      // Try fallback provider if primary fails
-      if (provider === this.defaultProvider) {
-        const fallbackProvider = provider === 'finnhub' ? 'alphavantage' : 'finnhub';
-        console.log(`Trying fallback provider: ${fallbackProvider}`);
-        return this.getQuote(symbol, fallbackProvider);
+
+      const started = Date.now();
+      try {
+        const result = normalizeResult(capability, await adapter.breakerFor(capability).call(() => fetch(adapter)), id);
+        recordUpstream(id, capability, (Date.now() - started) / 1000);
+        attempts.push({ provider: id, status: 'success' });
+        recordFallback(capability, attempts);
+        return { ...result, attempts };
+      } catch (error) {
+        console.error(`Error fetching ${description} from ${id}:`, error);
+        const failure = fromProviderError(error, id);
+        recordUpstream(id, capability, (Date.now() - started) / 1000, failure);
+        failures.push(failure);
+        attempts.push({ provider: id, status: 'failed', code: failure.code, reason: failure.message });
       }
+    }
+
+    const error = this.chainError(capability, description, attempts, failures, assetClass);
+    error.attempts = attempts;
+    recordFallback(capability, attempts, error);
+    throw error;
+  }
+
+  /**
+   * Query every provider in the fallback chain for a capability at once and
+   * collect the results of those that succeed. Providers are skipped, and
+   * results normalized, as in fetchWithFallback.
+   * @param {string} capability - Capability name
+   * @param {string} description - What is being fetched, for logging
+   * @param {Function} fetch - Called with each provider adapter
+   * @param {string} assetClass - Asset class of the symbol, to skip providers that don't serve it (optional)
+   * @returns {Promise<Object>} { results, attempts }: results in chain order
+   * @throws {MarketDataError} If no provider succeeds (see chainError), carrying `attempts`
+   */
+  async fetchFromAll(capability, description, fetch, assetClass) {
+    const failures = [];
+    const outcomes = await Promise.all(this.getFallbackChain(capability).map(async id => {
+      const adapter = this.registry.get(id);
+      const reason = this.skipReason(adapter, capability, assetClass);
+      if (reason) {
+        return { attempt: { provider: id, status: 'skipped', reason } };
+      }
+
+      const started = Date.now();
+      try {
+        const result = normalizeResult(capability, await adapter.breakerFor(capability).call(() => fetch(adapter)), id);
+        recordUpstream(id, capability, (Date.now() - started) / 1000);
+        return { result, attempt: { provider: id, status: 'success' } };
+      } catch (error) {
+        console.error(`Error fetching ${description} from ${id}:`, error);
+        const failure = fromProviderError(error, id);
+        recordUpstream(id, capability, (Date.now() - started) / 1000, failure);
+        failures.push(failure);
+        return { attempt: { provider: id, status: 'failed', code: failure.code, reason: failure.message } };
+      }
+    }));
+
+    const attempts = outcomes.map(outcome => outcome.attempt);
+    const results = outcomes.filter(outcome => outcome.result).map(outcome => outcome.result);
+    if (results.length === 0) {
+      const error = this.chainError(capability, description, attempts, failures, assetClass);
+      error.attempts = attempts;
+      recordFallback(capability, attempts, error);
       throw error;
     }
+    return { results, attempts };
   }
 
   /**
-   * Get quote data from Finnhub
-   * @param {string} symbol - Stock symbol
-   * @returns {Promise<Object>} Quote data
+   * Get why a provider can't be asked for a capability right now
+   * @param {Object} adapter - Provider adapter, or undefined if unknown
+   * @param {string} capability - Capability name
+   * @param {string} assetClass - Asset class of the symbol (optional)
+   * @returns {string|null} Reason to skip the provider, or null to try it
    */
-  async getQuoteFinnhub(symbol) {
-    const response = await this.finnhubClient.get(`/quote`, {
-      params: { symbol }
-    });
-    
-    return {
-      symbol,
-      price: response.data.c,
-      change: response.data.d,
-      percentChange: response.data.dp,
-      high: response.data.h,
-      low: response.data.l,
-      open: response.data.o,
-      previousClose: response.data.pc,
-      timestamp: new Date().toISOString(),
-      source: 'finnhub'
-    };
+  skipReason(adapter, capability, assetClass) {
+    if (!adapter) {
+      return 'Unknown provider';
+    }
+    if (!adapter.supports(capability)) {
+      return `Does not support ${capability}`;
+    }
+    if (assetClass && !adapter.supportsAssetClass(capability, assetClass)) {
+      return `Does not support ${capability} for ${assetClass}`;
+    }
+    if (!AccessControl.allowsProvider(adapter.id)) {
+      return NOT_ALLOWED_REASON;
+    }
+    if (!adapter.isConfigured()) {
+      return 'API key not configured';
+    }
+    if (!adapter.breakerFor(capability).allowsRequest()) {
+      return CIRCUIT_OPEN_REASON;
+    }
+    if (adapter.limiter.isSaturated()) {
+      return 'Rate limit queue saturated';
+    }
+    return null;
   }
 
   /**
-   * Get quote data from Alpha Vantage
-   * @param {string} symbol - Stock symbol
-   * @returns {Promise<Object>} Quote data
+   * Choose the error to report when every provider in a chain failed or was
+   * skipped. Of the providers that failed, an unknown symbol outranks a rate
+   * limit, which outranks a timeout, then bad credentials, then anything
+   * else. If none was called, the reason they were skipped is reported.
+   * @param {string} capability - Capability name
+   * @param {string} description - What was being fetched
+   * @param {Array<Object>} attempts - Attempts made
+   * @param {Array<MarketDataError>} failures - Errors from the providers that were called
+   * @param {string} assetClass - Asset class of the symbol (optional)
+   * @returns {MarketDataError} Error to throw
    */
-  async getQuoteAlphaVantage(symbol) {
-    const response = await this.alphaVantageClient.get('', {
-      params: {
-        function: 'GLOBAL_QUOTE',
-        symbol,
-        apikey: ALPHA_VANTAGE_API_KEY
+  chainError(capability, description, attempts, failures, assetClass) {
+    const saturated = attempts
+      .filter(attempt => attempt.reason === 'Rate limit queue saturated')
+      .map(attempt => Math.ceil(this.registry.get(attempt.provider).limiter.estimatedWait() / 1000));
+
+    if (failures.length > 0) {
+      const rank = failure => {
+        const index = CHAIN_ERROR_PRIORITY.indexOf(failure.code);
+        return index === -1 ? CHAIN_ERROR_PRIORITY.length : index;
+      };
+      const [error] = [...failures].sort((a, b) => rank(a) - rank(b));
+
+      if (error instanceof ProviderRateLimitedError) {
+        const waits = [...saturated, ...failures.map(failure => failure.retryAfter)]
+          .filter(wait => wait !== null && wait !== undefined);
+        error.retryAfter = waits.length > 0 ? Math.min(...waits) : null;
       }
-    });
-    
-    const quote = response.data['Global Quote'];
-    
+      return error;
+    }
+
+    if (saturated.length > 0) {
+      return new ProviderRateLimitedError(`Every provider that can fetch ${description} is rate limited`, {
+        retryAfter: Math.min(...saturated)
+      });
+    }
+    const open = attempts
+      .filter(attempt => attempt.reason === CIRCUIT_OPEN_REASON)
+      .map(attempt => Math.ceil(this.registry.get(attempt.provider).breakerFor(capability).retryAfterMs() / 1000));
+    if (open.length > 0) {
+      return new ProviderUnavailableError(`Every provider that can fetch ${description} is failing; retry once a circuit closes`, {
+        retryAfter: Math.min(...open)
+      });
+    }
+    if (attempts.some(attempt => attempt.reason === 'API key not configured')) {
+      return new ProviderUnauthorizedError(`No API key is configured for a provider that can fetch ${description}`);
+    }
+    if (attempts.some(attempt => attempt.reason === NOT_ALLOWED_REASON)) {
+      return new ForbiddenError(`This API key may not use a provider that can fetch ${description}`);
+    }
+    if (assetClass && assetClass !== 'stock') {
+      return new UnsupportedCapabilityError(`No provider supports ${capability} data for ${assetClass}`);
+    }
+    return new UnsupportedCapabilityError(`No provider supports ${capability} data`);
+  }
+
+  /**
+   * Serve a value through the response cache. The result carries a `cached`
+   * flag, plus a non-enumerable `cacheInfo` ({ status, age, maxAge }) that the
+   * controller turns into cache headers. Entries, and fetches in flight, are
+   * kept per set of providers the calling API key may use (see cacheKey).
+   * @param {string} type - Data type ('quote', 'profile', 'candles', 'options')
+   * @param {string} key - Cache key
+   * @param {boolean|Function} immutable - Whether the value can never change, or a function deciding it from the fetched value
+   * @param {Function} fetch - Produces a fresh value
+   * @returns {Promise<Object>} Cached or fresh data
+   */
+  async fetchCached(type, key, immutable, fetch) {
+    const cached = await this.cache.wrap(this.cacheKey(type, key), this.cachePolicy(type, immutable), fetch);
+    recordCache(type, cached.status);
+    return this.withCacheInfo(cached);
+  }
+
+  /**
+   * Build a response cache key, scoped to the providers the calling API key
+   * may use so a restricted key is never served another provider's data
+   * @param {string} type - Data type
+   * @param {string} key - Key within the data type
+   * @returns {string} Cache key
+   */
+  cacheKey(type, key) {
+    return `${type}:${AccessControl.providerScope()}:${key}`;
+  }
+
+  /**
+   * Get the cache policy for a data type
+   * @param {string} type - Data type
+   * @param {boolean|Function} immutable - Whether the value can never change, or a function deciding it from the fetched value
+   * @returns {Object} Cache policy
+   */
+  cachePolicy(type, immutable) {
+    const ttl = this.cacheConfig.ttls[type];
     return {
-      symbol,
-      price: parseFloat(quote['05. price']),
-      change: parseFloat(quote['09. change']),
-      percentChange: parseFloat(quote['10. change percent'].replace('%', '')),
-      high: parseFloat(quote['03. high']),
-      low: parseFloat(quote['04. low']),
-      open: parseFloat(quote['02. open']),
-      previousClose: parseFloat(quote['08. previous close']),
-      timestamp: new Date().toISOString(),
-      source: 'alphavantage'
+      ttl: typeof immutable === 'function' ? value => (immutable(value) ? null : ttl) : (immutable ? null : ttl),
+      staleTtl: this.cacheConfig.staleTtls[type]
     };
   }
 
   /**
-   * Get quote data from Polygon.io
-   * @param {string} symbol - Stock symbol
-   * @returns {Promise<Object>} Quote data
+   * Build a result from a cache lookup
+   * @param {Object} cached - { value, status, age, maxAge } from the response cache
+   * @returns {Object} Data with `cached` flag and `cacheInfo`
    */
-  async getQuotePolygon(symbol) {
-    const response = await this.polygonClient.get(`/v2/snapshot/locale/us/markets/stocks/tickers/${symbol}`);
-    
-    const quote = response.data.ticker;
-    
+  withCacheInfo({ value, status, age, maxAge }) {
+    const result = { ...value, cached: status !== 'miss' };
+    Object.defineProperty(result, 'cacheInfo', { value: { status, age, maxAge } });
+    return result;
+  }
+
+  /**
+   * Get the market status for an asset class. Stocks and indices follow the
+   * exchange calendar, crypto trades around the clock and forex from Sunday
+   * to Friday evening.
+   * @param {string} assetClass - Asset class
+   * @param {Date} now - Time (optional, defaults to now)
+   * @returns {string} 'pre-market', 'open', 'post-market' or 'closed'
+   */
+  marketStatusFor(assetClass, now = new Date()) {
+    if (assetClass === 'crypto') {
+      return 'open';
+    }
+    if (assetClass === 'forex') {
+      return isForexOpen(now) ? 'open' : 'closed';
+    }
+    return getMarketStatus(now).status;
+  }
+
+  /**
+   * Mark a quote with the market status when it is served. Outside trading
+   * sessions the price will not move until the next one opens, so the quote
+   * is flagged stale.
+   * @param {Object} quote - Quote data
+   * @param {string} marketStatus - Market status for the quote's asset class
+   * @returns {Object} Quote with `assetClass`, `marketStatus` and `stale`, keeping `cacheInfo`
+   */
+  annotateQuote(quote, marketStatus) {
+    const result = {
+      ...quote,
+      assetClass: assetClassOf(quote.symbol),
+      marketStatus,
+      stale: marketStatus === 'closed'
+    };
+    if (quote.cacheInfo) {
+      Object.defineProperty(result, 'cacheInfo', { value: quote.cacheInfo });
+    }
+    return result;
+  }
+
+  /**
+   * Get quote data for a stock, index, crypto or forex symbol
+   * @param {string} symbol - Symbol
+   * @param {string} provider - Data provider (optional)
+   * @returns {Promise<Object>} Quote data, with the market status
+   */
+  async getQuote(symbol, provider) {
+    return this.annotateQuote(await this.fetchQuote(symbol, provider), this.marketStatusFor(assetClassOf(symbol)));
+  }
+
+  /**
+   * Get a quote cross-checked across every provider in the quote chain.
+   * Providers are queried in parallel and the results are never cached, so
+   * each call spends a request at every provider; the price is the median
+   * of the quotes that agree in time (see buildConsensus).
+   * @param {string} symbol - Symbol
+   * @param {number} tolerancePct - Largest deviation from the median, in percent, that still agrees (optional)
+   * @returns {Promise<Object>} { symbol, mode, price, timestamp, tolerancePct,
+   *   maxSkewSeconds, agreement, providers, assetClass, marketStatus, stale, attempts }
+   * @throws {ProviderDataError} If no provider returned a positive price
+   */
+  async getConsensusQuote(symbol, tolerancePct) {
+    const assetClass = assetClassOf(symbol);
+    const description = `quote for ${symbol}`;
+    const { results, attempts } = await this.fetchFromAll('quote', description,
+      adapter => adapter.getQuote(symbol), assetClass);
+
+    const settings = {
+      ...this.consensusConfig,
+      tolerancePct: tolerancePct === undefined ? this.consensusConfig.tolerancePct : tolerancePct
+    };
+    const consensus = buildConsensus(results, settings);
+    if (consensus.price === null) {
+      const error = new ProviderDataError(`No provider returned a usable price for ${symbol}`, {
+        issues: consensus.providers.map(quote => `${quote.provider}: price ${quote.price}`)
+      });
+      error.attempts = attempts;
+      throw error;
+    }
+
+    const marketStatus = this.marketStatusFor(assetClass);
     return {
       symbol,
-      price: quote.lastTrade.p,
-      change: quote.todaysChange,
-      percentChange: quote.todaysChangePerc,
-      high: quote.day.h,
-      low: quote.day.l,
-      open: quote.day.o,
-      previousClose: quote.prevDay.c,
-      timestamp: new Date().toISOString(),
-      source: 'polygon'
+      mode: 'consensus',
+      price: consensus.price,
+      timestamp: consensus.timestamp,
+      tolerancePct: settings.tolerancePct,
+      maxSkewSeconds: settings.maxSkewSeconds,
+      agreement: consensus.agreement,
+      providers: consensus.providers,
+      assetClass,
+      marketStatus,
+      stale: marketStatus === 'closed',
+      attempts
     };
   }
 
   /**
-   * Get company profile
-   * @param {string} symbol - Stock symbol
+   * Fetch a quote through the cache and fallback chain
+   * @param {string} symbol - Symbol
    * @param {string} provider - Data provider (optional)
-   * @returns {Promise<Object>} Company profile data
+   * @returns {Promise<Object>} Quote data
+   */
+  async fetchQuote(symbol, provider) {
+    return this.fetchCached('quote', `${symbol}:${provider || 'auto'}`, false,
+      () => this.fetchWithFallback('quote', provider, `quote for ${symbol}`,
+        adapter => adapter.getQuote(symbol), assetClassOf(symbol)));
+  }
+
+  /**
+   * Get quote data for several symbols. Fresh cached quotes are used first,
+   * then the leading provider's bulk endpoint if it has one; any symbols
+   * still missing are fetched one at a time with bounded concurrency.
+   * @param {Array<string>} symbols - Stock symbols
+   * @param {string} provider - Data provider (optional)
+   * @returns {Promise<Array<Object>>} Per-symbol results: { symbol, status: 'ok', quote } or { symbol, status: 'error', code, error, attempts }
    */
-  async getCompanyProfile(symbol, provider = this.defaultProvider) {
-    try {
-      switch (provider) {
-        case 'finnhub':
-          return await this.getCompanyProfileFinnhub(symbol);
-        case 'alphavantage':
-          return await this.getCompanyProfileAlphaVantage(symbol);
-        case 'polygon':
-          return await this.getCompanyProfilePolygon(symbol);
-        default:
-          return await this.getCompanyProfileFinnhub(symbol);
+  async getQuotes(symbols, provider) {
+    const quotes = new Map();
+    const quoteKey = symbol => this.cacheKey('quote', `${symbol}:${provider || 'auto'}`);
+
+    for (const symbol of symbols) {
+      const cached = await this.cache.peek(quoteKey(symbol));
+      if (cached) {
+        recordCache('quote', cached.status);
+        quotes.set(symbol, this.withCacheInfo(cached));
       }
-    } catch (error) {
-      console.error(`Error fetching company profile for ${symbol}:`, error);
-      // Try fallback provider if primary fails
-      if (provider === this.defaultProvider) {
-        const fallbackProvider = provider === 'finnhub' ? 'alphavantage' : 'finnhub';
-        console.log(`Trying fallback provider: ${fallbackProvider}`);
-        return this.getCompanyProfile(symbol, fallbackProvider);
+    }
+
+    const [leadId] = this.getFallbackChain('quote', provider);
+    const lead = this.registry.get(leadId);
+    // Bulk snapshots cover stocks only
+    const uncached = symbols.filter(symbol => !quotes.has(symbol) && assetClassOf(symbol) === 'stock');
+
+    if (uncached.length > 1 && lead && lead.supportsBulkQuotes() && !this.skipReason(lead, 'quote', 'stock')) {
+      const started = Date.now();
+      try {
+        const requested = new Set(uncached);
+        const snapshots = await lead.breakerFor('quote').call(() => lead.getQuotes(uncached));
+        recordUpstream(lead.id, 'quote', (Date.now() - started) / 1000);
+        for (const quote of snapshots) {
+          if (!requested.has(quote.symbol)) {
+            continue;
+          }
+          // Invalid snapshots are left for the single-symbol fallback below
+          let normalized;
+          try {
+            normalized = normalizeResult('quote', quote, lead.id);
+          } catch (error) {
+            console.error(`Invalid bulk quote for ${quote.symbol} from ${lead.id}:`, error.message);
+            continue;
+          }
+          const value = { ...normalized, attempts: [{ provider: lead.id, status: 'success' }] };
+          await this.cache.put(quoteKey(quote.symbol), this.cachePolicy('quote', false), value);
+          recordCache('quote', 'miss');
+          quotes.set(quote.symbol, { ...value, cached: false });
+        }
+      } catch (error) {
+        console.error(`Error fetching bulk quotes from ${lead.id}:`, error);
+        recordUpstream(lead.id, 'quote', (Date.now() - started) / 1000, fromProviderError(error, lead.id));
       }
-      throw error;
     }
+
+    const remaining = symbols.filter(symbol => !quotes.has(symbol));
+    const settled = await mapWithConcurrency(remaining, this.batchConcurrency,
+      symbol => this.fetchQuote(symbol, provider));
+
+    remaining.forEach((symbol, index) => {
+      const result = settled[index];
+      quotes.set(symbol, result.status === 'fulfilled' ? result.value : result.reason);
+    });
+
+    const now = new Date();
+    const statuses = new Map();
+    return symbols.map(symbol => {
+      const result = quotes.get(symbol);
+      if (result instanceof Error) {
+        return { symbol, status: 'error', code: result.code || 'INTERNAL_ERROR', error: result.message, attempts: result.attempts };
+      }
+      const assetClass = assetClassOf(symbol);
+      if (!statuses.has(assetClass)) {
+        statuses.set(assetClass, this.marketStatusFor(assetClass, now));
+      }
+      return { symbol, status: 'ok', quote: this.annotateQuote(result, statuses.get(assetClass)) };
+    });
   }
 
   /**
-   * Get company profile from Finnhub
+   * Get company profile
    * @param {string} symbol - Stock symbol
+   * @param {string} provider - Data provider (optional)
    * @returns {Promise<Object>} Company profile data
    */
-  async getCompanyProfileFinnhub(symbol) {
-    const response = await this.finnhubClient.get(`/stock/profile2`, {
-      params: { symbol }
+  async getCompanyProfile(symbol, provider) {
+    return this.fetchCached('profile', `${symbol}:${provider || 'auto'}`, false,
+      () => this.fetchWithFallback('profile', provider, `company profile for ${symbol}`,
+        adapter => adapter.getCompanyProfile(symbol), assetClassOf(symbol)));
+  }
+
+  /**
+   * Search symbols by ticker or company name. Without a provider every
+   * provider in the search chain is asked and their results merged: a ticker
+   * listed by several providers appears once, with fields one provider lacks
+   * filled in from another. Results are ranked exact ticker matches first,
+   * then tickers and then names starting with the query, and within a rank
+   * by how many providers list the ticker.
+   * @param {string} query - Company name or ticker
+   * @param {string} provider - Data provider (optional); searches it alone, falling back along the chain
+   * @returns {Promise<Object>} { query, results, source, attempts }; each result
+   *   is { symbol, name, exchange, type, currency, sources }
+   */
+  async searchSymbols(query, provider) {
+    const description = `symbols matching "${query}"`;
+    return this.fetchCached('search', `${query.toLowerCase()}:${provider || 'all'}`, false, async () => {
+      let results;
+      let attempts;
+      if (provider) {
+        const result = await this.fetchWithFallback('search', provider, description,
+          adapter => adapter.searchSymbols(query));
+        results = [result];
+        attempts = result.attempts;
+      } else {
+        ({ results, attempts } = await this.fetchFromAll('search', description,
+          adapter => adapter.searchSymbols(query)));
+      }
+
+      return {
+        query,
+        results: mergeSearchResults(query, results),
+        source: results.map(result => result.source).join(','),
+        attempts
+      };
     });
-    
-    return {
-      symbol,
-      name: response.data.name,
-      exchange: response.data.exchange,
-      industry: response.data.finnhubIndustry,
-      marketCap: response.data.marketCapitalization,
-      logo: response.data.logo,
-      weburl: response.data.weburl,
-      source: 'finnhub'
-    };
   }
 
   /**
-   * Get company profile from Alpha Vantage
+   * Get a symbol's splits and dividends, oldest first
    * @param {string} symbol - Stock symbol
-   * @returns {Promise<Object>} Company profile data
+   * @param {string} provider - Data provider (optional)
+   * @returns {Promise<Object>} { symbol, splits, dividends, source }
    */
-  async getCompanyProfileAlphaVantage(symbol) {
-    const response = await this.alphaVantageClient.get('', {
-      params: {
-        function: 'OVERVIEW',
-        symbol,
-        apikey: ALPHA_VANTAGE_API_KEY
-      }
+  async getCorporateActions(symbol, provider) {
+    return this.fetchCached('actions', `${symbol}:${provider || 'auto'}`, false, async () => {
+      const actions = await this.fetchWithFallback('actions', provider, `corporate actions for ${symbol}`,
+        adapter => adapter.getCorporateActions(symbol), assetClassOf(symbol));
+
+      return {
+        ...actions,
+        splits: actions.splits
+          .filter(split => split.fromFactor > 0 && split.toFactor > 0)
+          .sort((a, b) => (a.date < b.date ? -1 : 1)),
+        dividends: [...actions.dividends].sort((a, b) => (a.exDate < b.exDate ? -1 : 1))
+      };
     });
-    
-    return {
-      symbol,
-      name: response.data.Name,
-      exchange: response.data.Exchange,
-      industry: response.data.Industry,
-      marketCap: parseFloat(response.data.MarketCapitalization),
-      weburl: null, // Not provided by Alpha Vantage
-      source: 'alphavantage'
-    };
   }
 
   /**
-   * Get company profile from Polygon.io
+   * Get the splits and dividends that have taken effect: announced actions
+   * with a future date don't change any prices yet
    * @param {string} symbol - Stock symbol
-   * @returns {Promise<Object>} Company profile data
+   * @returns {Promise<Object>} { splits, dividends }
    */
-  async getCompanyProfilePolygon(symbol) {
-    const response = await this.polygonClient.get(`/v3/reference/tickers/${symbol}`);
-    
-    const data = response.data.results;
-    
+  async getEffectiveCorporateActions(symbol) {
+    const today = new Date().toISOString().slice(0, 10);
+    const { splits, dividends } = await this.getCorporateActions(symbol);
+
     return {
-      symbol,
-      name: data.name,
-      exchange: data.primary_exchange,
-      industry: data.sic_description,
-      marketCap: data.market_cap,
-      logo: null, // Not directly provided by Polygon
-      weburl: data.homepage_url,
-      source: 'polygon'
+      splits: splits.filter(split => split.date <= today),
+      dividends: dividends.filter(dividend => dividend.exDate <= today)
     };
   }
 
+  /**
+   * Get key ratios and fundamentals
+   * @param {string} symbol - Stock symbol
+   * @param {string} provider - Data provider (optional)
+   * @returns {Promise<Object>} Fundamentals
+   */
+  async getFundamentals(symbol, provider) {
+    return this.fetchCached('fundamentals', `${symbol}:${provider || 'auto'}`, false,
+      () => this.fetchWithFallback('fundamentals', provider, `fundamentals for ${symbol}`,
+        adapter => adapter.getFundamentals(symbol), assetClassOf(symbol)));
+  }
+
+  /**
+   * Get income statements, balance sheets and cash flow statements, newest
+   * first. Free cash flow is derived from operating cash flow and capital
+   * expenditures where the provider reports both.
+   * @param {string} symbol - Stock symbol
+   * @param {string} period - 'annual' or 'quarterly'
+   * @param {number} limit - Maximum number of periods
+   * @param {string} provider - Data provider (optional)
+   * @returns {Promise<Object>} { symbol, period, statements, source }
+   */
+  async getFinancials(symbol, period = 'annual', limit = 4, provider) {
+    return this.fetchCached('financials', `${symbol}:${provider || 'auto'}:${period}:${limit}`, false, async () => {
+      const financials = await this.fetchWithFallback('financials', provider, `${period} financial statements for ${symbol}`,
+        adapter => adapter.getFinancials(symbol, period, limit), assetClassOf(symbol));
+
+      return {
+        ...financials,
+        statements: [...financials.statements]
+          .sort((a, b) => (a.periodEnd < b.periodEnd ? 1 : -1))
+          .slice(0, limit)
+          .map(statement => {
+            const { operatingCashFlow, capitalExpenditures, freeCashFlow } = statement.cashFlow || {};
+            const derivable = freeCashFlow === null && operatingCashFlow !== null && capitalExpenditures !== null;
+            return derivable
+              ? { ...statement, cashFlow: { ...statement.cashFlow, freeCashFlow: operatingCashFlow - capitalExpenditures } }
+              : statement;
+          })
+      };
+    });
+  }
+
   /**
    * Get historical price data
    * @param {string} symbol - Stock symbol
-   * @param {string} interval - Time interval ('1d', '1h', etc.)
+   * @param {string} interval - Time interval: native ('1d', '1h', etc.) or custom ('4h', '3d', '1q', etc.)
    * @param {string} from - Start date (YYYY-MM-DD)
    * @param {string} to - End date (YYYY-MM-DD)
    * @param {string} provider - Data provider (optional)
+   * @param {boolean} adjusted - Adjust for splits and dividends (optional, default true)
    * @returns {Promise<Object>} Historical price data
    */
-  async getHistoricalData(symbol, interval = '1d', from, to, provider = this.defaultProvider) {
-    try {
-      // Convert dates to timestamps if they're not already
-      const fromTimestamp = new Date(from).getTime() / 1000;
-      const toTimestamp = new Date(to).getTime() / 1000;
-      
-      switch (provider) {
-        case 'finnhub':
-          return await this.getHistoricalDataFinnhub(symbol, interval, fromTimestamp, toTimestamp);
-        case 'alphavantage':
-          return await this.getHistoricalDataAlphaVantage(symbol, interval, from, to);
-        case 'polygon':
-          return await this.getHistoricalDataPolygon(symbol, interval, from, to);
-        default:
-          return await this.getHistoricalDataFinnhub(symbol, interval, fromTimestamp, toTimestamp);
-      }
-    } catch (error) {
-      console.error(`Error fetching historical data for ${symbol}:`, error);
-      // Try fallback provider if primary fails
-      if (provider === this.defaultProvider) {
-        const fallbackProvider = provider === 'finnhub' ? 'alphavantage' : 'finnhub';
-        console.log(`Trying fallback provider: ${fallbackProvider}`);
-        return this.getHistoricalData(symbol, interval, from, to, fallbackProvider);
-      }
-      throw error;
-    }
+  async getHistoricalData(symbol, interval = '1d', from, to, provider, adjusted = true) {
+    // Only stocks have splits and dividends to adjust for
+    const adjust = adjusted && assetClassOf(symbol) === 'stock';
+
+    // Bars in a range that ended before today in New York are closed and
+    // never change, though their adjusted prices do when a later split or
+    // dividend occurs. An answer that falls short of the range may only be
+    // missing bars for now, so it is cached for the usual TTL.
+    const closed = to <= closedThrough() && !adjust;
+
+    return this.fetchCached('candles', `${symbol}:${provider || 'auto'}:${interval}:${from}:${to}:${adjust ? 'adjusted' : 'raw'}`,
+      closed ? result => result.complete === true : false,
+      () => this.fetchBars(symbol, interval, from, to, provider, adjust));
   }
 
   /**
-   * Get historical data from Finnhub
-   * @param {string} symbol - Stock symbol
+   * Fetch historical price data, bypassing the response cache. Custom
+   * intervals are resampled from a native one; intervals kept in the bar
+   * store are served from disk where the range is covered, fetching only the
+   * gaps. Bars are fetched raw and adjusted here, so adjusted prices are the
+   * same whichever provider served them. For stocks and indices at daily and
+   * intraday intervals, closed trading days with no bars are listed in `gaps`.
+   * The result's non-enumerable `complete` flag tells whether the bars cover
+   * the whole range; weekly and monthly bars are never counted complete.
+   * @param {string} symbol - Symbol
    * @param {string} interval - Time interval
-   * @param {number} from - Start timestamp
-   * @param {number} to - End timestamp
+   * @param {string} from - Start date (YYYY-MM-DD)
+   * @param {string} to - End date (YYYY-MM-DD)
+   * @param {string} provider - Data provider (optional)
+   * @param {boolean} adjusted - Adjust for splits and dividends
+   * @returns {Promise<Object>} Historical price data, with an `adjusted` flag
+   */
+  async fetchBars(symbol, interval, from, to, provider, adjusted) {
+    if (!isNativeInterval(interval)) {
+      return this.fetchResampledBars(symbol, interval, from, to, provider, adjusted);
+    }
+
+    let raw = this.barStore && STORE_INTERVALS.includes(interval)
+      ? await this.getStoredHistoricalData(symbol, interval, from, to, provider)
+      : await this.fetchRawBars(symbol, interval, from, to, provider);
+
+    if (STORE_INTERVALS.includes(interval) && isExchangeTraded(symbol)) {
+      // Today's bars may still be to come, so only closed days can be gaps
+      const lastClosed = closedThrough();
+      raw = { ...raw, gaps: findGaps(raw.data, interval, from, to < lastClosed ? to : lastClosed) };
+    }
+
+    const covered = STORE_INTERVALS.includes(interval) && coveredRange([from, to], raw.data, interval, isExchangeTraded(symbol));
+    const complete = Boolean(covered) && covered[0] <= from && covered[1] >= to && (!raw.gaps || raw.gaps.length === 0);
+
+    const result = adjusted ? await this.adjustHistoricalData(raw, provider) : { ...raw, adjusted: false };
+    return markComplete(result, complete);
+  }
+
+  /**
+   * Fetch raw (unadjusted) bars from the providers. Split-adjusted bars from
+   * providers that can't serve raw ones are converted back.
+   * @param {string} symbol - Symbol
+   * @param {string} interval - Native interval
+   * @param {string} from - Start date (YYYY-MM-DD)
+   * @param {string} to - End date (YYYY-MM-DD)
+   * @param {string} provider - Data provider (optional)
    * @returns {Promise<Object>} Historical price data
    */
-  async getHistoricalDataFinnhub(symbol, interval, from, to) {
-    // Map interval to Finnhub resolution
-    const resolutionMap = {
-      '1m': '1',
-      '5m': '5',
-      '15m': '15',
-      '30m': '30',
-      '1h': '60',
-      '1d': 'D',
-      '1w': 'W',
-      '1M': 'M'
-    };
-    
-    const resolution = resolutionMap[interval] || 'D';
-    
-    const response = await this.finnhubClient.get(`/stock/candle`, {
-      params: {
-        symbol,
-        resolution,
-        from,
-        to
-      }
-    });
-    
-    // Format the response
-    const data = [];
-    for (let i = 0; i < response.data.t.length; i++) {
-      data.push({
-        timestamp: new Date(response.data.t[i] * 1000).toISOString(),
-        open: response.data.o[i],
-        high: response.data.h[i],
-        low: response.data.l[i],
-        close: response.data.c[i],
-        volume: response.data.v[i]
-      });
+  async fetchRawBars(symbol, interval, from, to, provider) {
+    // Set by each provider tried, so it ends up describing the one that served the bars
+    let splitAdjusted = false;
+    const result = await this.fetchWithFallback('candles', provider, `historical data for ${symbol}`, async adapter => {
+      const bars = await adapter.getHistoricalData(symbol, interval, from, to);
+      splitAdjusted = bars.adjustment === 'splits';
+      return bars;
+    }, assetClassOf(symbol));
+
+    if (!splitAdjusted) {
+      return result;
     }
-    
+
+    // Fetched outside the candles call, so a failing actions provider only
+    // trips the actions circuit
+    const { splits } = await this.getEffectiveCorporateActions(symbol);
+    return { ...result, data: unadjustSplits(result.data, interval, splits) };
+  }
+
+  /**
+   * Adjust raw historical data for splits and dividends
+   * @param {Object} result - Raw historical data
+   * @param {string} provider - Data provider for the daily closes dividend adjustment needs (optional)
+   * @returns {Promise<Object>} Adjusted historical data
+   */
+  async adjustHistoricalData(result, provider) {
+    if (result.data.length === 0) {
+      return { ...result, adjusted: true };
+    }
+
+    const { splits, dividends } = await this.getEffectiveCorporateActions(result.symbol);
+
+    // Only dividends after the first bar change any prices
+    const first = result.data.reduce((min, bar) => (bar.timestamp < min ? bar.timestamp : min), result.data[0].timestamp);
+    const relevant = dividends.filter(dividend => dividend.exDate > dayOf(first));
+    const priorCloses = await this.getPriorCloses(result.symbol, relevant.map(dividend => dividend.exDate), provider);
+
     return {
-      symbol,
-      interval,
-      data,
-      source: 'finnhub'
+      ...result,
+      data: adjustBars(result.data, result.interval, { splits, dividends: relevant }, priorCloses),
+      adjusted: true
     };
   }
 
   /**
-   * Get historical data from Alpha Vantage
+   * Get the raw close of the last trading day before each of a set of
+   * dates, from daily bars
    * @param {string} symbol - Stock symbol
-   * @param {string} interval - Time interval
-   * @param {string} from - Start date
-   * @param {string} to - End date
-   * @returns {Promise<Object>} Historical price data
+   * @param {Array<string>} dates - Dates (YYYY-MM-DD)
+   * @param {string} provider - Data provider (optional)
+   * @returns {Promise<Map<string, number>>} Closes keyed by date; dates without a close in the prior week are left out
    */
-  async getHistoricalDataAlphaVantage(symbol, interval, from, to) {
-    // Map interval to Alpha Vantage function and interval
-    let functionName = 'TIME_SERIES_DAILY';
-    let outputSize = 'full';
-    let dataKey = 'Time Series (Daily)';
-    
-    if (interval === '1m' || interval === '5m' || interval === '15m' || interval === '30m') {
-      functionName = 'TIME_SERIES_INTRADAY';
-      dataKey = `Time Series (${interval.replace('m', ' min')})`;
-    } else if (interval === '1h') {
-      functionName = 'TIME_SERIES_INTRADAY';
-      dataKey = 'Time Series (60 min)';
-    } else if (interval === '1w') {
-      functionName = 'TIME_SERIES_WEEKLY';
-      dataKey = 'Weekly Time Series';
-    } else if (interval === '1M') {
-      functionName = 'TIME_SERIES_MONTHLY';
-      dataKey = 'Monthly Time Series';
+  async getPriorCloses(symbol, dates, provider) {
+    const closes = new Map();
+    if (dates.length === 0) {
+      return closes;
     }
-    
-    const response = await this.alphaVantageClient.get('', {
-      params: {
-        function: functionName,
-        symbol,
-        interval: interval.replace('m', 'min').replace('1h', '60min'),
-        outputsize: outputSize,
-        apikey: ALPHA_VANTAGE_API_KEY
-      }
-    });
-    
-    const timeSeriesData = response.data[dataKey];
-    const fromDate = new Date(from);
-    const toDate = new Date(to);
-    
-    // Format the response
-    const data = [];
-    for (const date in timeSeriesData) {
-      const currentDate = new Date(date);
-      if (currentDate >= fromDate && currentDate <= toDate) {
-        data.push({
-          timestamp: currentDate.toISOString(),
-          open: parseFloat(timeSeriesData[date]['1. open']),
-          high: parseFloat(timeSeriesData[date]['2. high']),
-          low: parseFloat(timeSeriesData[date]['3. low']),
-          close: parseFloat(timeSeriesData[date]['4. close']),
-          volume: parseInt(timeSeriesData[date]['5. volume'])
-        });
+
+    const sorted = [...dates].sort();
+    const daily = await this.getHistoricalData(symbol, '1d', addDays(sorted[0], -7), addDays(sorted[sorted.length - 1], -1), provider, false);
+
+    for (const date of sorted) {
+      const earliest = addDays(date, -7);
+      const prior = daily.data.filter(bar => dayOf(bar.timestamp) < date && dayOf(bar.timestamp) >= earliest);
+      if (prior.length > 0) {
+        closes.set(date, prior[prior.length - 1].close);
       }
     }
-    
-    // Sort by date ascending
-    data.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    
-    return {
-      symbol,
+    return closes;
+  }
+
+  /**
+   * Fetch bars for a custom interval by resampling the nearest finer native
+   * interval, so the result doesn't depend on which provider served it
+   * @param {string} symbol - Stock symbol
+   * @param {string} interval - Custom interval
+   * @param {string} from - Start date (YYYY-MM-DD)
+   * @param {string} to - End date (YYYY-MM-DD)
+   * @param {string} provider - Data provider (optional)
+   * @param {boolean} adjusted - Adjust for splits and dividends
+   * @returns {Promise<Object>} Historical price data, with `resampledFrom` naming the native interval
+   */
+  async fetchResampledBars(symbol, interval, from, to, provider, adjusted) {
+    const session = sessionFor(assetClassOf(symbol));
+    const base = baseInterval(interval, session);
+    if (!base) {
+      throw new InvalidParameterError(`Invalid interval: ${interval}`);
+    }
+
+    // Adjust before resampling, since a bucket may span a split or ex-date
+    const nativeBars = await this.fetchBars(symbol, base, from, to, provider, adjusted);
+    return markComplete({
+      ...nativeBars,
       interval,
-      data,
-      source: 'alphavantage'
-    };
+      data: resampleBars(nativeBars.data, interval, session),
+      resampledFrom: base
+    }, nativeBars.complete);
   }
 
   /**
-   * Get historical data from Polygon.io
+   * Get historical price data through the bar store. Stored days are read
+   * from disk; days missing from the store are fetched from the providers and
+   * their closed bars saved. Days from today on are still open, so they are
+   * always fetched and never stored. For stocks and indices, closed ranges
+   * without a trading day are recorded as covered without asking a provider,
+   * and a fetched range only as far as bars came back (see coveredRange). A requested provider is
+   * only used to fill gaps: stored bars are served whichever provider
+   * supplied them.
    * @param {string} symbol - Stock symbol
    * @param {string} interval - Time interval
-   * @param {string} from - Start date
-   * @param {string} to - End date
-   * @returns {Promise<Object>} Historical price data
+   * @param {string} from - Start date (YYYY-MM-DD)
+   * @param {string} to - End date (YYYY-MM-DD)
+   * @param {string} provider - Data provider (optional)
+   * @returns {Promise<Object>} Historical price data, with `store` describing what was fetched
    */
-  async getHistoricalDataPolygon(symbol, interval, from, to) {
-    // Map interval to Polygon.io multiplier and timespan
-    let multiplier = 1;
-    let timespan = 'day';
-    
-    if (interval === '1m') {
-      multiplier = 1;
-      timespan = 'minute';
-    } else if (interval === '5m') {
-      multiplier = 5;
-      timespan = 'minute';
-    } else if (interval === '15m') {
-      multiplier = 15;
-      timespan = 'minute';
-    } else if (interval === '30m') {
-      multiplier = 30;
-      timespan = 'minute';
-    } else if (interval === '1h') {
-      multiplier = 1;
-      timespan = 'hour';
-    } else if (interval === '1d') {
-      multiplier = 1;
-      timespan = 'day';
-    } else if (interval === '1w') {
-      multiplier = 1;
-      timespan = 'week';
-    } else if (interval === '1M') {
-      multiplier = 1;
-      timespan = 'month';
+  async getStoredHistoricalData(symbol, interval, from, to, provider) {
+    const lastClosed = closedThrough();
+    const storedTo = to < lastClosed ? to : lastClosed;
+
+    const stored = from <= storedTo
+      ? await this.barStore.read(symbol, interval, from, storedTo)
+      : { coverage: [], bars: [] };
+
+    const missing = from <= storedTo ? missingRanges([from, storedTo], stored.coverage) : [];
+
+    // Exchanges have no bars to fetch on weekends and holidays
+    const idle = isExchangeTraded(symbol)
+      ? missing.filter(([rangeFrom, rangeTo]) => tradingDaysBetween(rangeFrom, rangeTo).length === 0)
+      : [];
+    if (idle.length > 0) {
+      await this.barStore.write(symbol, interval, [], idle);
     }
-    
-    const response = await this.polygonClient.get(`/v2/aggs/ticker/${symbol}/range/${multiplier}/${timespan}/${from}/${to}`);
-    
-    // Format the response
-    const data = response.data.results.map(item => ({
-      timestamp: new Date(item.t).toISOString(),
-      open: item.o,
-      high: item.h,
-      low: item.l,
-      close: item.c,
-      volume: item.v
-    }));
-    
+
+    const gaps = missing.filter(range => !idle.includes(range));
+    if (to > lastClosed) {
+      const openFrom = addDays(lastClosed, 1);
+      gaps.push([from > openFrom ? from : openFrom, to]);
+    }
+    const fetchRanges = mergeRanges(gaps);
+
+    const bars = new Map(stored.bars.map(bar => [bar.timestamp, bar]));
+    const attempts = [];
+
+    for (const [rangeFrom, rangeTo] of fetchRanges) {
+      // Providers differ on whether `to` is inclusive, so ask for a day more
+      const result = await this.fetchRawBars(symbol, interval, rangeFrom, addDays(rangeTo, 1), provider);
+      attempts.push(...result.attempts);
+
+      const fetched = result.data
+        .filter(bar => barDay(bar.timestamp, interval) >= rangeFrom && barDay(bar.timestamp, interval) <= rangeTo)
+        .map(bar => ({ ...bar, source: result.source }));
+      fetched.forEach(bar => bars.set(bar.timestamp, bar));
+
+      if (rangeFrom <= lastClosed) {
+        const closed = fetched.filter(bar => barDay(bar.timestamp, interval) <= lastClosed);
+        const covered = coveredRange([rangeFrom, rangeTo < lastClosed ? rangeTo : lastClosed], closed, interval, isExchangeTraded(symbol));
+        if (covered) {
+          await this.barStore.write(symbol, interval, closed, [covered]);
+        }
+      }
+    }
+
+    const data = [...bars.values()]
+      .sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1))
+      .map(({ source, ...bar }) => bar);
+    const sources = [...new Set([...bars.values()].map(bar => bar.source))];
+
+    let status = 'miss';
+    if (fetchRanges.length === 0) {
+      status = 'hit';
+    } else if (stored.coverage.length > 0) {
+      status = 'partial';
+    }
+
     return {
       symbol,
       interval,
       data,
-      source: 'polygon'
+      source: sources.length > 0 ? sources.join(',') : 'store',
+      attempts,
+      store: {
+        status,
+        fetched: fetchRanges.map(([rangeFrom, rangeTo]) => ({ from: rangeFrom, to: rangeTo }))
+      }
     };
   }
 
   /**
-   * Get options chain data
-   * @param {string} symbol - Stock symbol
-   * @param {string} provider - Data provider (optional)
-   * @returns {Promise<Object>} Options chain data
+   * Preload the bar store for a universe of symbols. Ranges longer than the
+   * interval allows per request are fetched in windows.
+   * @param {Array<string>} symbols - Stock symbols
+   * @param {string} interval - Time interval (one kept in the bar store)
+   * @param {string} from - Start date (YYYY-MM-DD)
+   * @param {string} to - End date (YYYY-MM-DD)
+   * @param {string} provider - Data provider to fill gaps from (optional)
+   * @returns {Promise<Array<Object>>} Per-symbol results: { symbol, status: 'ok', bars, fetched } or { symbol, status: 'error', code, error }
    */
-  async getOptionsChain(symbol, provider = this.defaultProvider) {
-    try {
-      switch (provider) {
-        case 'finnhub':
-          return await this.getOptionsChainFinnhub(symbol);
-        case 'polygon':
-          return await this.getOptionsChainPolygon(symbol);
-        default:
-          return await this.getOptionsChainFinnhub(symbol);
+  async backfill(symbols, interval, from, to, provider) {
+    if (!this.barStore) {
+      throw new InvalidParameterError('The bar store is disabled (BAR_STORE=off)');
+    }
+    if (!STORE_INTERVALS.includes(interval)) {
+      throw new InvalidParameterError(`interval must be one of: ${STORE_INTERVALS.join(', ')}`);
+    }
+
+    const windows = MAX_RANGE_DAYS[interval] ? splitRange([from, to], MAX_RANGE_DAYS[interval]) : [[from, to]];
+    const settled = await mapWithConcurrency(symbols, this.batchConcurrency, async symbol => {
+      let bars = 0;
+      const fetched = [];
+      for (const [windowFrom, windowTo] of windows) {
+        const result = await this.getStoredHistoricalData(symbol, interval, windowFrom, windowTo, provider);
+        bars += result.data.length;
+        fetched.push(...result.store.fetched);
       }
-    } catch (error) {
-      console.error(`Error fetching options chain for ${symbol}:`, error);
-      // Try fallback provider if primary fails
-      if (provider === this.defaultProvider && provider !== 'polygon') {
-        console.log(`Trying fallback provider: polygon`);
-        return this.getOptionsChain(symbol, 'polygon');
+      return { bars, fetched };
+    });
+
+    return symbols.map((symbol, index) => {
+      const result = settled[index];
+      if (result.status === 'rejected') {
+        return { symbol, status: 'error', code: result.reason.code || 'INTERNAL_ERROR', error: result.reason.message };
       }
-      throw error;
-    }
+      return { symbol, status: 'ok', ...result.value };
+    });
   }
 
   /**
-   * Get options chain from Finnhub
+   * Get options chain data
    * @param {string} symbol - Stock symbol
+   * @param {string} provider - Data provider (optional)
+   * @param {Object} filters - Filters providers may apply upstream to fetch less (optional):
+   *   { expiration, type, minStrike, maxStrike }, plus the `cursor` of a truncated chain to continue
+   *   from. Use filterOptionsChain to apply them.
    * @returns {Promise<Object>} Options chain data
    */
-  async getOptionsChainFinnhub(symbol) {
-    const response = await this.finnhubClient.get(`/stock/option-chain`, {
-      params: { symbol }
-    });
-    
+  async getOptionsChain(symbol, provider, filters = {}) {
+    const { expiration, type, minStrike, maxStrike, cursor } = filters;
+    const upstreamFilters = { expiration, type, minStrike, maxStrike, cursor };
+    const filterKey = [expiration, type, minStrike, maxStrike, cursor].map(value => (value === undefined ? '' : value)).join(':');
+
+    return this.fetchCached('options', `${symbol}:${provider || 'auto'}:${filterKey}`, false,
+      () => this.fetchWithFallback('options', provider, `options chain for ${symbol}`,
+        adapter => adapter.getOptionsChain(symbol, upstreamFilters), assetClassOf(symbol)));
+  }
+
+  /**
+   * Filter an options chain. Moneyness is judged per expiration: the strike
+   * closest to the underlying price is at the money, and `strikesAroundATM`
+   * keeps that many strikes either side of it.
+   * @param {Object} optionsChain - Options chain data
+   * @param {Object} filters - Filters (all optional)
+   * @param {string} filters.expiration - Expiration date (YYYY-MM-DD)
+   * @param {string} filters.type - 'call' or 'put'
+   * @param {number} filters.minStrike - Minimum strike
+   * @param {number} filters.maxStrike - Maximum strike
+   * @param {string} filters.moneyness - 'itm', 'atm' or 'otm'
+   * @param {number} filters.strikesAroundATM - Strikes to keep either side of the money
+   * @param {number|null} underlyingPrice - Underlying price, required for moneyness filters
+   * @returns {Object} Filtered options chain
+   */
+  filterOptionsChain(optionsChain, filters, underlyingPrice) {
+    const { expiration, type, minStrike, maxStrike, moneyness, strikesAroundATM } = filters;
+
+    let options = optionsChain.options.filter(option => (
+      (!expiration || option.expiration === expiration) &&
+      (!type || option.type === type) &&
+      (minStrike === undefined || option.strike >= minStrike) &&
+      (maxStrike === undefined || option.strike <= maxStrike)
+    ));
+
+    if (moneyness || strikesAroundATM !== undefined) {
+      if (underlyingPrice === null || underlyingPrice === undefined) {
+        throw new UpstreamError('Underlying price is unavailable, so moneyness filters cannot be applied');
+      }
+
+      // Sorted strikes and the at-the-money strike for each expiration
+      const strikesByExpiration = new Map();
+      options.forEach(option => {
+        if (!strikesByExpiration.has(option.expiration)) {
+          strikesByExpiration.set(option.expiration, new Set());
+        }
+        strikesByExpiration.get(option.expiration).add(option.strike);
+      });
+
+      const ladders = new Map();
+      strikesByExpiration.forEach((strikeSet, date) => {
+        const strikes = [...strikeSet].sort((a, b) => a - b);
+        let atmIndex = 0;
+        strikes.forEach((strike, index) => {
+          if (Math.abs(strike - underlyingPrice) < Math.abs(strikes[atmIndex] - underlyingPrice)) {
+            atmIndex = index;
+          }
+        });
+        ladders.set(date, { strikes, atmIndex });
+      });
+
+      options = options.filter(option => {
+        const { strikes, atmIndex } = ladders.get(option.expiration);
+        const atmStrike = strikes[atmIndex];
+
+        if (strikesAroundATM !== undefined) {
+          const index = strikes.indexOf(option.strike);
+          if (Math.abs(index - atmIndex) > strikesAroundATM) {
+            return false;
+          }
+        }
+
+        if (!moneyness) {
+          return true;
+        }
+        if (option.strike === atmStrike) {
+          return moneyness === 'atm';
+        }
+        const inTheMoney = option.type === 'call' ? option.strike < underlyingPrice : option.strike > underlyingPrice;
+        return moneyness === (inTheMoney ? 'itm' : 'otm');
+      });
+    }
+
     return {
-      symbol,
-      expirationDates: response.data.data.map(item => item.expirationDate),
-      options: response.data.data.flatMap(expiry => {
-        return [
-          ...expiry.options.CALL.map(call => ({
-            type: 'call',
-            symbol: call.contractName,
-            strike: call.strike,
-            expiration: expiry.expirationDate,
-            lastPrice: call.lastPrice,
-            change: call.change,
-            volume: call.volume,
-            openInterest: call.openInterest,
-            impliedVolatility: call.impliedVolatility
-          })),
-          ...expiry.options.PUT.map(put => ({
-            type: 'put',
-            symbol: put.contractName,
-            strike: put.strike,
-            expiration: expiry.expirationDate,
-            lastPrice: put.lastPrice,
-            change: put.change,
-            volume: put.volume,
-            openInterest: put.openInterest,
-            impliedVolatility: put.impliedVolatility
-          }))
-        ];
-      }),
-      source: 'finnhub'
+      ...optionsChain,
+      expirationDates: optionsChain.expirationDates.filter(date => options.some(option => option.expiration === date)),
+      options
     };
   }
 
   /**
-   * Get options chain from Polygon.io
-   * @param {string} symbol - Stock symbol
-   * @returns {Promise<Object>} Options chain data
+   * Add implied volatility, a theoretical price and Greeks to every contract
+   * in an options chain
+   * @param {Object} optionsChain - Options chain data
+   * @param {number|null} underlyingPrice - Underlying price
+   * @param {Object} overrides - { model, riskFreeRate, dividendYield } (optional, defaults from the environment)
+   * @returns {Object} Options chain with pricing
    */
-  async getOptionsChainPolygon(symbol) {
-    // Get current date in YYYY-MM-DD format
-    const today = new Date().toISOString().split('T')[0];
-    
-    const response = await this.polygonClient.get(`/v3/reference/options/contracts`, {
-      params: {
-        underlying_ticker: symbol,
-        as_of: today,
-        limit: 1000
+  calculateGreeks(optionsChain, underlyingPrice, overrides = {}) {
+    const settings = { model: 'black-scholes', ...this.pricingConfig };
+    Object.entries(overrides).forEach(([name, value]) => {
+      if (value !== undefined) {
+        settings[name] = value;
       }
     });
-    
-    // Extract unique expiration dates
-    const expirationDates = [...new Set(response.data.results.map(item => item.expiration_date))];
-    
-    // Format the options data
-    const options = response.data.results.map(item => ({
-      type: item.contract_type.toLowerCase(),
-      symbol: item.ticker,
-      strike: item.strike_price,
-      expiration: item.expiration_date,
-      lastPrice: null, // Not included in reference endpoint
-      change: null, // Not included in reference endpoint
-      volume: null, // Not included in reference endpoint
-      openInterest: null, // Not included in reference endpoint
-      impliedVolatility: null // Not included in reference endpoint
-    }));
-    
+
     return {
-      symbol,
-      expirationDates,
-      options,
-      source: 'polygon'
+      ...optionsChain,
+      pricing: {
+        model: settings.model,
+        riskFreeRate: settings.riskFreeRate,
+        dividendYield: settings.dividendYield,
+        underlyingPrice
+      },
+      options: optionsChain.options.map(option => {
+        const priced = priceOption(option, underlyingPrice, settings);
+        return {
+          ...option,
+          impliedVolatility: priced.impliedVolatility === null ? option.impliedVolatility : priced.impliedVolatility,
+          theoreticalPrice: priced.theoreticalPrice,
+          greeks: priced.greeks
+        };
+      })
     };
   }
 
   /**
-   * Calculate technical indicators
+   * Calculate technical indicators. Without specs, returns the default set:
+   * RSI(14), EMA(12), EMA(26) and MACD(12, 26, 9).
    * @param {Array} prices - Array of price data
-   * @returns {Object} Technical indicators
+   * @param {boolean} includeSeries - Also return the full series per bar (optional)
+   * @param {Array<Object>} specs - Indicators from parseIndicatorSpecs (optional)
+   * @returns {Object} Technical indicators, plus `series` when requested
    */
-  calculateIndicators(prices) {
+  calculateIndicators(prices, includeSeries = false, specs) {
     if (!prices || prices.length === 0) {
       return {};
     }
 
-    // Extract close prices
-    const closePrices = prices.map(price => price.close);
-    
-    // Calculate RSI (Relative Strength Index)
-    const rsi = this.calculateRSI(closePrices, 14);
-    
-    // Calculate EMAs (Exponential Moving Averages)
-    const emaShort = this.calculateEMA(closePrices, 12);
-    const emaLong = this.calculateEMA(closePrices, 26);
-    
-    // Calculate MACD (Moving Average Convergence Divergence)
-    const macd = this.calculateMACD(closePrices);
+    if (specs) {
+      return this.calculateIndicatorSpecs(prices, includeSeries, specs);
+    }
+
+    const [rsiSpec, emaShortSpec, emaLongSpec, macdSpec] = parseIndicatorSpecs('rsi:14,ema:12,ema:26,macd:12:26:9');
+    const rsiSeries = calculateIndicator(prices, rsiSpec).series;
+    const emaShortSeries = calculateIndicator(prices, emaShortSpec).series;
+    const emaLongSeries = calculateIndicator(prices, emaLongSpec).series;
+    const macdSeries = calculateIndicator(prices, macdSpec).series;
     
+    const last = series => series[series.length - 1];
+    const indicators = {
+      rsi: last(rsiSeries),
+      emaShort: last(emaShortSeries),
+      emaLong: last(emaLongSeries),
+      macd: last(macdSeries)
+    };
+
+    if (!includeSeries) {
+      return indicators;
+    }
+
     return {
-      rsi,
-      emaShort,
-      emaLong,
-      macd
+      ...indicators,
+      series: {
+        rsi: this.alignSeries(prices, rsiSeries),
+        emaShort: this.alignSeries(prices, emaShortSeries),
+        emaLong: this.alignSeries(prices, emaLongSeries),
+        macd: this.alignSeries(prices, macdSeries)
+      }
     };
   }
 
   /**
-   * Calculate RSI (Relative Strength Index)
+   * Calculate requested indicators, keyed by their normalized spec
+   * (e.g. 'bb:20:2'). Each result reports its warm-up period, and explains a
+   * null value when there are too few bars to get past it.
    * @param {Array} prices - Array of price data
-   * @param {number} period - Period for calculation
-   * @returns {number} RSI value
+   * @param {boolean} includeSeries - Also return the full series per bar
+   * @param {Array<Object>} specs - Indicators from parseIndicatorSpecs
+   * @returns {Object} Technical indicators, plus `series` when requested
    */
-  calculateRSI(prices, period = 14) {
-    if (prices.length < period + 1) {
-      return null;
-    }
+  calculateIndicatorSpecs(prices, includeSeries, specs) {
+    const indicators = {};
+    const series = {};
 
-    // Calculate price changes
-    const changes = [];
-    for (let i = 1; i < prices.length; i++) {
-      changes.push(prices[i] - prices[i - 1]);
-    }
+    for (const spec of specs) {
+      const { warmup, series: values } = calculateIndicator(prices, spec);
+      const result = {
+        indicator: spec.id,
+        params: spec.params,
+        warmup,
+        value: values[values.length - 1]
+      };
 
-    // Calculate gains and losses
-    const gains = changes.map(change => change > 0 ? change : 0);
-    const losses = changes.map(change => change < 0 ? Math.abs(change) : 0);
+      if (prices.length <= warmup) {
+        result.message = `Requires at least ${warmup + 1} bars, got ${prices.length}`;
+      }
 
-    // Calculate average gain and average loss
-    let avgGain = gains.slice(0, period).reduce((sum, gain) => sum + gain, 0) / period;
-    let avgLoss = losses.slice(0, period).reduce((sum, loss) => sum + loss, 0) / period;
+      indicators[spec.key] = result;
+      if (includeSeries) {
+        series[spec.key] = this.alignSeries(prices, values);
+      }
+    }
 
-    // Calculate RS and RSI for the first period
-    let rs = avgGain / (avgLoss === 0 ? 0.001 : avgLoss); // Avoid division by zero
-    let rsiValues = [100 - (100 / (1 + rs))];
+    return includeSeries ? { ...indicators, series } : indicators;
+  }
 
-    // Calculate RSI for the remaining periods
-    for (let i = period; i < changes.length; i++) {
-      avgGain = ((avgGain * (period - 1)) + (changes[i] > 0 ? changes[i] : 0)) / period;
-      avgLoss = ((avgLoss * (period - 1)) + (changes[i] < 0 ? Math.abs(changes[i]) : 0)) / period;
-      
-      rs = avgGain / (avgLoss === 0 ? 0.001 : avgLoss);
-      rsiValues.push(100 - (100 / (1 + rs)));
-    }
+  /**
+   * Align indicator values with bar timestamps. Object values (e.g. MACD's
+   * lines) are spread into each entry; plain values go under `value`.
+   * @param {Array} prices - Array of price data
+   * @param {Array} values - Indicator value per bar
+   * @returns {Array<Object>} { timestamp, ... } per bar
+   */
+  alignSeries(prices, values) {
+    return prices.map((price, i) => (
+      values[i] !== null && typeof values[i] === 'object'
+        ? { timestamp: price.timestamp, ...values[i] }
+        : { timestamp: price.timestamp, value: values[i] }
+    ));
+  }
 
-    return rsiValues[rsiValues.length - 1];
+  /**
+   * Calculate RSI (Relative Strength Index)
+   * @param {Array} prices - Array of price data
+   * @param {number} period - Period for calculation
+   * @returns {number} RSI value
+   */
+  calculateRSI(prices, period = 14) {
+    const values = rsi(prices, period);
+    return values.length > 0 ? values[values.length - 1] : null;
   }
 
   /**
@@ -667,23 +1473,8 @@ class MarketDataService {
    * @returns {number} EMA value
    */
   calculateEMA(prices, period = 12) {
-    if (prices.length < period) {
-      return null;
-    }
-
-    // Calculate SMA (Simple Moving Average) for the initial EMA value
-    const sma = prices.slice(0, period).reduce((sum, price) => sum + price, 0) / period;
-    
-    // Calculate multiplier
-    const multiplier = 2 / (period + 1);
-    
-    // Calculate EMA
-    let ema = sma;
-    for (let i = period; i < prices.length; i++) {
-      ema = (prices[i] - ema) * multiplier + ema;
-    }
-    
-    return ema;
+    const values = ema(prices, period);
+    return values.length > 0 ? values[values.length - 1] : null;
   }
 
   /**
@@ -692,23 +1483,10 @@ class MarketDataService {
    * @returns {Object} MACD values
    */
   calculateMACD(prices) {
-    // Calculate 12-day EMA
-    const ema12 = this.calculateEMA(prices, 12);
-    
-    // Calculate 26-day EMA
-    const ema26 = this.calculateEMA(prices, 26);
-    
-    // Calculate MACD line
-    const macdLine = ema12 - ema26;
-    
-    // Calculate signal line (9-day EMA of MACD line)
-    // For simplicity, we'll just return the MACD line value
-    
-    return {
-      macdLine,
-      signalLine: null, // Would require historical MACD values to calculate
-      histogram: null // Would require signal line to calculate
-    };
+    const values = macd(prices, 12, 26, 9);
+    return values.length > 0
+      ? values[values.length - 1]
+      : { macdLine: null, signalLine: null, histogram: null };
   }
 }
 
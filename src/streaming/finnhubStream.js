@@ -0,0 +1,53 @@
+const StreamSource = require('./streamSource');
+
+/**
+ * Finnhub Stream
+ * Trade stream from Finnhub's WebSocket API
+ */
+class FinnhubStream extends StreamSource {
+  /**
+   * @param {string} apiKey - Finnhub API key
+   * @param {string} url - WebSocket URL (optional, e.g. a local mock server)
+   */
+  constructor(apiKey, url = process.env.FINNHUB_STREAM_URL || 'wss://ws.finnhub.io') {
+    super('finnhub', `${url}?token=${apiKey}`);
+  }
+
+  /**
+   * Handle a Finnhub message
+   * @param {Object} message - Parsed message
+   */
+  onMessage(message) {
+    if (message.type === 'trade') {
+      for (const trade of message.data || []) {
+        this.emit('trade', {
+          symbol: trade.s,
+          price: trade.p,
+          volume: trade.v,
+          timestamp: new Date(trade.t).toISOString(),
+          source: 'finnhub'
+        });
+      }
+    } else if (message.type === 'error') {
+      this.emit('error', new Error(message.msg));
+    }
+  }
+
+  /**
+   * Subscribe to symbols upstream
+   * @param {Array<string>} symbols - Stock symbols
+   */
+  sendSubscribe(symbols) {
+    symbols.forEach(symbol => this.send({ type: 'subscribe', symbol }));
+  }
+
+  /**
+   * Unsubscribe from symbols upstream
+   * @param {Array<string>} symbols - Stock symbols
+   */
+  sendUnsubscribe(symbols) {
+    symbols.forEach(symbol => this.send({ type: 'unsubscribe', symbol }));
+  }
+}
+
+module.exports = FinnhubStream;
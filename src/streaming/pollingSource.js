@@ -0,0 +1,80 @@
+const EventEmitter = require('events');
+const { runOutsideContext } = require('../auth/requestContext');
+
+/**
+ * Polling Source
+ * Stand-in for an upstream stream: polls quotes for the subscribed symbols
+ * through MarketDataService and emits each result as a 'quote' event.
+ */
+class PollingSource extends EventEmitter {
+  /**
+   * @param {MarketDataService} marketDataService - Service to poll
+   * @param {number} intervalMs - Poll interval in milliseconds
+   */
+  constructor(marketDataService, intervalMs = 5000) {
+    super();
+    this.marketDataService = marketDataService;
+    this.intervalMs = intervalMs;
+    this.symbols = new Set();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling. Polls are shared by every subscriber, so they run outside
+   * the request that started them and aren't metered against its API key.
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = runOutsideContext(() => setInterval(() => this.poll(), this.intervalMs));
+    }
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Add a symbol to the poll set
+   * @param {string} symbol - Stock symbol
+   */
+  subscribe(symbol) {
+    this.symbols.add(symbol);
+  }
+
+  /**
+   * Remove a symbol from the poll set
+   * @param {string} symbol - Stock symbol
+   */
+  unsubscribe(symbol) {
+    this.symbols.delete(symbol);
+  }
+
+  /**
+   * Fetch quotes for every subscribed symbol. Skipped if the previous poll
+   * is still running.
+   */
+  async poll() {
+    if (this.polling || this.symbols.size === 0) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      const results = await this.marketDataService.getQuotes([...this.symbols]);
+      results
+        .filter(result => result.status === 'ok')
+        .forEach(result => this.emit('quote', result.quote));
+    } catch (error) {
+      this.emit('error', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = PollingSource;
@@ -0,0 +1,63 @@
+const StreamSource = require('./streamSource');
+
+/**
+ * Polygon.io Stream
+ * Trade stream from Polygon.io's stocks WebSocket cluster
+ */
+class PolygonStream extends StreamSource {
+  /**
+   * @param {string} apiKey - Polygon.io API key
+   * @param {string} url - WebSocket URL (optional, e.g. a local mock server)
+   */
+  constructor(apiKey, url = process.env.POLYGON_STREAM_URL || 'wss://socket.polygon.io/stocks') {
+    super('polygon', url);
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Authenticate before subscribing
+   */
+  onOpen() {
+    this.send({ action: 'auth', params: this.apiKey });
+  }
+
+  /**
+   * Handle a batch of Polygon.io events
+   * @param {Array<Object>} events - Parsed events
+   */
+  onMessage(events) {
+    for (const event of [].concat(events)) {
+      if (event.ev === 'T') {
+        this.emit('trade', {
+          symbol: event.sym,
+          price: event.p,
+          volume: event.s,
+          timestamp: new Date(event.t).toISOString(),
+          source: 'polygon'
+        });
+      } else if (event.ev === 'status' && event.status === 'auth_success') {
+        this.markReady();
+      } else if (event.ev === 'status' && event.status === 'auth_failed') {
+        this.emit('error', new Error(`Polygon stream authentication failed: ${event.message}`));
+      }
+    }
+  }
+
+  /**
+   * Subscribe to symbols upstream
+   * @param {Array<string>} symbols - Stock symbols
+   */
+  sendSubscribe(symbols) {
+    this.send({ action: 'subscribe', params: symbols.map(symbol => `T.${symbol}`).join(',') });
+  }
+
+  /**
+   * Unsubscribe from symbols upstream
+   * @param {Array<string>} symbols - Stock symbols
+   */
+  sendUnsubscribe(symbols) {
+    this.send({ action: 'unsubscribe', params: symbols.map(symbol => `T.${symbol}`).join(',') });
+  }
+}
+
+module.exports = PolygonStream;
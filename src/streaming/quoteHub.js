@@ -0,0 +1,238 @@
+const MarketDataService = require('../services/marketDataService');
+const PollingSource = require('./pollingSource');
+const { QUOTE_SCHEMA } = require('../normalization/schemas');
+const { parsePositive } = require('../config/parseEnv');
+
+// Fields of a normalized quote, as returned by the service
+const QUOTE_FIELDS = Object.keys(QUOTE_SCHEMA);
+
+/**
+ * Pick the normalized quote fields from a quote or service result
+ * @param {Object} quote - Quote data
+ * @returns {Object} Normalized quote
+ */
+function normalizeQuote(quote) {
+  const normalized = {};
+  QUOTE_FIELDS.forEach(field => {
+    normalized[field] = quote[field] === undefined ? null : quote[field];
+  });
+  return normalized;
+}
+
+/**
+ * Quote Hub
+ * Shares upstream quote subscriptions between every streaming client. Each
+ * symbol is subscribed upstream once, no matter how many clients watch it.
+ * Trades from a provider stream are merged into the latest quote snapshot.
+ * Symbols the stream doesn't carry (indices, crypto, forex) are always
+ * polled, and every symbol is polled while the stream is unavailable.
+ * Updates that don't change the quote are dropped.
+ */
+class QuoteHub {
+  /**
+   * @param {MarketDataService} marketDataService - Service for snapshots and polling
+   * @param {StreamSource|null} stream - Upstream trade stream (optional)
+   * @param {PollingSource} poller - Polling fallback
+   */
+  constructor(marketDataService, stream, poller) {
+    this.marketDataService = marketDataService;
+    this.stream = stream;
+    this.poller = poller;
+
+    // Listeners and latest quote per symbol
+    this.listeners = new Map();
+    this.latest = new Map();
+
+    this.poller.on('quote', quote => this.publish(quote));
+    this.poller.on('error', error => console.error('Quote polling error:', error));
+
+    if (this.stream) {
+      this.stream.on('trade', trade => this.handleTrade(trade));
+      this.stream.on('ready', () => {
+        console.log(`Quote stream connected: ${this.stream.id}`);
+        this.listeners.forEach((listeners, symbol) => {
+          if (this.isStreamed(symbol)) {
+            this.poller.unsubscribe(symbol);
+          }
+        });
+      });
+      this.stream.on('down', () => {
+        console.log(`Quote stream disconnected: ${this.stream.id}, polling instead`);
+        this.listeners.forEach((listeners, symbol) => this.poller.subscribe(symbol));
+      });
+      this.stream.on('error', error => console.error(`Quote stream error (${this.stream.id}):`, error.message));
+      this.stream.connect();
+    }
+
+    this.poller.start();
+  }
+
+  /**
+   * Get the shared hub, streaming from the first configured provider in the
+   * stream fallback chain
+   * @returns {QuoteHub} Shared hub
+   */
+  static getInstance() {
+    if (!QuoteHub.instance) {
+      const marketDataService = MarketDataService.getInstance();
+      const intervalMs = parsePositive(process.env.STREAM_POLL_INTERVAL_MS, 5000);
+      QuoteHub.instance = new QuoteHub(
+        marketDataService,
+        marketDataService.createQuoteStream(),
+        new PollingSource(marketDataService, intervalMs)
+      );
+    }
+    return QuoteHub.instance;
+  }
+
+  /**
+   * Check whether a symbol's trades can come from the stream
+   * @param {string} symbol - Symbol
+   * @returns {boolean} True if there is a stream and it carries the symbol
+   */
+  isStreamed(symbol) {
+    return Boolean(this.stream) && this.stream.supports(symbol);
+  }
+
+  /**
+   * Subscribe a listener to quote updates for symbols
+   * @param {Array<string>} symbols - Stock symbols
+   * @param {Function} listener - Called with each normalized quote
+   * @returns {Function} Unsubscribes the listener from these symbols
+   */
+  subscribe(symbols, listener) {
+    symbols.forEach(symbol => {
+      if (!this.listeners.has(symbol)) {
+        this.listeners.set(symbol, new Set());
+        if (this.isStreamed(symbol)) {
+          this.stream.subscribe(symbol);
+        }
+        if (!this.isStreamed(symbol) || !this.stream.ready) {
+          this.poller.subscribe(symbol);
+        }
+        this.loadSnapshot(symbol);
+      }
+
+      this.listeners.get(symbol).add(listener);
+
+      if (this.latest.has(symbol)) {
+        listener(this.latest.get(symbol));
+      }
+    });
+
+    return () => this.unsubscribe(symbols, listener);
+  }
+
+  /**
+   * Remove a listener from symbols, dropping upstream subscriptions that no
+   * longer have listeners
+   * @param {Array<string>} symbols - Stock symbols
+   * @param {Function} listener - Listener to remove
+   */
+  unsubscribe(symbols, listener) {
+    symbols.forEach(symbol => {
+      const listeners = this.listeners.get(symbol);
+      if (!listeners) {
+        return;
+      }
+
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.listeners.delete(symbol);
+        this.latest.delete(symbol);
+        if (this.isStreamed(symbol)) {
+          this.stream.unsubscribe(symbol);
+        }
+        this.poller.unsubscribe(symbol);
+      }
+    });
+  }
+
+  /**
+   * Fetch the current quote for a newly subscribed symbol. Stream trades only
+   * carry a price, so the snapshot supplies open, previous close and range.
+   * @param {string} symbol - Stock symbol
+   */
+  async loadSnapshot(symbol) {
+    try {
+      this.publish(await this.marketDataService.getQuote(symbol));
+    } catch (error) {
+      console.error(`Error loading quote snapshot for ${symbol}:`, error.message);
+    }
+  }
+
+  /**
+   * Merge a stream trade into the latest quote
+   * @param {Object} trade - { symbol, price, timestamp, source }
+   */
+  handleTrade(trade) {
+    // Without a snapshot only the price fields can be filled in
+    const base = this.latest.get(trade.symbol) || normalizeQuote({ symbol: trade.symbol });
+
+    const change = base.previousClose === null ? null : trade.price - base.previousClose;
+
+    this.publish({
+      ...base,
+      price: trade.price,
+      change,
+      percentChange: change === null || !base.previousClose ? null : (change / base.previousClose) * 100,
+      high: base.high === null ? trade.price : Math.max(base.high, trade.price),
+      low: base.low === null ? trade.price : Math.min(base.low, trade.price),
+      timestamp: trade.timestamp,
+      source: trade.source
+    });
+  }
+
+  /**
+   * Send a quote to the symbol's listeners unless it is unchanged
+   * @param {Object} quote - Quote data
+   */
+  publish(quote) {
+    const listeners = this.listeners.get(quote.symbol);
+    if (!listeners) {
+      return;
+    }
+
+    const normalized = normalizeQuote(quote);
+    const previous = this.latest.get(quote.symbol);
+    const unchanged = previous && ['price', 'high', 'low', 'open', 'previousClose']
+      .every(field => previous[field] === normalized[field]);
+
+    if (unchanged) {
+      return;
+    }
+
+    this.latest.set(quote.symbol, normalized);
+    listeners.forEach(listener => listener(normalized));
+  }
+
+  /**
+   * Describe the hub's current state
+   * @returns {Object} Hub statistics
+   */
+  stats() {
+    let subscribers = 0;
+    this.listeners.forEach(listeners => {
+      subscribers += listeners.size;
+    });
+
+    return {
+      source: this.stream && this.stream.ready ? this.stream.id : 'polling',
+      symbols: this.listeners.size,
+      polledSymbols: this.poller.symbols.size,
+      subscriptions: subscribers
+    };
+  }
+
+  /**
+   * Stop streaming and polling
+   */
+  close() {
+    if (this.stream) {
+      this.stream.close();
+    }
+    this.poller.stop();
+  }
+}
+
+module.exports = QuoteHub;
@@ -0,0 +1,118 @@
+const { WebSocketServer } = require('ws');
+const QuoteHub = require('./quoteHub');
+const { AccessControl, requestSecret } = require('../auth');
+const { parseSymbols, isValidSymbol } = require('../validation');
+
+// Maximum symbols a single client may subscribe to
+const MAX_SUBSCRIPTIONS = 100;
+
+/**
+ * Attach the quote streaming WebSocket server to an HTTP server.
+ *
+ * Clients send { "action": "subscribe" | "unsubscribe", "symbols": ["AAPL"] }
+ * (or connect with ?symbols=AAPL,MSFT) and receive
+ * { "type": "quote", "data": { ...normalized quote } } messages.
+ * @param {Object} server - HTTP server
+ * @param {string} path - WebSocket path
+ * Connections are authenticated like HTTP requests, with the X-API-Key
+ * header or ?apiKey=, and count as one request against the key's quota.
+ * @param {QuoteHub} hub - Quote hub (optional, defaults to the shared hub)
+ * @param {AccessControl} access - Access control (optional, defaults to the shared instance)
+ * @returns {WebSocketServer} WebSocket server
+ */
+function attachStreamServer(server, path, hub, access) {
+  const verifyClient = (info, done) => {
+    const control = access || AccessControl.getInstance();
+    try {
+      const { key } = control.authorize({ secret: requestSecret(info.req), path });
+      control.meter.recordResponse(key.id, path, 101);
+      done(true);
+    } catch (error) {
+      const headers = error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : undefined;
+      done(false, error.status || 500, error.message, headers);
+    }
+  };
+  const wss = new WebSocketServer({ server, path, verifyClient });
+
+  wss.on('connection', (socket, req) => {
+    const quoteHub = hub || QuoteHub.getInstance();
+    const subscriptions = new Set();
+    const send = message => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+    const listener = quote => send({ type: 'quote', data: quote });
+
+    const subscribe = symbols => {
+      const invalid = symbols.filter(symbol => !isValidSymbol(symbol));
+      if (invalid.length > 0) {
+        return send({ type: 'error', message: `Invalid symbols: ${invalid.join(', ')}` });
+      }
+      const added = symbols.filter(symbol => !subscriptions.has(symbol));
+      if (subscriptions.size + added.length > MAX_SUBSCRIPTIONS) {
+        return send({ type: 'error', message: `A client may subscribe to at most ${MAX_SUBSCRIPTIONS} symbols` });
+      }
+      added.forEach(symbol => subscriptions.add(symbol));
+      quoteHub.subscribe(added, listener);
+      send({ type: 'subscribed', symbols: [...subscriptions] });
+    };
+
+    const unsubscribe = symbols => {
+      const removed = symbols.filter(symbol => subscriptions.has(symbol));
+      removed.forEach(symbol => subscriptions.delete(symbol));
+      quoteHub.unsubscribe(removed, listener);
+      send({ type: 'subscribed', symbols: [...subscriptions] });
+    };
+
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', raw => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return send({ type: 'error', message: 'Messages must be JSON' });
+      }
+
+      const symbols = parseSymbols(message.symbols);
+      if (message.action === 'subscribe') {
+        subscribe(symbols);
+      } else if (message.action === 'unsubscribe') {
+        unsubscribe(symbols);
+      } else {
+        send({ type: 'error', message: 'Action must be subscribe or unsubscribe' });
+      }
+    });
+
+    socket.on('close', () => quoteHub.unsubscribe([...subscriptions], listener));
+
+    const initial = parseSymbols(new URL(req.url, 'http://localhost').searchParams.get('symbols'));
+    if (initial.length > 0) {
+      subscribe(initial);
+    }
+  });
+
+  // Drop clients that stop answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, 30000);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = {
+  MAX_SUBSCRIPTIONS,
+  attachStreamServer
+};
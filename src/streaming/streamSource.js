@@ -0,0 +1,148 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { assetClassOf } = require('../symbols');
+
+/**
+ * Stream Source
+ * Base class for upstream trade streams. Keeps the set of subscribed symbols,
+ * reconnects with exponential backoff and resubscribes once the stream is
+ * ready again. Streams carry stock trades unless constructed with other
+ * asset classes; callers poll the symbols a stream doesn't carry.
+ *
+ * Events:
+ *   ready  - the stream is connected and accepting subscriptions
+ *   down   - the stream disconnected
+ *   trade  - { symbol, price, volume, timestamp, source }
+ *   error  - connection or protocol error
+ */
+class StreamSource extends EventEmitter {
+  /**
+   * @param {string} id - Provider id
+   * @param {string} url - WebSocket URL
+   * @param {Array<string>} assetClasses - Asset classes the stream carries (optional, default stocks only)
+   */
+  constructor(id, url, assetClasses = ['stock']) {
+    super();
+    this.id = id;
+    this.url = url;
+    this.assetClasses = assetClasses;
+    this.symbols = new Set();
+    this.socket = null;
+    this.ready = false;
+    this.closed = false;
+    this.reconnectDelay = 1000;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Open the upstream connection
+   */
+  connect() {
+    this.closed = false;
+    this.socket = new WebSocket(this.url);
+
+    this.socket.on('open', () => this.onOpen());
+    this.socket.on('message', raw => {
+      try {
+        this.onMessage(JSON.parse(raw.toString()));
+      } catch (error) {
+        this.emit('error', error);
+      }
+    });
+    this.socket.on('error', error => this.emit('error', error));
+    this.socket.on('close', () => {
+      const wasReady = this.ready;
+      this.ready = false;
+      this.socket = null;
+      if (wasReady) {
+        this.emit('down');
+      }
+      if (!this.closed) {
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+      }
+    });
+  }
+
+  /**
+   * Called when the socket opens. Providers that need to authenticate first
+   * override this and call markReady once authenticated.
+   */
+  onOpen() {
+    this.markReady();
+  }
+
+  /**
+   * Called with each parsed upstream message
+   * @param {Object} message - Parsed message
+   */
+  onMessage(message) {
+    throw new Error('onMessage must be implemented by the stream source');
+  }
+
+  /**
+   * Mark the stream ready and resubscribe every symbol
+   */
+  markReady() {
+    this.ready = true;
+    this.reconnectDelay = 1000;
+    if (this.symbols.size > 0) {
+      this.sendSubscribe([...this.symbols]);
+    }
+    this.emit('ready');
+  }
+
+  /**
+   * Check whether the stream carries trades for a symbol
+   * @param {string} symbol - Symbol
+   * @returns {boolean} True if the symbol's asset class is streamed
+   */
+  supports(symbol) {
+    return this.assetClasses.includes(assetClassOf(symbol));
+  }
+
+  /**
+   * Send a JSON message upstream
+   * @param {Object} message - Message
+   */
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Subscribe to trades for a symbol
+   * @param {string} symbol - Stock symbol
+   */
+  subscribe(symbol) {
+    this.symbols.add(symbol);
+    if (this.ready) {
+      this.sendSubscribe([symbol]);
+    }
+  }
+
+  /**
+   * Unsubscribe from trades for a symbol
+   * @param {string} symbol - Stock symbol
+   */
+  unsubscribe(symbol) {
+    this.symbols.delete(symbol);
+    if (this.ready) {
+      this.sendUnsubscribe([symbol]);
+    }
+  }
+
+  /**
+   * Close the upstream connection and stop reconnecting
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
+
+module.exports = StreamSource;
@@ -0,0 +1,133 @@
+/**
+ * Symbol Parser
+ * Works out which asset class a symbol names, so requests can be routed to
+ * the provider endpoints for that market. Accepted forms:
+ *   stock   AAPL, BRK.B
+ *   index   ^GSPC, or Polygon.io's I:SPX
+ *   crypto  BTC-USD, BTC/USD, or Polygon.io's X:BTCUSD
+ *   forex   EUR/USD, EUR-USD, Yahoo's EURUSD=X, or Polygon.io's C:EURUSD
+ * A pair is forex when both sides are fiat currencies and crypto otherwise.
+ */
+
+// Asset classes a symbol can belong to
+const ASSET_CLASSES = ['stock', 'index', 'crypto', 'forex'];
+
+// Fiat currencies recognized in currency pairs (ISO 4217)
+const FIAT_CURRENCIES = [
+  'USD', 'EUR', 'JPY', 'GBP', 'CHF', 'CAD', 'AUD', 'NZD', 'CNY', 'CNH', 'HKD',
+  'SGD', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'TRY', 'ZAR', 'MXN', 'BRL',
+  'INR', 'KRW', 'TWD', 'THB', 'ILS', 'RUB'
+];
+
+// Currencies crypto pairs are quoted in besides fiat, longest first so
+// USDT is matched before USD in unseparated tickers like X:BTCUSDT
+const CRYPTO_QUOTES = ['USDT', 'USDC', 'BTC', 'ETH'];
+
+// Yahoo-style index symbols mapped to the index codes Polygon.io uses
+const INDEX_CODES = {
+  '^GSPC': 'SPX',
+  '^DJI': 'DJI',
+  '^IXIC': 'COMP',
+  '^NDX': 'NDX',
+  '^RUT': 'RUT',
+  '^VIX': 'VIX'
+};
+
+const PAIR_PATTERN = /^([A-Z0-9]{2,10})[-/]([A-Z]{3,4})$/;
+const YAHOO_FX_PATTERN = /^([A-Z]{3})([A-Z]{3})=X$/;
+
+/**
+ * Describe a currency pair
+ * @param {string} symbol - Symbol as given
+ * @param {string} base - Base currency or coin
+ * @param {string} quote - Quote currency
+ * @returns {Object} Parsed symbol
+ */
+function pair(symbol, base, quote) {
+  const forex = FIAT_CURRENCIES.includes(base) && FIAT_CURRENCIES.includes(quote);
+  return { symbol, assetClass: forex ? 'forex' : 'crypto', base, quote };
+}
+
+/**
+ * Split an unseparated pair such as BTCUSD into base and quote
+ * @param {string} ticker - Pair without a separator
+ * @returns {Array<string>|null} [base, quote], or null if no quote currency is recognized
+ */
+function splitPair(ticker) {
+  const quote = [...CRYPTO_QUOTES, ...FIAT_CURRENCIES]
+    .sort((a, b) => b.length - a.length)
+    .find(currency => ticker.endsWith(currency) && ticker.length > currency.length + 1);
+  return quote ? [ticker.slice(0, -quote.length), quote] : null;
+}
+
+/**
+ * Parse a symbol
+ * @param {string} symbol - Symbol
+ * @returns {Object} { symbol, assetClass, base, quote, index }: base and
+ *   quote are set for crypto and forex pairs, index (the Yahoo-style
+ *   symbol, e.g. '^GSPC') for indices
+ */
+function parseSymbol(symbol) {
+  const upper = String(symbol).toUpperCase();
+  const parsed = { symbol, assetClass: 'stock', base: null, quote: null, index: null };
+
+  if (upper.startsWith('^') || upper.startsWith('I:')) {
+    let index = upper;
+    if (upper.startsWith('I:')) {
+      const code = upper.slice(2);
+      index = Object.keys(INDEX_CODES).find(key => INDEX_CODES[key] === code) || `^${code}`;
+    }
+    return { ...parsed, assetClass: 'index', index };
+  }
+
+  if (upper.startsWith('X:') || upper.startsWith('C:')) {
+    const parts = splitPair(upper.slice(2));
+    if (parts) {
+      return { ...parsed, ...pair(symbol, parts[0], parts[1]), assetClass: upper.startsWith('X:') ? 'crypto' : 'forex' };
+    }
+    return parsed;
+  }
+
+  const fx = YAHOO_FX_PATTERN.exec(upper);
+  if (fx) {
+    return { ...parsed, ...pair(symbol, fx[1], fx[2]) };
+  }
+
+  // Dashed tickers are pairs only when quoted in a known currency, so share
+  // classes like BRK-B stay stocks
+  const match = PAIR_PATTERN.exec(upper);
+  if (match && (FIAT_CURRENCIES.includes(match[2]) || CRYPTO_QUOTES.includes(match[2]))) {
+    return { ...parsed, ...pair(symbol, match[1], match[2]) };
+  }
+
+  return parsed;
+}
+
+/**
+ * Get a symbol's asset class
+ * @param {string} symbol - Symbol
+ * @returns {string} 'stock', 'index', 'crypto' or 'forex'
+ */
+function assetClassOf(symbol) {
+  return parseSymbol(symbol).assetClass;
+}
+
+/**
+ * Check whether a symbol trades on an exchange with sessions and holidays,
+ * as opposed to around the clock
+ * @param {string} symbol - Symbol
+ * @returns {boolean} True for stocks and indices
+ */
+function isExchangeTraded(symbol) {
+  const assetClass = assetClassOf(symbol);
+  return assetClass === 'stock' || assetClass === 'index';
+}
+
+module.exports = {
+  ASSET_CLASSES,
+  FIAT_CURRENCIES,
+  INDEX_CODES,
+  parseSymbol,
+  assetClassOf,
+  isExchangeTraded
+};
@@ -0,0 +1,487 @@
+const { MODELS } = require('../pricing');
+const { IndicatorSpecError, parseIndicatorSpecs } = require('../indicators');
+const { INTERVALS, parseInterval, baseInterval, sessionFor } = require('../bars/intervals');
+const { EXCHANGES } = require('../calendar');
+const { assetClassOf } = require('../symbols');
+const { FINANCIAL_PERIODS } = require('../normalization/schemas');
+
+// Ticker symbols: letters, digits and the separators used for share classes,
+// indices, currencies and crypto pairs (BRK.B, ^GSPC, EUR/USD, EURUSD=X, X:BTCUSD)
+const SYMBOL_PATTERN = /^[A-Za-z0-9^][A-Za-z0-9.\-=:^_/]{0,19}$/;
+
+// Longest date range, in days, that can be requested at each native
+// interval; intervals not listed are unlimited. Custom intervals take the
+// limit of the interval they are resampled from.
+const MAX_RANGE_DAYS = {
+  '1m': 30,
+  '5m': 60,
+  '15m': 60,
+  '30m': 60,
+  '1h': 730
+};
+
+// Maximum number of symbols accepted by a batch quote request
+const MAX_BATCH_SYMBOLS = 100;
+
+// Longest trading calendar range, in days
+const MAX_CALENDAR_DAYS = 366;
+
+// Longest symbol search query, and most results a search returns
+const MAX_QUERY_LENGTH = 50;
+const MAX_SEARCH_RESULTS = 50;
+
+// Longest usage report range, in days
+const MAX_USAGE_DAYS = 366;
+
+// API key ids: letters, digits, '-' and '_'
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Ways /quote can pick a price: the first provider in the chain that answers, or the median of all
+const QUOTE_MODES = ['fallback', 'consensus'];
+
+// Most statement periods a financials request returns
+const MAX_FINANCIAL_PERIODS = 40;
+
+// Polygon.io pagination cursors, as returned with a truncated options chain
+const CURSOR_PATTERN = /^[A-Za-z0-9_\-=.%]{1,1024}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a symbol list from a comma-separated string or an array
+ * @param {string|Array<string>} value - Symbol list
+ * @returns {Array<string>} Unique, non-empty symbols
+ */
+function parseSymbols(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(symbol => String(symbol).trim()).filter(Boolean))];
+}
+
+/**
+ * Check whether a value is a well-formed ticker symbol
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidSymbol(value) {
+  return typeof value === 'string' && SYMBOL_PATTERN.test(value);
+}
+
+/**
+ * Get the trading session intraday intervals are aligned to for a symbol
+ * @param {*} symbol - Symbol, if the request has one
+ * @returns {Object} Trading session
+ */
+function symbolSession(symbol) {
+  return sessionFor(isValidSymbol(symbol) ? assetClassOf(symbol) : 'stock');
+}
+
+/**
+ * Parse a calendar date (YYYY-MM-DD), rejecting dates that don't exist
+ * @param {*} value - Value to parse
+ * @returns {Date|null} Date at midnight UTC, or null if invalid
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? date : null;
+}
+
+/**
+ * Parse and validate options chain filters
+ * @param {Object} params - Request parameters
+ * @returns {Object} { filters, errors }
+ */
+function parseOptionsFilters(params) {
+  const { expiration, type, minStrike, maxStrike, moneyness, strikesAroundATM, cursor, provider } = params;
+  const filters = {};
+  const errors = [];
+
+  if (expiration !== undefined) {
+    if (parseDate(expiration)) {
+      filters.expiration = expiration;
+    } else {
+      errors.push('expiration must be a date (YYYY-MM-DD)');
+    }
+  }
+
+  if (type !== undefined) {
+    if (['call', 'put'].includes(type)) {
+      filters.type = type;
+    } else {
+      errors.push('type must be call or put');
+    }
+  }
+
+  for (const [name, value] of Object.entries({ minStrike, maxStrike })) {
+    if (value === undefined) {
+      continue;
+    }
+    const strike = Number(value);
+    if (value === '' || Number.isNaN(strike) || strike < 0) {
+      errors.push(`${name} must be a non-negative number`);
+    } else {
+      filters[name] = strike;
+    }
+  }
+
+  if (filters.minStrike !== undefined && filters.maxStrike !== undefined && filters.minStrike > filters.maxStrike) {
+    errors.push('minStrike must not be greater than maxStrike');
+  }
+
+  if (moneyness !== undefined) {
+    if (['itm', 'atm', 'otm'].includes(moneyness)) {
+      filters.moneyness = moneyness;
+    } else {
+      errors.push('moneyness must be itm, atm or otm');
+    }
+  }
+
+  if (strikesAroundATM !== undefined) {
+    const count = Number(strikesAroundATM);
+    if (!Number.isInteger(count) || count < 0) {
+      errors.push('strikesAroundATM must be a non-negative integer');
+    } else {
+      filters.strikesAroundATM = count;
+    }
+  }
+
+  // Only Polygon.io truncates chains, so only it can resume one
+  if (cursor !== undefined) {
+    if (typeof cursor !== 'string' || !CURSOR_PATTERN.test(cursor)) {
+      errors.push('cursor must be the cursor of a truncated options chain');
+    } else if (provider !== 'polygon') {
+      errors.push('cursor requires provider=polygon');
+    } else {
+      filters.cursor = cursor;
+    }
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Request rules. Each factory returns a rule: a function called with the
+ * request parameters and the provider registry that returns the problems it
+ * found (an empty array if none).
+ */
+const rules = {
+  /**
+   * Require a single well-formed `symbol`
+   * @returns {Function} Rule
+   */
+  symbol() {
+    return ({ symbol }) => {
+      if (symbol === undefined || symbol === '') {
+        return ['symbol is required'];
+      }
+      return isValidSymbol(symbol) ? [] : [`symbol "${symbol}" is not a valid ticker symbol`];
+    };
+  },
+
+  /**
+   * Require a `symbols` list of well-formed symbols
+   * @param {number} max - Maximum number of symbols
+   * @returns {Function} Rule
+   */
+  symbols(max) {
+    return ({ symbols: value }) => {
+      const symbols = value === undefined ? [] : parseSymbols(value);
+      if (symbols.length === 0) {
+        return ['symbols is required'];
+      }
+
+      const errors = symbols
+        .filter(symbol => !isValidSymbol(symbol))
+        .map(symbol => `symbols: "${symbol}" is not a valid ticker symbol`);
+      if (symbols.length > max) {
+        errors.push(`symbols may contain at most ${max} symbols`);
+      }
+      return errors;
+    };
+  },
+
+  /**
+   * Require either `symbol` or a `symbols` list
+   * @param {number} max - Maximum number of symbols in a list
+   * @returns {Function} Rule
+   */
+  symbolOrSymbols(max) {
+    const single = rules.symbol();
+    const list = rules.symbols(max);
+    return params => (params.symbols !== undefined ? list(params) : single(params));
+  },
+
+  /**
+   * Check an optional `provider` is registered and supports a capability,
+   * and the asset class of the `symbol` if there is one
+   * @param {string} capability - Capability the route needs
+   * @returns {Function} Rule
+   */
+  provider(capability) {
+    return ({ provider, symbol }, registry) => {
+      if (provider === undefined) {
+        return [];
+      }
+      if (!registry.has(provider)) {
+        return [`provider must be one of: ${registry.ids().join(', ')}`];
+      }
+      if (!registry.get(provider).supports(capability)) {
+        const supporting = registry.supporting(capability).map(adapter => adapter.id);
+        return [`provider ${provider} does not support ${capability} data; use one of: ${supporting.join(', ')}`];
+      }
+      const assetClass = isValidSymbol(symbol) ? assetClassOf(symbol) : 'stock';
+      if (!registry.get(provider).supportsAssetClass(capability, assetClass)) {
+        const supporting = registry.supporting(capability)
+          .filter(adapter => adapter.supportsAssetClass(capability, assetClass))
+          .map(adapter => adapter.id);
+        return [`provider ${provider} does not support ${capability} data for ${assetClass}`
+          + (supporting.length > 0 ? `; use one of: ${supporting.join(', ')}` : '')];
+      }
+      return [];
+    };
+  },
+
+  /**
+   * Check the optional candle `interval` is native or a valid custom
+   * interval, and that the requested provider, if any, serves the interval
+   * it is fetched at
+   * @returns {Function} Rule
+   */
+  interval() {
+    return ({ interval, provider, symbol }, registry) => {
+      if (interval === undefined) {
+        return [];
+      }
+      if (!parseInterval(interval)) {
+        return [`interval must be one of ${INTERVALS.join(', ')} or a count followed by m, h, d, w, M, q or y `
+          + '(e.g. 4h, 3d, 1q); minute and hour intervals must be shorter than a day'];
+      }
+      const base = baseInterval(interval, symbolSession(symbol));
+      const adapter = provider && registry.get(provider);
+      if (adapter && !adapter.supportsInterval(base)) {
+        return [`provider ${provider} does not support interval ${base}; use one of: ${adapter.intervals.join(', ')}`];
+      }
+      return [];
+    };
+  },
+
+  /**
+   * Check a `from`/`to` date range has from <= to and is no longer than the
+   * interval allows
+   * @param {boolean} required - Whether both dates are required (optional, default true)
+   * @param {number} maxRangeDays - Longest range in days, instead of the interval's limit (optional)
+   * @returns {Function} Rule
+   */
+  dateRange(required = true, maxRangeDays) {
+    return ({ from, to, interval = '1d', symbol }) => {
+      const errors = [];
+      const dates = {};
+
+      for (const [name, value] of Object.entries({ from, to })) {
+        if (value === undefined || value === '') {
+          if (required) {
+            errors.push(`${name} is required`);
+          }
+        } else {
+          dates[name] = parseDate(value);
+          if (!dates[name]) {
+            errors.push(`${name} must be a date (YYYY-MM-DD)`);
+          }
+        }
+      }
+
+      if (dates.from && dates.to) {
+        const days = (dates.to - dates.from) / DAY_MS;
+        const maxDays = maxRangeDays === undefined ? MAX_RANGE_DAYS[baseInterval(interval, symbolSession(symbol))] : maxRangeDays;
+        if (days < 0) {
+          errors.push('from must not be after to');
+        } else if (maxDays !== undefined && days > maxDays) {
+          errors.push(maxRangeDays === undefined
+            ? `the range for interval ${interval} may span at most ${maxDays} days`
+            : `the range may span at most ${maxDays} days`);
+        }
+      }
+
+      return errors;
+    };
+  },
+
+  /**
+   * Require a search query `q` and check the optional result `limit`
+   * @returns {Function} Rule
+   */
+  search() {
+    return ({ q, limit }) => {
+      const errors = [];
+      const query = typeof q === 'string' ? q.trim() : '';
+
+      if (query === '') {
+        errors.push('q is required');
+      } else if (query.length > MAX_QUERY_LENGTH) {
+        errors.push(`q may be at most ${MAX_QUERY_LENGTH} characters`);
+      }
+      if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= MAX_SEARCH_RESULTS)) {
+        errors.push(`limit must be a whole number from 1 to ${MAX_SEARCH_RESULTS}`);
+      }
+
+      return errors;
+    };
+  },
+
+  /**
+   * Check the optional `exchange` is one the trading calendar covers
+   * @returns {Function} Rule
+   */
+  exchange() {
+    return ({ exchange }) => (exchange === undefined || EXCHANGES.includes(String(exchange).toUpperCase())
+      ? []
+      : [`exchange must be one of: ${EXCHANGES.join(', ')}`]);
+  },
+
+  /**
+   * Check the optional API key id `key`
+   * @returns {Function} Rule
+   */
+  apiKeyId() {
+    return ({ key }) => (key === undefined || (typeof key === 'string' && KEY_ID_PATTERN.test(key))
+      ? []
+      : ['key must be an API key id: 1-64 letters, digits, - or _']);
+  },
+
+  /**
+   * Check the optional quote `mode` and, for consensus quotes, `tolerance`
+   * @returns {Function} Rule
+   */
+  quoteMode() {
+    return ({ mode, tolerance, symbols, provider }) => {
+      if (mode === undefined) {
+        return tolerance === undefined ? [] : ['tolerance is only used with mode=consensus'];
+      }
+      if (!QUOTE_MODES.includes(mode)) {
+        return [`mode must be one of: ${QUOTE_MODES.join(', ')}`];
+      }
+      if (mode !== 'consensus') {
+        return tolerance === undefined ? [] : ['tolerance is only used with mode=consensus'];
+      }
+
+      const errors = [];
+      if (symbols !== undefined) {
+        errors.push('mode=consensus takes a single symbol, not symbols');
+      }
+      if (provider !== undefined) {
+        errors.push('mode=consensus queries every provider and does not take provider');
+      }
+      if (tolerance !== undefined && (tolerance === '' || Number.isNaN(Number(tolerance))
+        || Number(tolerance) < 0 || Number(tolerance) > 100)) {
+        errors.push('tolerance must be a percentage between 0 and 100 (e.g. 0.5)');
+      }
+      return errors;
+    };
+  },
+
+  /**
+   * Check the optional financial statement `period` and `limit`
+   * @returns {Function} Rule
+   */
+  financials() {
+    return ({ period, limit }) => {
+      const errors = [];
+
+      if (period !== undefined && !FINANCIAL_PERIODS.includes(period)) {
+        errors.push(`period must be one of: ${FINANCIAL_PERIODS.join(', ')}`);
+      }
+      if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= MAX_FINANCIAL_PERIODS)) {
+        errors.push(`limit must be a whole number from 1 to ${MAX_FINANCIAL_PERIODS}`);
+      }
+
+      return errors;
+    };
+  },
+
+  /**
+   * Check the optional `adjusted` flag
+   * @returns {Function} Rule
+   */
+  adjusted() {
+    return ({ adjusted }) => (adjusted === undefined || ['true', 'false'].includes(adjusted)
+      ? []
+      : ['adjusted must be true or false']);
+  },
+
+  /**
+   * Check the optional pricing parameters for options Greeks
+   * @returns {Function} Rule
+   */
+  pricing() {
+    return ({ greeks, model, riskFreeRate, dividendYield }) => {
+      const errors = [];
+
+      if (greeks !== undefined && !['true', 'false'].includes(greeks)) {
+        errors.push('greeks must be true or false');
+      }
+      if (model !== undefined && !MODELS.includes(model)) {
+        errors.push(`model must be one of: ${MODELS.join(', ')}`);
+      }
+      for (const [name, value] of Object.entries({ riskFreeRate, dividendYield })) {
+        if (value !== undefined && (value === '' || Number.isNaN(Number(value)) || Math.abs(Number(value)) > 1)) {
+          errors.push(`${name} must be a decimal rate between -1 and 1 (e.g. 0.05 for 5%)`);
+        }
+      }
+
+      return errors;
+    };
+  },
+
+  /**
+   * Check the optional options chain filters
+   * @returns {Function} Rule
+   */
+  optionsFilters() {
+    return params => parseOptionsFilters(params).errors;
+  },
+
+  /**
+   * Check the optional `indicators` specs and `series` flag
+   * @returns {Function} Rule
+   */
+  indicators() {
+    return ({ indicators, series }) => {
+      const errors = [];
+
+      if (indicators !== undefined) {
+        try {
+          parseIndicatorSpecs(indicators);
+        } catch (error) {
+          if (!(error instanceof IndicatorSpecError)) {
+            throw error;
+          }
+          errors.push(...error.errors.map(problem => `indicators: ${problem}`));
+        }
+      }
+      if (series !== undefined && !['true', 'false'].includes(series)) {
+        errors.push('series must be true or false');
+      }
+
+      return errors;
+    };
+  }
+};
+
+module.exports = {
+  SYMBOL_PATTERN,
+  INTERVALS,
+  MAX_RANGE_DAYS,
+  MAX_BATCH_SYMBOLS,
+  MAX_CALENDAR_DAYS,
+  MAX_SEARCH_RESULTS,
+  MAX_FINANCIAL_PERIODS,
+  MAX_USAGE_DAYS,
+  KEY_ID_PATTERN,
+  parseSymbols,
+  isValidSymbol,
+  parseDate,
+  parseOptionsFilters,
+  rules
+};